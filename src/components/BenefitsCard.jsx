@@ -0,0 +1,56 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import { BENEFIT_BASES, createBenefit } from '../lib/benefits.js';
+
+const BENEFIT_TYPES = [
+  { value: 'benefit', label: 'Benefit' },
+  { value: 'wages', label: 'Compensation (taxed as wages)' },
+];
+
+const AMOUNT_LABELS = {
+  annual: 'Annual Amount',
+  percent: '% of Salary',
+  monthly: 'Monthly Amount',
+  payroll: 'Rate per $100 of Payroll',
+};
+
+/**
+ * Edits the additional benefit and compensation costs every employee carries
+ * (dental/vision, bonuses, stipends, ...), each priced on its own basis.
+ */
+export default function BenefitsCard({ benefits, onChange }) {
+  const updateBenefit = (id, field) => (value) => onChange(benefits.map((benefit) => (
+    benefit.id === id ? { ...benefit, [field]: value } : benefit
+  )));
+
+  return (
+    <InputCard title="Additional Benefits & Compensation">
+      <p className="mb-4 text-xs text-gray-500">Applied to every employee. Compensation counts as wages for payroll taxes, payroll and the 401k plan; benefits don&apos;t. Leave an item at 0 if it doesn&apos;t apply.</p>
+      {benefits.map((benefit, i) => (
+        <div key={benefit.id} className="mb-4 border-b border-gray-100 pb-2">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+            <TextInput label={`Benefit ${i + 1}: Name`} value={benefit.name} onChange={updateBenefit(benefit.id, 'name')} />
+            <SelectInput label={`Benefit ${i + 1}: Basis`} value={benefit.basis} onChange={updateBenefit(benefit.id, 'basis')} options={BENEFIT_BASES} />
+          </div>
+          <SelectInput
+            label={`Benefit ${i + 1}: Type`}
+            value={benefit.wages ? 'wages' : 'benefit'}
+            onChange={(type) => updateBenefit(benefit.id, 'wages')(type === 'wages')}
+            options={BENEFIT_TYPES}
+          />
+          <NumberInput
+            label={`Benefit ${i + 1}: ${AMOUNT_LABELS[benefit.basis] || AMOUNT_LABELS.annual}`}
+            value={benefit.amount}
+            onChange={updateBenefit(benefit.id, 'amount')}
+            unit={benefit.basis === 'percent' ? 'percent' : 'dollar'}
+            path={`benefits.${benefit.id}.amount`}
+            helperText={benefit.basis === 'payroll' ? "Payroll is salary, bonuses and compensation items, as workers' comp premiums are quoted" : ''}
+          />
+          <Button onClick={() => onChange(benefits.filter((other) => other.id !== benefit.id))}>{`Remove Benefit ${i + 1}`}</Button>
+        </div>
+      ))}
+      <Button onClick={() => onChange([...benefits, createBenefit()])}>Add Benefit</Button>
+    </InputCard>
+  );
+}
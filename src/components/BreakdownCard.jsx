@@ -0,0 +1,42 @@
+import React from 'react';
+import { LineItem, OutputCard } from './Cards.jsx';
+import WaterfallChart from './charts/WaterfallChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { waterfallSteps } from '../lib/costCharts.js';
+import { RESERVE_ITEM, REVENUE_ITEM, TOTAL_COST_ITEM, getCostItems } from '../lib/lineItems.js';
+
+/**
+ * Revenue balanced against every annual cost, down to the reserve contribution,
+ * with a waterfall chart of the same steps.
+ * An itemized cost (the overhead ledger) is listed line by line instead.
+ */
+export default function BreakdownCard({ result, flagged = false }) {
+  const { formatCurrency } = useFormatters();
+  const items = getCostItems(result);
+  const itemized = items.filter((item) => item.itemized).map((item) => item.id);
+
+  return (
+    <OutputCard title="Annual 'Balancing' Breakdown" flagged={flagged}>
+      <LineItem item={REVENUE_ITEM} result={result} isBold />
+      <div className="pl-4 border-l-2 border-gray-200 mt-2">
+        {items.filter((item) => !item.itemized).map((item) => (item.parent && !itemized.includes(item.parent) ? (
+          <div key={item.id} className="pl-4 text-xs">
+            <LineItem item={item} result={result} />
+          </div>
+        ) : (
+          <LineItem key={item.id} item={item} result={result} label={`Less: ${item.label}`} />
+        )))}
+      </div>
+      <hr className="my-2" />
+      <LineItem item={TOTAL_COST_ITEM} result={result} label={`= ${TOTAL_COST_ITEM.label}`} isBold />
+      <LineItem item={RESERVE_ITEM} result={result} label={`= ${RESERVE_ITEM.label}`} />
+      <div className="mt-4">
+        <WaterfallChart
+          steps={waterfallSteps(result)}
+          format={formatCurrency}
+          title="Annual revenue stepped down by each cost to the reserve contribution"
+        />
+      </div>
+    </OutputCard>
+  );
+}
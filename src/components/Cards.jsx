@@ -0,0 +1,64 @@
+import React from 'react';
+import useFormatters from '../hooks/useFormatters.js';
+
+export function SummaryItem({ label, value, isCurrency = true, isNegative = false, isPositive = false, isBold = false }) {
+  const { formatCurrency } = useFormatters();
+  const formattedValue = isCurrency ? formatCurrency(value) : value;
+  let valueClass = "text-gray-900";
+  if (isNegative) valueClass = "text-red-600";
+  if (isPositive) valueClass = "text-green-600";
+  if (isBold) valueClass += " font-bold";
+
+  return (
+    <div className="flex justify-between py-2">
+      <span className="text-sm font-medium text-gray-600">{label}</span>
+      <span className={`text-sm ${valueClass}`}>{formattedValue}</span>
+    </div>
+  );
+}
+
+export function InputCard({ title, children }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-3 mb-4">{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * A card of results. `flagged` marks results that depend on invalid inputs.
+ */
+export function OutputCard({ title, children, flagged = false }) {
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-md ${flagged ? 'ring-2 ring-red-300' : ''}`}>
+      <h2 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-3 mb-4">{title}</h2>
+      {flagged && <InvalidInputsNote />}
+      <div className="flex flex-col gap-1">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Warns that the figures next to it are based on inputs with errors.
+ */
+export function InvalidInputsNote() {
+  return <p className="mb-2 text-sm font-medium text-red-600">Based on invalid inputs — see Input Issues.</p>;
+}
+
+/**
+ * A SummaryItem for one of the shared line items (see lib/lineItems.js).
+ */
+export function LineItem({ item, result, label = item.label, isBold = item.bold }) {
+  const { formatValue } = useFormatters();
+  return (
+    <SummaryItem
+      label={label}
+      value={formatValue(item.value(result), item.format)}
+      isCurrency={false}
+      isPositive={item.tone === 'positive'}
+      isNegative={item.tone === 'negative'}
+      isBold={isBold}
+    />
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useMemo } from 'react';
+import { InputCard, OutputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import CashFlowChart from './charts/CashFlowChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { DEFAULT_CASH_FLOW, MONTH_NAMES, PROJECTION_LENGTHS, projectCashFlow } from '../lib/cashFlow.js';
+import { calculateTeam } from '../lib/team.js';
+
+const MONTH_OPTIONS = MONTH_NAMES.map((name, i) => ({ value: String(i + 1), label: name }));
+
+const RECONCILE_ROWS = [
+  { key: 'billableHours', label: 'Billable Hours', format: 'hours' },
+  { key: 'revenue', label: 'Revenue', format: 'currency' },
+  { key: 'costs', label: 'Costs', format: 'currency' },
+  { key: 'reserve', label: 'Reserve Contribution', format: 'currency' },
+];
+
+/**
+ * Month-by-month projection of hours, revenue, costs and the reserve balance.
+ */
+export default function CashFlowView({ inputs, onChange, flagged = false }) {
+  const { formatCurrency, formatHours, formatValue } = useFormatters();
+  const settings = { ...DEFAULT_CASH_FLOW, ...inputs.cashFlow };
+  const projection = useMemo(() => projectCashFlow(inputs, calculateTeam(inputs.employees, inputs)), [inputs]);
+  const hasRamp = inputs.employees.some((employee) => Number(employee.rampMonths) > 0);
+
+  const setSetting = (field) => (value) => onChange((current) => ({
+    ...current,
+    cashFlow: { ...DEFAULT_CASH_FLOW, ...current.cashFlow, [field]: value },
+  }));
+  const season = (index) => settings.seasonality[index] ?? DEFAULT_CASH_FLOW.seasonality[index];
+  const setSeason = (index) => (value) => setSetting('seasonality')(MONTH_NAMES.map((_, i) => (i === index ? value : season(i))));
+  const setRamp = (id) => (value) => onChange((current) => ({
+    ...current,
+    employees: current.employees.map((employee) => (employee.id === id ? { ...employee, rampMonths: value } : employee)),
+  }));
+
+  return (
+    <div className="flex flex-col gap-6">
+      <InputCard title="Cash-Flow Projection">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+          <SelectInput
+            label="Projection Length"
+            value={String(settings.months)}
+            onChange={(value) => setSetting('months')(Number(value))}
+            options={PROJECTION_LENGTHS.map((option) => ({ ...option, value: String(option.value) }))}
+          />
+          <SelectInput
+            label="First Month"
+            value={String(settings.startMonth)}
+            onChange={(value) => setSetting('startMonth')(Number(value))}
+            options={MONTH_OPTIONS}
+          />
+          <SelectInput
+            label="Vacation Bonus Paid In"
+            value={String(settings.vacationBonusMonth)}
+            onChange={(value) => setSetting('vacationBonusMonth')(Number(value))}
+            options={MONTH_OPTIONS}
+          />
+          <NumberInput label="Opening Reserve Balance" value={settings.openingBalance} onChange={setSetting('openingBalance')} unit="dollar" />
+        </div>
+        <h3 className="mt-2 text-sm font-semibold text-gray-700">Seasonality</h3>
+        <p className="mb-2 text-xs text-gray-500">Relative billable workload per month (100 = a normal month). The year&apos;s total billable hours stay the same.</p>
+        <div className="grid grid-cols-3 sm:grid-cols-6 gap-x-4">
+          {MONTH_NAMES.map((name, i) => (
+            <NumberInput key={name} label={name} value={season(i)} onChange={setSeason(i)} unit="percent" path={`cashFlow.seasonality.${i}`} />
+          ))}
+        </div>
+        <h3 className="mt-2 text-sm font-semibold text-gray-700">Ramp-Up</h3>
+        <p className="mb-2 text-xs text-gray-500">Months a new hire takes to reach full utilization from the first projected month (0 = fully billable).</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+          {inputs.employees.map((employee) => (
+            <NumberInput
+              key={employee.id}
+              label={employee.name || 'Unnamed employee'}
+              value={employee.rampMonths}
+              onChange={setRamp(employee.id)}
+              unit="months"
+              path={`employees.${employee.id}.rampMonths`}
+            />
+          ))}
+        </div>
+      </InputCard>
+      <OutputCard title="Reserve Balance by Month" flagged={flagged}>
+        <CashFlowChart
+          months={projection.months}
+          format={formatCurrency}
+          title="Monthly reserve contributions and the running reserve balance"
+        />
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 font-medium">Month</th>
+                <th className="py-2 font-medium text-right">Billable Hours</th>
+                <th className="py-2 font-medium text-right">Revenue</th>
+                <th className="py-2 font-medium text-right">Costs</th>
+                <th className="py-2 font-medium text-right">Reserve</th>
+                <th className="py-2 font-medium text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {projection.months.map((month) => (
+                <tr key={month.index}>
+                  <td className="py-2 text-gray-900">{month.label}</td>
+                  <td className="py-2 text-right text-gray-900">{formatHours(month.billableHours)}</td>
+                  <td className="py-2 text-right text-green-600">{formatCurrency(month.revenue)}</td>
+                  <td className="py-2 text-right text-red-600">
+                    {formatCurrency(month.costs)}
+                    {month.vacationBonus > 0 && <span className="block text-xs text-gray-500">incl. Vacation Bonus</span>}
+                  </td>
+                  <td className={`py-2 text-right ${month.reserve >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatCurrency(month.reserve)}</td>
+                  <td className="py-2 text-right font-bold text-gray-900">{formatCurrency(month.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+            {projection.years.length > 1 && (
+              <tfoot className="border-t border-gray-300">
+                {projection.years.map((year) => (
+                  <tr key={year.year}>
+                    <td className="py-2 font-semibold text-gray-900">{`Year ${year.year}`}</td>
+                    <td className="py-2 text-right text-gray-900">{formatHours(year.billableHours)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(year.revenue)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(year.costs)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(year.reserve)}</td>
+                    <td />
+                  </tr>
+                ))}
+              </tfoot>
+            )}
+          </table>
+        </div>
+      </OutputCard>
+      <OutputCard title="Reconciliation to Annual Projections" flagged={flagged}>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-2 font-medium" />
+              <th className="py-2 font-medium text-right">Annual Projections</th>
+              <th className="py-2 font-medium text-right">Ramp-Up</th>
+              <th className="py-2 font-medium text-right">First 12 Months</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {RECONCILE_ROWS.map((row) => (
+              <tr key={row.key}>
+                <td className="py-2 text-gray-900">{row.label}</td>
+                <td className="py-2 text-right text-gray-900">{formatValue(projection.annual[row.key], row.format)}</td>
+                <td className="py-2 text-right text-gray-900">{formatValue(projection.ramp[row.key], row.format)}</td>
+                <td className="py-2 text-right font-bold text-gray-900">{formatValue(projection.years[0][row.key], row.format)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-2 text-xs text-gray-500">
+          {hasRamp
+            ? 'Seasonality only moves hours between months; the ramp-up is the whole difference from the annual totals.'
+            : 'With no ramp-up, the first 12 months add up to the annual totals exactly.'}
+        </p>
+      </OutputCard>
+    </div>
+  );
+}
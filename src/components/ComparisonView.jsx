@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { OutputCard } from './Cards.jsx';
+import { Button, SelectInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { MAX_COMPARED, MIN_COMPARED, compareResults, deltaDirection } from '../lib/comparison.js';
+import { calculateTeam } from '../lib/team.js';
+
+const DELTA_CLASSES = {
+  1: 'text-green-600',
+  0: 'text-gray-500',
+  '-1': 'text-red-600',
+};
+
+/**
+ * Shows two to four saved scenarios side by side, with the differences from a
+ * chosen baseline scenario.
+ */
+export default function ComparisonView({ scenarios, activeId }) {
+  const { formatDelta, formatValue } = useFormatters();
+  const [columnIds, setColumnIds] = useState(() => [
+    activeId,
+    ...scenarios.filter((scenario) => scenario.id !== activeId).map((scenario) => scenario.id),
+  ].slice(0, MIN_COMPARED));
+  const [baselineIndex, setBaselineIndex] = useState(0);
+
+  // Drop columns whose scenario has since been deleted, keeping at least two
+  const columns = columnIds
+    .map((id) => scenarios.find((scenario) => scenario.id === id))
+    .filter(Boolean);
+  scenarios.forEach((scenario) => {
+    if (columns.length < MIN_COMPARED && !columns.includes(scenario)) columns.push(scenario);
+  });
+  const baseline = Math.min(baselineIndex, columns.length - 1);
+
+  const sections = compareResults(
+    columns.map((scenario) => ({ result: calculateTeam(scenario.inputs.employees, scenario.inputs) })),
+    baseline,
+  );
+
+  const setColumn = (index, id) => {
+    setColumnIds(columns.map((scenario, i) => (i === index ? id : scenario.id)));
+  };
+
+  const addColumn = () => {
+    const unused = scenarios.find((scenario) => !columns.includes(scenario));
+    setColumnIds([...columns.map((scenario) => scenario.id), (unused || scenarios[0]).id]);
+  };
+
+  const removeColumn = (index) => {
+    setColumnIds(columns.filter((_, i) => i !== index).map((scenario) => scenario.id));
+    if (index <= baselineIndex) setBaselineIndex(Math.max(0, baselineIndex - 1));
+  };
+
+  if (scenarios.length < MIN_COMPARED) {
+    return (
+      <OutputCard title="Compare Scenarios">
+        <p className="text-sm text-gray-600">
+          Create or duplicate a scenario to compare it with &ldquo;{scenarios[0].name}&rdquo;.
+        </p>
+      </OutputCard>
+    );
+  }
+
+  const options = scenarios.map((scenario) => ({ label: scenario.name || 'Untitled Scenario', value: scenario.id }));
+
+  return (
+    <OutputCard title="Compare Scenarios">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="align-top">
+              <th className="py-2 pr-4 text-left font-medium text-gray-600">
+                <Button onClick={addColumn} disabled={columns.length >= MAX_COMPARED}>Add Column</Button>
+              </th>
+              {columns.map((scenario, index) => (
+                <th key={index} className="py-2 px-2 text-left font-normal min-w-[11rem]">
+                  <SelectInput label={`Scenario ${index + 1}`} value={scenario.id} onChange={(id) => setColumn(index, id)} options={options} />
+                  <div className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-1 text-xs text-gray-600">
+                      <input
+                        type="radio"
+                        name="comparison-baseline"
+                        checked={index === baseline}
+                        onChange={() => setBaselineIndex(index)}
+                      />
+                      Baseline
+                    </label>
+                    <Button onClick={() => removeColumn(index)} disabled={columns.length <= MIN_COMPARED}>Remove</Button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          {sections.map((section) => (
+            <tbody key={section.title} className="divide-y divide-gray-100">
+              <tr>
+                <th colSpan={columns.length + 1} className="pt-4 pb-1 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  {section.title}
+                </th>
+              </tr>
+              {section.rows.map(({ item, cells }) => (
+                <tr key={item.id}>
+                  <td className={`py-2 pr-4 text-gray-600 ${item.bold ? 'font-bold' : 'font-medium'} ${item.parent ? 'pl-4' : ''}`}>{item.label}</td>
+                  {cells.map((cell, index) => (
+                    <td key={index} className={`py-2 px-2 text-right ${index === baseline ? 'bg-blue-50' : ''}`}>
+                      <div className={`text-gray-900 ${item.bold ? 'font-bold' : ''}`}>{formatValue(cell.value, item.format)}</div>
+                      {cell.delta !== null && (
+                        <div className={`text-xs ${DELTA_CLASSES[deltaDirection(item, cell.delta)]}`}>
+                          {formatDelta(cell.delta, item.format)}
+                        </div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      </div>
+    </OutputCard>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { InputCard, OutputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { CONTRACTOR_RATE_TYPES, DEFAULT_CONTRACTOR, compareContractor } from '../lib/contractor.js';
+import { DEFAULT_SCHEDULE } from '../lib/schedule.js';
+
+/**
+ * Compares the all-in cost of an employee with a contractor doing the same
+ * role, and the utilization at which one becomes cheaper than the other.
+ */
+export default function ContractorView({ inputs, result, onChange, flagged = false }) {
+  const { formatCurrency, formatHours, formatPercent } = useFormatters();
+  const [employeeId, setEmployeeId] = useState(result.members[0].id);
+  const contractor = { ...DEFAULT_CONTRACTOR, ...inputs.contractor };
+  const hoursPerDay = Number(inputs.schedule?.hoursPerDay ?? DEFAULT_SCHEDULE.hoursPerDay) || 0;
+  const member = result.members.find((m) => m.id === employeeId) || result.members[0];
+  const comparison = compareContractor(member, contractor, { totalStandardHours: result.totalStandardHours, hoursPerDay });
+  const { employee, contractor: hired } = comparison;
+  const costs = member.totalCostData;
+
+  const setContractor = (field) => (value) => onChange((current) => ({
+    ...current,
+    contractor: { ...DEFAULT_CONTRACTOR, ...current.contractor, [field]: value },
+  }));
+  const hourly = (amount) => (Number.isFinite(amount) ? formatCurrency(amount) : '—');
+
+  const rows = [
+    { label: 'Hours Worked', employee: formatHours(comparison.hours), contractor: formatHours(comparison.hours) },
+    { label: 'Pay / Contractor Fees', employee: formatCurrency(costs.salary + costs.vacationBonus), contractor: formatCurrency(hired.fees) },
+    { label: 'Benefits (Health, 401k & Other)', employee: formatCurrency(costs.healthInsurance + costs.k401Cost + costs.benefitsCost), contractor: formatCurrency(0) },
+    { label: 'Employer Taxes', employee: formatCurrency(costs.taxCost), contractor: formatCurrency(0) },
+    { label: 'Company Overhead', employee: formatCurrency(costs.overheadCost), contractor: formatCurrency(0) },
+    { label: 'Agency Fee', employee: formatCurrency(0), contractor: formatCurrency(hired.agencyFees) },
+    { label: 'All-In Annual Cost', employee: formatCurrency(employee.totalCost), contractor: formatCurrency(hired.totalCost), isBold: true },
+    { label: 'Effective Hourly Cost', employee: hourly(employee.hourlyCost), contractor: hourly(hired.hourlyCost), isBold: true },
+  ];
+
+  let verdict;
+  if (!Number.isFinite(comparison.breakEvenHours)) {
+    verdict = 'The contractor costs nothing at this rate, so the employee is never cheaper.';
+  } else if (comparison.breakEvenUtilization > 100) {
+    verdict = `The contractor is cheaper at any utilization: the employee would need ${formatHours(comparison.breakEvenHours)} hours a year, more than the ${formatHours(result.totalStandardHours)} available.`;
+  } else {
+    verdict = `Break-even at ${formatPercent(comparison.breakEvenUtilization)} utilization (${formatHours(comparison.breakEvenHours)} hours a year). Below that the contractor is cheaper; above it the employee is.`;
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="flex flex-col gap-6">
+        <InputCard title="Employee vs. Contractor">
+          {result.members.length > 1 && (
+            <SelectInput
+              label="Role"
+              value={member.id}
+              onChange={setEmployeeId}
+              options={result.members.map((m) => ({ label: m.name || 'Unnamed employee', value: m.id }))}
+              helperText="The employee whose cost and billable hours the contractor is compared with."
+            />
+          )}
+          <SelectInput label="Contractor Rate Type" value={contractor.rateType} onChange={setContractor('rateType')} options={CONTRACTOR_RATE_TYPES} />
+          {contractor.rateType === 'daily' ? (
+            <NumberInput label="Contractor Day Rate" value={contractor.dailyRate} onChange={setContractor('dailyRate')} unit="dollar" path="contractor.dailyRate" helperText={`Converted at ${formatHours(hoursPerDay)} hours per day, from the work schedule`} />
+          ) : (
+            <NumberInput label="Contractor Hourly Rate" value={contractor.hourlyRate} onChange={setContractor('hourlyRate')} unit="dollar" path="contractor.hourlyRate" />
+          )}
+          <NumberInput label="Agency Fee" value={contractor.agencyFee} onChange={setContractor('agencyFee')} unit="percent" path="contractor.agencyFee" helperText="Added to the contractor's rate when hired through an agency (0 if direct)" />
+          <p className="text-xs text-gray-500">Contractors carry no benefits, employer taxes or company overhead, but are paid for every hour they work.</p>
+        </InputCard>
+      </div>
+      <div className="flex flex-col gap-6">
+        <OutputCard title="All-In Cost Comparison" flagged={flagged}>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 font-medium" />
+                <th className="py-2 font-medium text-right">{`Employee (${member.name || 'Unnamed employee'})`}</th>
+                <th className="py-2 font-medium text-right">Contractor</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map((row) => (
+                <tr key={row.label} className={row.isBold ? 'font-bold' : ''}>
+                  <td className="py-2 text-gray-700">{row.label}</td>
+                  <td className="py-2 text-right text-gray-900">{row.employee}</td>
+                  <td className="py-2 text-right text-gray-900">{row.contractor}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className={`mt-2 text-sm font-medium ${comparison.difference > 0 ? 'text-green-700' : 'text-amber-700'}`}>
+            {comparison.difference > 0
+              ? `At ${formatPercent(comparison.utilization)} utilization the employee is ${formatCurrency(comparison.difference)} a year cheaper.`
+              : `At ${formatPercent(comparison.utilization)} utilization the contractor is ${formatCurrency(-comparison.difference)} a year cheaper.`}
+          </p>
+          <p className="mt-1 text-sm text-gray-600">{verdict}</p>
+        </OutputCard>
+        <OutputCard title="Cost by Utilization">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 font-medium">Utilization</th>
+                <th className="py-2 font-medium text-right">Hours</th>
+                <th className="py-2 font-medium text-right">Employee</th>
+                <th className="py-2 font-medium text-right">Contractor</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {comparison.steps.map((step) => (
+                <tr key={step.utilization}>
+                  <td className="py-2 text-gray-900">{formatPercent(step.utilization)}</td>
+                  <td className="py-2 text-right text-gray-900">{formatHours(step.hours)}</td>
+                  <td className={`py-2 text-right ${step.employee <= step.contractor ? 'font-bold text-green-700' : 'text-gray-900'}`}>{formatCurrency(step.employee)}</td>
+                  <td className={`py-2 text-right ${step.contractor < step.employee ? 'font-bold text-green-700' : 'text-gray-900'}`}>{formatCurrency(step.contractor)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">The cheaper option at each level is in bold. The employee&apos;s cost is the same however many hours they work.</p>
+        </OutputCard>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { IssueMessages, NumberInput, SelectInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import useValidation from '../hooks/useValidation.js';
+import { DEFAULT_HEALTH_PLANS, MANUAL_PLAN, annualPlanCost, coverageTierLabel } from '../lib/healthInsurance.js';
+import { HOURS_MODELS } from '../lib/utilization.js';
+
+/**
+ * Compensation, benefits and non-billable time inputs for a single employee.
+ */
+export default function EmployeeEditor({ employee, onChange, totalStandardHours, taxModel = 'simple', k401Model = 'flat', healthPlans = DEFAULT_HEALTH_PLANS, scheduledHolidayHours = null, hoursModel = 'deductions', onHoursModelChange }) {
+  const { formatCurrency } = useFormatters();
+  const field = (name) => (value) => onChange(name, value);
+  const path = (name) => `employees.${employee.id}.${name}`;
+  const billableIssues = useValidation(path('billableHours'));
+
+  return (
+    <>
+      <InputCard title={`Employee Compensation — ${employee.name}`}>
+        <NumberInput label="Expected Annual Salary" value={employee.salary} onChange={field('salary')} path={path('salary')} unit="dollar" />
+        <NumberInput label="Annual Vacation Bonus" value={employee.vacationBonus} onChange={field('vacationBonus')} path={path('vacationBonus')} unit="dollar" />
+      </InputCard>
+      <InputCard title="Benefits & Taxes (Annual Cost)">
+        {k401Model === 'match' ? (
+          <NumberInput label="Employee 401k Deferral" value={employee.k401Deferral} onChange={field('k401Deferral')} path={path('k401Deferral')} unit="percent" helperText="% of pay the employee contributes, which sets the employer match" />
+        ) : (
+          <NumberInput label="Employer 401k Contribution" value={employee.k401Contribution} onChange={field('k401Contribution')} path={path('k401Contribution')} unit="percent" helperText="As a % of salary" />
+        )}
+        <SelectInput
+          label="Employer Health Insurance"
+          value={employee.healthInsurancePlan}
+          onChange={field('healthInsurancePlan')}
+          options={[
+            ...healthPlans.map((plan) => {
+              const cost = annualPlanCost(plan);
+              return {
+                label: `${plan.name} — ${coverageTierLabel(plan.coverageTier)} (${formatCurrency(cost.premiums + cost.hsaContribution)}/yr)`,
+                value: plan.id,
+              };
+            }),
+            { label: 'Other (Manual Entry)', value: MANUAL_PLAN },
+          ]}
+          helperText="Select a plan from the Health Plan Catalog to use its employer cost."
+        />
+        {employee.healthInsurancePlan === MANUAL_PLAN && (
+          <NumberInput label="Manual Health Insurance Cost" value={employee.healthInsuranceManual} onChange={field('healthInsuranceManual')} path={path('healthInsuranceManual')} unit="dollar" helperText="Enter the annual employer cost." />
+        )}
+        {taxModel === 'itemized' ? (
+          <p className="text-xs text-gray-500">Employer taxes are itemized under Employer Payroll Taxes.</p>
+        ) : (
+          <NumberInput label="Employer Taxes (FICA, SUI, etc.)" value={employee.employerTaxes} onChange={field('employerTaxes')} path={path('employerTaxes')} unit="percent" helperText="As a % of salary" />
+        )}
+      </InputCard>
+      <InputCard title="Non-Billable Time (Annual)">
+        {onHoursModelChange && (
+          <SelectInput
+            label="Billable Hours Model"
+            value={hoursModel}
+            onChange={onHoursModelChange}
+            options={HOURS_MODELS}
+            helperText={hoursModel === 'utilization'
+              ? 'Billable hours are a utilization % of the hours left after time off. Applies to the whole roster.'
+              : 'Billable hours are what is left after time off and non-billable overhead. Applies to the whole roster.'}
+          />
+        )}
+        <NumberInput label="Paid Time Off (PTO) Hours" value={employee.ptoHours} onChange={field('ptoHours')} path={path('ptoHours')} unit="hours" />
+        <NumberInput label="Training Hours" value={employee.trainingHours} onChange={field('trainingHours')} path={path('trainingHours')} unit="hours" />
+        {scheduledHolidayHours === null ? (
+          <NumberInput label="Holiday Hours" value={employee.holidayHours} onChange={field('holidayHours')} path={path('holidayHours')} unit="hours" />
+        ) : (
+          <p className="mb-4 text-xs text-gray-500">{`Holiday Hours: ${scheduledHolidayHours} hrs from the Work Schedule's holiday calendar.`}</p>
+        )}
+        {hoursModel === 'utilization' ? (
+          <NumberInput label="Target Utilization" value={employee.utilization} onChange={field('utilization')} path={path('utilization')} unit="percent" helperText="% of working hours after PTO, training and holidays that are billable" />
+        ) : (
+          <NumberInput label="Non-Billable Overhead Time" value={employee.overheadTime} onChange={field('overheadTime')} path={path('overheadTime')} unit="percent" helperText={`As a % of ${totalStandardHours} total hours (e.g., admin, meetings)`} />
+        )}
+        <IssueMessages issues={billableIssues} />
+      </InputCard>
+    </>
+  );
+}
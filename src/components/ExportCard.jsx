@@ -0,0 +1,67 @@
+import React, { useRef, useState } from 'react';
+import { OutputCard } from './Cards.jsx';
+import { Button } from './Inputs.jsx';
+import { downloadFile, readFileText } from '../lib/files.js';
+import { exportResults } from '../lib/resultsExport.js';
+import { describeImportError, prepareScenarioImport, readImportFile } from '../lib/rosterImport.js';
+
+const EXPORT_TYPES = { json: 'application/json', csv: 'text/csv' };
+const SHOWN_ERRORS = 10;
+
+const fileName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+
+/**
+ * Exports the active scenario's inputs and results, imports an exported
+ * scenario as a new one, and opens the printable quote sheet.
+ */
+export default function ExportCard({ scenario, result, onImport, onPrint }) {
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const exportAs = (format) => {
+    downloadFile(`${fileName(scenario.name)}-results.${format}`, exportResults(scenario, result, format), EXPORT_TYPES[format]);
+  };
+
+  const importScenario = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const source = readImportFile(await readFileText(file));
+      if (source.kind !== 'scenario') throw new Error('The file is a roster, not a scenario; load it with Import Scenario or Roster');
+      const { inputs, errors } = prepareScenarioImport(source);
+      if (errors.length > 0) {
+        setMessage({ error: true, text: `Could not import ${file.name}; fix ${errors.length === 1 ? 'this problem' : `these ${errors.length} problems`} first:`, errors: errors.map(describeImportError) });
+        return;
+      }
+      onImport({ name: source.name, inputs });
+      setMessage({ error: false, text: `Imported "${source.name}" from ${file.name} as a new scenario.` });
+    } catch (error) {
+      setMessage({ error: true, text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <OutputCard title="Export & Print">
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={() => exportAs('csv')}>Export Results CSV</Button>
+        <Button onClick={() => exportAs('json')}>Export Results JSON</Button>
+        <Button onClick={() => fileInput.current.click()}>Import Scenario</Button>
+        <Button onClick={onPrint} variant="primary">Print Quote Sheet</Button>
+        <input ref={fileInput} type="file" accept=".json,application/json" onChange={importScenario} className="hidden" aria-label="Import scenario" />
+      </div>
+      <p className="mt-2 text-xs text-gray-500">Exports include every input and computed figure. Importing a JSON export restores its inputs as a new scenario once every value in it is valid.</p>
+      {message && (
+        <div role={message.error ? 'alert' : 'status'} className={`mt-2 text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>
+          <p>{message.text}</p>
+          {message.errors && (
+            <ul className="mt-1 list-disc pl-5">
+              {message.errors.slice(0, SHOWN_ERRORS).map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+          {message.errors?.length > SHOWN_ERRORS && <p className="mt-1">{`…and ${message.errors.length - SHOWN_ERRORS} more.`}</p>}
+        </div>
+      )}
+    </OutputCard>
+  );
+}
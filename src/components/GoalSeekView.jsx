@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import BreakdownCard from './BreakdownCard.jsx';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput } from './Inputs.jsx';
+import ProjectionsCard from './ProjectionsCard.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { applySolvedValue, goalSeek, solveTargets } from '../lib/goalSeek.js';
+
+/**
+ * Reverse mode: fixes the hourly rate and solves for the input that affords it.
+ */
+export default function GoalSeekView({ inputs, currentRate, onApply }) {
+  const { formatValue } = useFormatters();
+  const [rate, setRate] = useState(() => Math.round(currentRate));
+  const targets = solveTargets(inputs);
+  const [targetId, setTargetId] = useState(targets[0].id);
+  const [employeeId, setEmployeeId] = useState(inputs.employees[0].id);
+
+  const employee = inputs.employees.find((e) => e.id === employeeId) || inputs.employees[0];
+  // The hours model may have changed since the target was chosen
+  const solvedId = targets.some((t) => t.id === targetId) ? targetId : targets[0].id;
+  const { target, value, achievable, result } = goalSeek(inputs, {
+    targetId: solvedId,
+    employeeId: employee.id,
+    rate,
+  });
+  const currentValue = { scenario: inputs, pricing: inputs.pricing, employee }[target.scope]?.[target.id];
+  const solvesForEmployee = target.scope === 'employee';
+
+  const apply = () => {
+    onApply(applySolvedValue(inputs, target, employee.id, Math.round(value * 100) / 100));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="flex flex-col gap-6">
+        <InputCard title="Goal Seek">
+          <NumberInput
+            label="Fixed Hourly Rate"
+            value={rate}
+            onChange={setRate}
+            unit="dollar"
+            helperText="The rate the client will pay, e.g. a market or contract rate."
+          />
+          <SelectInput
+            label="Solve For"
+            value={solvedId}
+            onChange={setTargetId}
+            options={targets.map((t) => ({ label: t.label, value: t.id }))}
+            helperText="Every other input in the active scenario stays as it is."
+          />
+          {solvesForEmployee && inputs.employees.length > 1 && (
+            <SelectInput
+              label="Employee"
+              value={employee.id}
+              onChange={setEmployeeId}
+              options={inputs.employees.map((e) => ({ label: e.name || 'Unnamed employee', value: e.id }))}
+              helperText="Solved against the blended team rate, with everyone else unchanged."
+            />
+          )}
+        </InputCard>
+        <div className="bg-white p-6 rounded-lg shadow-lg text-center">
+          <label className="block text-lg font-medium text-gray-700">
+            {target.label}{solvesForEmployee && inputs.employees.length > 1 ? ` — ${employee.name}` : ''}
+          </label>
+          <span className={`text-5xl font-bold ${achievable ? 'text-blue-600' : 'text-red-600'}`}>
+            {formatValue(value, target.format)}
+          </span>
+          <p className="text-sm text-gray-500 mt-2">
+            Currently: {formatValue(Number(currentValue) || 0, target.format)}
+          </p>
+          {!achievable && (
+            <p className="text-sm text-red-600 font-bold mt-2">
+              {formatValue(Number(rate) || 0, 'currency')} / hour cannot be reached by changing this input alone.
+              The closest it gets is {formatValue(result.rates.target, 'currency')} / hour.
+            </p>
+          )}
+          <div className="mt-4">
+            <Button variant="primary" onClick={apply} disabled={!achievable}>
+              Apply to Scenario
+            </Button>
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-col gap-6">
+        <ProjectionsCard result={result} />
+        <BreakdownCard result={result} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useRef, useState } from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { downloadFile, readFileText } from '../lib/files.js';
+import {
+  COVERAGE_TIERS,
+  annualPlanCost,
+  coverageTierLabel,
+  createHealthPlan,
+  exportHealthPlans,
+  importHealthPlans,
+} from '../lib/healthInsurance.js';
+
+const EXPORT_TYPES = { json: 'application/json', csv: 'text/csv' };
+
+/**
+ * Manages the scenario's health plan catalog, including importing and
+ * exporting it as JSON or CSV.
+ */
+export default function HealthPlansCard({ plans, onChange }) {
+  const { formatCurrency } = useFormatters();
+  const [selectedId, setSelectedId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const selected = plans.find((plan) => plan.id === selectedId) || plans[0];
+
+  const updatePlan = (field) => (value) => onChange(plans.map((plan) => (
+    plan.id === selected.id ? { ...plan, [field]: value } : plan
+  )));
+
+  const addPlan = () => {
+    const plan = createHealthPlan();
+    onChange([...plans, plan]);
+    setSelectedId(plan.id);
+  };
+
+  const removePlan = () => {
+    onChange(plans.filter((plan) => plan.id !== selected.id));
+    setSelectedId(null);
+  };
+
+  const exportPlans = (format) => {
+    downloadFile(`health-plans.${format}`, exportHealthPlans(plans, format), EXPORT_TYPES[format]);
+  };
+
+  const importPlans = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = importHealthPlans(await readFileText(file));
+      onChange(imported);
+      setSelectedId(null);
+      setMessage({ error: false, text: `Imported ${imported.length} plan${imported.length === 1 ? '' : 's'} from ${file.name}.` });
+    } catch (error) {
+      setMessage({ error: true, text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <InputCard title="Health Plan Catalog">
+      <ul className="mb-4 divide-y divide-gray-100 rounded-md border border-gray-200">
+        {plans.map((plan) => {
+          const cost = annualPlanCost(plan);
+          return (
+            <li key={plan.id}>
+              <button
+                type="button"
+                onClick={() => setSelectedId(plan.id)}
+                aria-pressed={plan.id === selected?.id}
+                className={`flex w-full justify-between gap-2 px-3 py-2 text-left text-sm ${plan.id === selected?.id ? 'bg-blue-50 font-semibold text-blue-700' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                <span>{plan.name || 'Unnamed plan'} — {coverageTierLabel(plan.coverageTier)}</span>
+                <span>{formatCurrency(cost.premiums + cost.hsaContribution)}/yr</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {selected && (
+        <>
+          <TextInput label="Plan Name" value={selected.name} onChange={updatePlan('name')} />
+          <SelectInput label="Coverage Tier" value={selected.coverageTier} onChange={updatePlan('coverageTier')} options={COVERAGE_TIERS} />
+          <NumberInput label="Employer Monthly Premium" value={selected.monthlyPremium} onChange={updatePlan('monthlyPremium')} unit="dollar" path={`healthPlans.${selected.id}.monthlyPremium`} />
+          <NumberInput label="Employer HSA/HRA Contribution" value={selected.hsaContribution} onChange={updatePlan('hsaContribution')} unit="dollar" path={`healthPlans.${selected.id}.hsaContribution`} helperText="Annual contribution to the employee's HSA or HRA" />
+        </>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={addPlan}>Add Plan</Button>
+        <Button onClick={removePlan} disabled={plans.length <= 1}>Remove Plan</Button>
+        <Button onClick={() => fileInput.current.click()}>Import</Button>
+        <Button onClick={() => exportPlans('json')}>Export JSON</Button>
+        <Button onClick={() => exportPlans('csv')}>Export CSV</Button>
+        <input ref={fileInput} type="file" accept=".json,.csv,application/json,text/csv" onChange={importPlans} className="hidden" aria-label="Import health plans" />
+      </div>
+      <p className="mt-2 text-xs text-gray-500">Import a JSON or CSV file with name, coverageTier, monthlyPremium and hsaContribution columns. Employees on removed plans keep their cost as a manual entry.</p>
+      {message && (
+        <p role={message.error ? 'alert' : 'status'} className={`mt-2 text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { OutputCard } from './Cards.jsx';
+import StackedBarChart from './charts/StackedBarChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { hoursSplit } from '../lib/costCharts.js';
+
+/**
+ * How an employee's available hours split into time off, non-billable time
+ * and billable hours.
+ */
+export default function HoursCard({ inputs, employee, totalStandardHours, flagged = false }) {
+  const { formatHours } = useFormatters();
+  const isTeam = inputs.employees.length > 1;
+  const name = employee.name || 'Unnamed employee';
+  const format = (hours) => `${formatHours(hours)} hrs`;
+
+  return (
+    <OutputCard title={isTeam ? `Where the Hours Go — ${name}` : 'Where the Hours Go'} flagged={flagged}>
+      <StackedBarChart
+        parts={hoursSplit(employee, inputs, totalStandardHours)}
+        format={format}
+        title={`${isTeam ? `${name}'s ` : 'The '}${formatHours(totalStandardHours)} available hours split into PTO, training, holidays, non-billable time and billable hours`}
+      />
+    </OutputCard>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, SelectInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { readFileText } from '../lib/files.js';
+import {
+  ROSTER_FIELDS,
+  describeImportError,
+  guessMapping,
+  mapRoster,
+  prepareScenarioImport,
+  readImportFile,
+} from '../lib/rosterImport.js';
+
+const FIELD_OPTIONS = [{ value: '', label: 'Ignore this column' }, ...ROSTER_FIELDS.map(({ field, label }) => ({ value: field, label }))];
+const SHOWN_ERRORS = 10;
+
+const sampleOf = (source, column) => source.rows.map((row) => String(row.cells[column]).trim()).find(Boolean);
+
+/**
+ * Loads a roster (CSV or JSON, with a column-mapping step) or a whole
+ * scenario (JSON) into the current scenario. Nothing is loaded until every
+ * value in the file is valid.
+ */
+export default function ImportCard({ plans, onReplaceRoster, onAddToRoster, onLoadScenario }) {
+  const { locale } = useFormatters();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fileInput = useRef(null);
+  const source = file?.source;
+
+  const result = useMemo(() => {
+    if (!source) return null;
+    return source.kind === 'scenario' ? prepareScenarioImport(source) : mapRoster(source, mapping, { plans, locale });
+  }, [source, mapping, plans, locale]);
+
+  const readFile = async (picked) => {
+    if (!picked) return;
+    try {
+      const read = readImportFile(await readFileText(picked));
+      setFile({ name: picked.name, source: read });
+      setMapping(read.kind === 'roster' ? guessMapping(read.columns) : []);
+      setMessage(null);
+    } catch (error) {
+      setFile(null);
+      setMessage({ error: true, text: `Could not read ${picked.name}: ${error.message}` });
+    }
+  };
+
+  const finish = (load, text) => {
+    load();
+    setFile(null);
+    setMessage({ error: false, text });
+  };
+
+  const count = (n) => `${n} employee${n === 1 ? '' : 's'}`;
+  const hasErrors = !result || result.errors.length > 0;
+
+  return (
+    <InputCard title="Import Scenario or Roster">
+      <div
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(event) => {
+          event.preventDefault();
+          setDragging(false);
+          readFile(event.dataTransfer.files[0]);
+        }}
+        className={`mb-4 rounded-md border-2 border-dashed p-4 text-center text-sm ${dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 text-gray-600'}`}
+      >
+        <p className="mb-2">Drop a CSV or JSON file here, or</p>
+        <Button onClick={() => fileInput.current.click()}>Choose File</Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(event) => {
+            const [picked] = event.target.files;
+            event.target.value = '';
+            readFile(picked);
+          }}
+          className="hidden"
+          aria-label="Import scenario or roster file"
+        />
+        <p className="mt-2 text-xs text-gray-500">A roster has one employee per row; a scenario is a JSON export from this calculator.</p>
+      </div>
+      {source?.kind === 'roster' && (
+        <>
+          <h3 className="text-sm font-semibold text-gray-700">{`Map the columns of ${file.name}`}</h3>
+          <p className="mb-2 text-xs text-gray-500">Blank cells and fields without a column keep their defaults.</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+            {source.columns.map((column, i) => (
+              <SelectInput
+                key={`${column}-${i}`}
+                label={column}
+                value={mapping[i] ?? ''}
+                onChange={(field) => setMapping((current) => current.map((value, j) => (j === i ? field : value)))}
+                options={FIELD_OPTIONS}
+                helperText={sampleOf(source, i) ? `e.g. ${sampleOf(source, i)}` : 'Empty column'}
+              />
+            ))}
+          </div>
+        </>
+      )}
+      {source?.kind === 'scenario' && (
+        <p className="mb-2 text-sm text-gray-700">{`${file.name} holds the scenario "${source.name}". Loading it replaces every input of the current scenario.`}</p>
+      )}
+      {result && result.errors.length > 0 && (
+        <div role="alert" className="mb-4 text-sm text-red-600">
+          <p className="font-semibold">{`Fix ${result.errors.length === 1 ? 'this problem' : `these ${result.errors.length} problems`} in the file or the mapping to import it:`}</p>
+          <ul className="mt-1 list-disc pl-5">
+            {result.errors.slice(0, SHOWN_ERRORS).map((error, i) => <li key={i}>{describeImportError(error)}</li>)}
+          </ul>
+          {result.errors.length > SHOWN_ERRORS && <p className="mt-1">{`…and ${result.errors.length - SHOWN_ERRORS} more.`}</p>}
+        </div>
+      )}
+      {source && (
+        <div className="flex flex-wrap gap-2">
+          {source.kind === 'roster' ? (
+            <>
+              <Button
+                variant="primary"
+                disabled={hasErrors}
+                onClick={() => finish(() => onReplaceRoster(result.employees), `Replaced the roster with ${count(result.employees.length)} from ${file.name}.`)}
+              >
+                {`Replace Roster${hasErrors ? '' : ` (${count(result.employees.length)})`}`}
+              </Button>
+              <Button
+                disabled={hasErrors}
+                onClick={() => finish(() => onAddToRoster(result.employees), `Added ${count(result.employees.length)} from ${file.name}.`)}
+              >
+                Add to Roster
+              </Button>
+            </>
+          ) : (
+            <Button
+              variant="primary"
+              disabled={hasErrors}
+              onClick={() => finish(() => onLoadScenario(result.inputs), `Loaded the inputs of "${source.name}" into this scenario.`)}
+            >
+              Load into Current Scenario
+            </Button>
+          )}
+          <Button onClick={() => setFile(null)}>Cancel</Button>
+        </div>
+      )}
+      {message && (
+        <p role={message.error ? 'alert' : 'status'} className={`mt-2 text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useId, useState } from 'react';
+import useFormatters from '../hooks/useFormatters.js';
+import useValidation from '../hooks/useValidation.js';
+
+/**
+ * Error and warning messages for an input (see lib/validation.js).
+ */
+export function IssueMessages({ issues, id }) {
+  if (issues.length === 0) return null;
+  return (
+    <div id={id}>
+      {issues.map((issue) => (
+        <p key={`${issue.path}-${issue.message}`} className={`mt-1 text-xs font-medium ${issue.severity === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+          {`${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * A number field in the scenario's locale: it accepts the locale's decimal
+ * mark (e.g. "12,5") and shows the currency symbol where the locale puts it.
+ * While focused, the text is kept as typed so partial numbers aren't reformatted.
+ * `path` names the input for validation, which shows its issues underneath.
+ */
+export function NumberInput({ label, value, onChange, unit = 'dollar', helperText = '', path = '' }) {
+  const { adornment, formatNumber, parseNumber } = useFormatters();
+  const issues = useValidation(path);
+  const issuesId = useId();
+  const [draft, setDraft] = useState(null);
+  const invalid = issues.some((issue) => issue.severity === 'error');
+  const isPercent = unit === 'percent';
+  const isHours = unit === 'hours';
+  const isDollar = unit === 'dollar';
+  const prefix = isDollar && adornment.position === 'prefix' ? adornment.symbol : null;
+  const suffix = isPercent ? '%' : isHours ? 'hrs' : isDollar && adornment.position === 'suffix' ? adornment.symbol : null;
+  const shown = value === '' || value === null || value === undefined || Number.isNaN(Number(value)) ? '' : formatNumber(Number(value));
+
+  const handleChange = (e) => {
+    const val = e.target.value;
+    setDraft(val);
+    if (val.trim() === '') {
+      onChange('');
+      return;
+    }
+    const parsed = parseNumber(val);
+    if (!isNaN(parsed)) {
+      onChange(parsed);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <div className="relative mt-1 rounded-md shadow-sm">
+        {prefix && (
+          <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+            <span className="text-gray-500 sm:text-sm">{prefix}</span>
+          </div>
+        )}
+        <input
+          type="text"
+          inputMode="decimal"
+          value={draft ?? shown}
+          onChange={handleChange}
+          onBlur={() => setDraft(null)}
+          aria-invalid={invalid || undefined}
+          aria-describedby={issues.length > 0 ? issuesId : undefined}
+          className={`block w-full rounded-md ${invalid ? 'border-red-500' : 'border-gray-300'} ${prefix ? (prefix.length > 1 ? 'pl-12' : 'pl-7') : 'pl-3'} ${suffix ? 'pr-12' : 'pr-3'} py-2 focus:border-blue-500 focus:ring-blue-500 sm:text-sm`}
+          placeholder="0"
+        />
+        {suffix && (
+          <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center pr-3">
+            <span className="text-gray-500 sm:text-sm">{suffix}</span>
+          </div>
+        )}
+      </div>
+      {helperText && (
+        <p className="mt-1 text-xs text-gray-500">{helperText}</p>
+      )}
+      <IssueMessages issues={issues} id={issuesId} />
+    </div>
+  );
+}
+
+export function SelectInput({ label, value, onChange, options, helperText = '' }) {
+  const handleChange = (e) => {
+    onChange(e.target.value);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <select
+        value={value}
+        onChange={handleChange}
+        className="mt-1 block w-full rounded-md border-gray-300 py-2 pl-3 pr-10 text-base focus:border-blue-500 focus:outline-none focus:ring-blue-500 sm:text-sm"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {helperText && (
+        <p className="mt-1 text-xs text-gray-500">{helperText}</p>
+      )}
+    </div>
+  );
+}
+
+export function TextInput({ label, value, onChange, helperText = '', type = 'text' }) {
+  const handleChange = (e) => {
+    onChange(e.target.value);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <input
+        type={type}
+        value={value}
+        onChange={handleChange}
+        className="mt-1 block w-full rounded-md border-gray-300 px-3 py-2 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+      />
+      {helperText && (
+        <p className="mt-1 text-xs text-gray-500">{helperText}</p>
+      )}
+    </div>
+  );
+}
+
+export function Button({ children, onClick, disabled = false, variant = 'secondary', type = 'button' }) {
+  const variantClass = variant === 'primary'
+    ? 'bg-blue-600 text-white hover:bg-blue-700 border-transparent'
+    : 'bg-white text-gray-700 hover:bg-gray-50 border-gray-300';
+
+  return (
+    <button
+      type={type}
+      onClick={onClick}
+      disabled={disabled}
+      className={`inline-flex items-center rounded-md border px-3 py-1.5 text-sm font-medium shadow-sm disabled:cursor-not-allowed disabled:opacity-50 ${variantClass}`}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { OutputCard } from './Cards.jsx';
+
+const SEVERITY_CLASSES = {
+  error: 'text-red-600',
+  warning: 'text-amber-600',
+};
+
+/**
+ * Lists every error and warning in the scenario's inputs. Issues with an
+ * employee's inputs open that employee in the editor.
+ */
+export default function IssuesCard({ issues, employees, onSelectEmployee }) {
+  const errors = issues.filter((issue) => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  const employeeName = (id) => employees.find((employee) => employee.id === id)?.name || 'Unnamed employee';
+
+  return (
+    <OutputCard title="Input Issues">
+      <p role="status" className="mb-2 text-sm text-gray-700">
+        {[errors > 0 && count(errors, 'error'), warnings > 0 && count(warnings, 'warning')].filter(Boolean).join(' and ')}
+        {errors > 0 ? '. Results are not reliable until the errors are fixed.' : '. Results are calculated, but check these values.'}
+      </p>
+      <ul className="divide-y divide-gray-100 text-sm">
+        {issues.map((issue) => {
+          const label = issue.employeeId ? `${employeeName(issue.employeeId)} — ${issue.label}` : issue.label;
+          return (
+            <li key={`${issue.path}-${issue.message}`} className="flex items-start justify-between gap-2 py-2">
+              <span>
+                <span className={`font-semibold ${SEVERITY_CLASSES[issue.severity]}`}>{issue.severity === 'error' ? 'Error' : 'Warning'}</span>
+                <span className="text-gray-700">{` ${label}: ${issue.message}`}</span>
+              </span>
+              {issue.employeeId && (
+                <button type="button" onClick={() => onSelectEmployee(issue.employeeId)} aria-label={`Edit ${label}`} className="shrink-0 text-xs font-medium text-blue-600 hover:underline">
+                  Edit
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </OutputCard>
+  );
+}
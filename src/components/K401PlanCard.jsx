@@ -0,0 +1,73 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput } from './Inputs.jsx';
+import { K401_MODELS, K401_PRESETS, describeMatch } from '../lib/k401Plan.js';
+
+const CUSTOM = 'custom';
+
+const sameFormula = (plan, preset) => (
+  Number(plan.nonElective) === preset.nonElective
+  && plan.matchTiers.length === preset.matchTiers.length
+  && plan.matchTiers.every((tier, i) => (
+    Number(tier.match) === preset.matchTiers[i].match && Number(tier.of) === preset.matchTiers[i].of
+  ))
+);
+
+/**
+ * Chooses between a flat 401k contribution and the plan's match formula, and
+ * edits the formula shared by the whole roster.
+ */
+export default function K401PlanCard({ k401Model, k401Plan, onModelChange, onChange }) {
+  const { matchTiers } = k401Plan;
+  const preset = K401_PRESETS.find((p) => sameFormula(k401Plan, p));
+
+  const field = (name) => (value) => onChange({ ...k401Plan, [name]: value });
+  const setTiers = (tiers) => onChange({ ...k401Plan, matchTiers: tiers });
+  const setTier = (index, name) => (value) => setTiers(matchTiers.map((tier, i) => (i === index ? { ...tier, [name]: value } : tier)));
+
+  const applyPreset = (id) => {
+    const selected = K401_PRESETS.find((p) => p.id === id);
+    if (selected) {
+      onChange({ ...k401Plan, matchTiers: selected.matchTiers, nonElective: selected.nonElective });
+    }
+  };
+
+  return (
+    <InputCard title="401k Plan">
+      <SelectInput
+        label="401k Model"
+        value={k401Model}
+        onChange={onModelChange}
+        options={K401_MODELS}
+        helperText={k401Model === 'match'
+          ? "Employer contributions follow the plan's formula and each employee's deferral rate."
+          : "Each employee's Employer 401k Contribution % is applied to their salary."}
+      />
+      {k401Model === 'match' && (
+        <>
+          <SelectInput
+            label="Plan Formula"
+            value={preset ? preset.id : CUSTOM}
+            onChange={applyPreset}
+            options={[...K401_PRESETS.map((p) => ({ value: p.id, label: p.label })), { value: CUSTOM, label: 'Custom' }]}
+            helperText={`${describeMatch(matchTiers)}${Number(k401Plan.nonElective) > 0 ? `, plus ${k401Plan.nonElective}% non-elective` : ''}`}
+          />
+          {matchTiers.map((tier, i) => (
+            <div key={i} className="grid grid-cols-2 gap-x-6 border-t border-gray-100 pt-3">
+              <NumberInput label={`Tier ${i + 1}: Match`} value={tier.match} onChange={setTier(i, 'match')} unit="percent" path={`k401Plan.matchTiers.${i}.match`} />
+              <NumberInput label={i === 0 ? 'Of the First' : 'Of the Next'} value={tier.of} onChange={setTier(i, 'of')} unit="percent" path={`k401Plan.matchTiers.${i}.of`} helperText="Of pay deferred" />
+              <div className="col-span-2 mb-4">
+                <Button onClick={() => setTiers(matchTiers.filter((_, j) => j !== i))}>{`Remove Tier ${i + 1}`}</Button>
+              </div>
+            </div>
+          ))}
+          <div className="mb-4">
+            <Button onClick={() => setTiers([...matchTiers, { match: 50, of: 1 }])}>Add Match Tier</Button>
+          </div>
+          <NumberInput label="Non-Elective Contribution" value={k401Plan.nonElective} onChange={field('nonElective')} unit="percent" path="k401Plan.nonElective" helperText="Paid to everyone whether or not they defer (e.g., 3% safe harbor)" />
+          <NumberInput label="Compensation Limit" value={k401Plan.compensationLimit} onChange={field('compensationLimit')} unit="dollar" path="k401Plan.compensationLimit" helperText="IRS annual limit on pay counted by the plan. 0 means no cap." />
+        </>
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,48 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import { CURRENCIES, LOCALES } from '../lib/format.js';
+
+/**
+ * The locale and currency every amount is shown in, plus an optional second
+ * currency for quoting the client rate at a fixed exchange rate.
+ */
+export default function LocalizationCard({ localization, onChange }) {
+  const field = (name) => (value) => onChange({ ...localization, [name]: value });
+  const converts = localization.clientCurrency !== '' && localization.clientCurrency !== localization.currency;
+
+  return (
+    <InputCard title="Currency & Locale">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+        <SelectInput
+          label="Locale"
+          value={localization.locale}
+          onChange={field('locale')}
+          options={LOCALES}
+          helperText="Sets number formatting, including the decimal mark you type."
+        />
+        <SelectInput label="Cost Currency" value={localization.currency} onChange={field('currency')} options={CURRENCIES} />
+      </div>
+      <SelectInput
+        label="Client Rate Currency"
+        value={converts ? localization.clientCurrency : ''}
+        onChange={field('clientCurrency')}
+        options={[
+          { value: '', label: 'Same as Cost Currency' },
+          ...CURRENCIES.filter((currency) => currency.value !== localization.currency),
+        ]}
+        helperText="Quote the recommended rate in another currency."
+      />
+      {converts && (
+        <NumberInput
+          label="Exchange Rate"
+          value={localization.exchangeRate}
+          onChange={field('exchangeRate')}
+          unit="rate"
+          path="localization.exchangeRate"
+          helperText={`${localization.clientCurrency} per 1 ${localization.currency}`}
+        />
+      )}
+    </InputCard>
+  );
+}
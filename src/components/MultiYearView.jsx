@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import { InputCard, OutputCard, SummaryItem } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import MultiYearChart from './charts/MultiYearChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { DEFAULT_MULTI_YEAR, TERM_LENGTHS, projectYears } from '../lib/multiYear.js';
+import { calculateTeam } from '../lib/team.js';
+
+const calculateYear = (inputs) => calculateTeam(inputs.employees, inputs);
+
+/**
+ * The required rate each year of a multi-year contract as costs grow, against
+ * the contracted rate under its escalation clause.
+ */
+export default function MultiYearView({ inputs, onChange, flagged = false }) {
+  const { formatCurrency, formatHours } = useFormatters();
+  const settings = { ...DEFAULT_MULTI_YEAR, ...inputs.multiYear };
+  const projection = useMemo(() => projectYears(inputs, calculateYear), [inputs]);
+  const calendarYear = Number(inputs.schedule?.year) || 0;
+
+  const setSetting = (field) => (value) => onChange((current) => ({
+    ...current,
+    multiYear: { ...DEFAULT_MULTI_YEAR, ...current.multiYear, [field]: value },
+  }));
+  const yearLabel = (year) => (calendarYear ? `Year ${year} (${calendarYear + year - 1})` : `Year ${year}`);
+
+  return (
+    <div className="flex flex-col gap-6">
+      <InputCard title="Multi-Year Contract">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+          <SelectInput
+            label="Contract Term"
+            value={String(settings.years)}
+            onChange={(value) => setSetting('years')(Number(value))}
+            options={TERM_LENGTHS.map((option) => ({ ...option, value: String(option.value) }))}
+          />
+          <NumberInput
+            label="Contracted Year 1 Rate"
+            value={settings.startingRate}
+            onChange={setSetting('startingRate')}
+            unit="dollar"
+            path="multiYear.startingRate"
+            helperText={`0 uses the recommended rate (${formatCurrency(projection.rows[0].requiredRate)}/hr)`}
+          />
+          <NumberInput label="Annual Salary Raise" value={settings.salaryRaise} onChange={setSetting('salaryRaise')} unit="percent" path="multiYear.salaryRaise" helperText="Costs priced as a % of salary grow with it" />
+          <NumberInput label="Benefit Cost Inflation" value={settings.benefitInflation} onChange={setSetting('benefitInflation')} unit="percent" path="multiYear.benefitInflation" helperText="Health premiums, HSA/HRA and fixed-amount benefits" />
+          <NumberInput label="Overhead Inflation" value={settings.overheadInflation} onChange={setSetting('overheadInflation')} unit="percent" path="multiYear.overheadInflation" />
+          <NumberInput label="Rate Escalation" value={settings.rateEscalation} onChange={setSetting('rateEscalation')} unit="percent" path="multiYear.rateEscalation" helperText="The contracted rate's annual increase" />
+        </div>
+      </InputCard>
+      <OutputCard title="Required vs. Contracted Rate" flagged={flagged}>
+        <MultiYearChart
+          rows={projection.rows}
+          formatCurrency={formatCurrency}
+          title={`Required and contracted hourly rates and the cumulative reserve over a ${projection.rows.length}-year contract`}
+        />
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 font-medium">Year</th>
+                <th className="py-2 font-medium text-right">Billable Hours</th>
+                <th className="py-2 font-medium text-right">Required Rate</th>
+                <th className="py-2 font-medium text-right">Contracted Rate</th>
+                <th className="py-2 font-medium text-right">Costs</th>
+                <th className="py-2 font-medium text-right">Reserve</th>
+                <th className="py-2 font-medium text-right">Cumulative Reserve</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {projection.rows.map((row) => (
+                <tr key={row.year}>
+                  <td className="py-2 text-gray-900">{yearLabel(row.year)}</td>
+                  <td className="py-2 text-right text-gray-900">{formatHours(row.billableHours)}</td>
+                  <td className="py-2 text-right text-gray-900">{formatCurrency(row.requiredRate)}</td>
+                  <td className={`py-2 text-right ${row.gap < 0 ? 'font-bold text-red-600' : 'text-gray-900'}`}>{formatCurrency(row.contractedRate)}</td>
+                  <td className="py-2 text-right text-red-600">{formatCurrency(row.costs)}</td>
+                  <td className={`py-2 text-right ${row.reserve >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatCurrency(row.reserve)}</td>
+                  <td className="py-2 text-right font-bold text-gray-900">{formatCurrency(row.cumulativeReserve)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">Contracted rates below the required rate are in red. Hours, the vacation bonus and payroll tax wage bases stay as entered.</p>
+      </OutputCard>
+      <OutputCard title="Contract Totals" flagged={flagged}>
+        <SummaryItem label="Total Revenue at Contracted Rates" value={projection.revenue} isPositive />
+        <SummaryItem label="Total Costs" value={projection.costs} isNegative />
+        <SummaryItem label="Cumulative Reserve Contribution" value={projection.reserve} isPositive={projection.reserve >= 0} isNegative={projection.reserve < 0} isBold />
+        <p className={`mt-2 text-sm font-medium ${projection.shortfallYear ? 'text-amber-700' : 'text-green-700'}`}>
+          {projection.shortfallYear
+            ? `From ${yearLabel(projection.shortfallYear)} the contracted rate no longer covers costs (it is below the break-even rate).`
+            : 'The contracted rate covers costs in every year of the term.'}
+        </p>
+      </OutputCard>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { OVERHEAD_ALLOCATIONS, OVERHEAD_MODELS, createOverheadItem } from '../lib/overhead.js';
+
+/**
+ * Chooses between company overhead as a % of salary and an itemized ledger of
+ * fixed annual costs, and edits the ledger and how it is allocated.
+ */
+export default function OverheadCard({ overheadModel, companyOverhead, overheadLedger, onModelChange, onCompanyOverheadChange, onChange }) {
+  const { formatCurrency } = useFormatters();
+  const { items } = overheadLedger;
+  const total = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+  const setItems = (next) => onChange({ ...overheadLedger, items: next });
+  const updateItem = (id, field) => (value) => setItems(items.map((item) => (item.id === id ? { ...item, [field]: value } : item)));
+
+  return (
+    <InputCard title="Company Overhead">
+      <SelectInput label="Overhead Model" value={overheadModel} onChange={onModelChange} options={OVERHEAD_MODELS} />
+      {overheadModel === 'itemized' ? (
+        <>
+          <SelectInput
+            label="Allocation Method"
+            value={overheadLedger.allocation}
+            onChange={(allocation) => onChange({ ...overheadLedger, allocation })}
+            options={OVERHEAD_ALLOCATIONS}
+            helperText="How the ledger's total is split across the roster"
+          />
+          {items.map((item, i) => (
+            <div key={item.id} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] items-start gap-x-6">
+              <TextInput label={`Overhead Item ${i + 1}: Description`} value={item.name} onChange={updateItem(item.id, 'name')} />
+              <NumberInput label={`Overhead Item ${i + 1}: Annual Cost`} value={item.amount} onChange={updateItem(item.id, 'amount')} unit="dollar" path={`overheadLedger.items.${item.id}.amount`} />
+              <div className="mb-4 sm:mt-6">
+                <Button onClick={() => setItems(items.filter((other) => other.id !== item.id))}>{`Remove Overhead Item ${i + 1}`}</Button>
+              </div>
+            </div>
+          ))}
+          <Button onClick={() => setItems([...items, createOverheadItem()])}>Add Overhead Item</Button>
+          <p className="mt-2 text-sm text-gray-700">{`Total annual overhead: ${formatCurrency(total)}`}</p>
+        </>
+      ) : (
+        <NumberInput label="Company Overhead" value={companyOverhead} onChange={onCompanyOverheadChange} unit="percent" path="companyOverhead" helperText="As a % of salary (e.g., rent, software, utilities)" />
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import { TAX_MODELS } from '../lib/payrollTaxes.js';
+
+/**
+ * Chooses between the flat employer tax percentage and itemized payroll taxes,
+ * and edits the itemized rates and wage bases shared by the whole roster.
+ */
+export default function PayrollTaxesCard({ taxModel, payrollTaxes, onModelChange, onChange }) {
+  const field = (name) => (value) => onChange({ ...payrollTaxes, [name]: value });
+
+  return (
+    <InputCard title="Employer Payroll Taxes">
+      <SelectInput
+        label="Tax Model"
+        value={taxModel}
+        onChange={onModelChange}
+        options={TAX_MODELS}
+        helperText={taxModel === 'itemized'
+          ? 'Taxes apply to salary plus bonuses, up to each wage base. A wage base of 0 means no cap.'
+          : "Each employee's Employer Taxes % is applied to their salary."}
+      />
+      {taxModel === 'itemized' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+          <NumberInput label="Social Security Rate" value={payrollTaxes.socialSecurityRate} onChange={field('socialSecurityRate')} path="payrollTaxes.socialSecurityRate" unit="percent" />
+          <NumberInput label="Social Security Wage Base" value={payrollTaxes.socialSecurityWageBase} onChange={field('socialSecurityWageBase')} path="payrollTaxes.socialSecurityWageBase" unit="dollar" />
+          <NumberInput label="Medicare Rate" value={payrollTaxes.medicareRate} onChange={field('medicareRate')} path="payrollTaxes.medicareRate" unit="percent" helperText="No wage base" />
+          <div />
+          <NumberInput label="FUTA Rate" value={payrollTaxes.futaRate} onChange={field('futaRate')} path="payrollTaxes.futaRate" unit="percent" helperText="After the state unemployment credit" />
+          <NumberInput label="FUTA Wage Base" value={payrollTaxes.futaWageBase} onChange={field('futaWageBase')} path="payrollTaxes.futaWageBase" unit="dollar" />
+          <NumberInput label="State Unemployment (SUTA) Rate" value={payrollTaxes.sutaRate} onChange={field('sutaRate')} path="payrollTaxes.sutaRate" unit="percent" />
+          <NumberInput label="SUTA Wage Base" value={payrollTaxes.sutaWageBase} onChange={field('sutaWageBase')} path="payrollTaxes.sutaWageBase" unit="dollar" />
+        </div>
+      )}
+    </InputCard>
+  );
+}
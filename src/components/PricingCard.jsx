@@ -0,0 +1,32 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import { PRICING_MODELS } from '../lib/pricing.js';
+
+/**
+ * Chooses how the reserve is added to the break-even rate and edits the
+ * chosen method's target. The other methods keep their values.
+ */
+export default function PricingCard({ pricingModel, profitMargin, pricing, onModelChange, onProfitMarginChange, onChange }) {
+  const field = (name) => (value) => onChange({ ...pricing, [name]: value });
+  // Unknown methods price per hour, as in reservePerHour
+  const model = PRICING_MODELS.some((m) => m.value === pricingModel) ? pricingModel : 'perHour';
+
+  return (
+    <InputCard title="Reserve Fund & Pricing">
+      <SelectInput label="Pricing Method" value={model} onChange={onModelChange} options={PRICING_MODELS} />
+      {model === 'margin' && (
+        <NumberInput label="Target Margin" value={pricing.margin} onChange={field('margin')} unit="percent" path="pricing.margin" helperText="Reserve as a % of revenue. The rate is the break-even rate divided by (1 − margin)." />
+      )}
+      {model === 'markup' && (
+        <NumberInput label="Markup on Cost" value={pricing.markup} onChange={field('markup')} unit="percent" path="pricing.markup" helperText="Reserve as a % of cost, added to the break-even rate" />
+      )}
+      {model === 'annualProfit' && (
+        <NumberInput label="Target Annual Reserve" value={pricing.annualProfit} onChange={field('annualProfit')} unit="dollar" path="pricing.annualProfit" helperText="Reserve for the whole roster per year, spread over all billable hours" />
+      )}
+      {model === 'perHour' && (
+        <NumberInput label="Partner Investment / Reserve Fund" value={profitMargin} onChange={onProfitMarginChange} unit="dollar" path="profitMargin" helperText="Target contribution per hour for reserves (rainy day, hiring, etc.)" />
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,117 @@
+import React from 'react';
+import { InputCard, OutputCard, SummaryItem } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { DEFAULT_PROJECT, createExpense, createTask, estimateProject } from '../lib/project.js';
+
+/**
+ * A fixed-price quote for a project, priced from the active scenario's rates.
+ */
+export default function ProjectEstimateView({ inputs, result, onChange, flagged = false }) {
+  const { formatCurrency, formatClientCurrency, formatHours, formatPercent, converts, clientCurrency } = useFormatters();
+  const project = { ...DEFAULT_PROJECT, ...inputs.project };
+  const estimate = estimateProject(project, result);
+
+  const setProject = (field) => (value) => onChange((current) => {
+    const settings = { ...DEFAULT_PROJECT, ...current.project };
+    return { ...current, project: { ...settings, [field]: typeof value === 'function' ? value(settings[field]) : value } };
+  });
+  const addItem = (list, item) => setProject(list)((items) => [...items, item]);
+  const updateItem = (list, id, field) => (value) => setProject(list)((items) => items.map((item) => (
+    item.id === id ? { ...item, [field]: value } : item
+  )));
+  const removeItem = (list, id) => setProject(list)((items) => items.filter((item) => item.id !== id));
+
+  const assignees = [
+    { value: '', label: `Blended team rate (${formatCurrency(result.rates.target)}/hr)` },
+    ...result.members.map((member) => ({ value: member.id, label: `${member.name || 'Unnamed employee'} (${formatCurrency(member.rates.target)}/hr)` })),
+  ];
+  const overrun = estimate.hours > 0 ? (estimate.breakEvenHours / estimate.hours - 1) * 100 : 0;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="flex flex-col gap-6">
+        <InputCard title="Project">
+          <TextInput label="Project Name" value={project.name} onChange={setProject('name')} />
+          <NumberInput label="Contingency" value={project.contingency} onChange={setProject('contingency')} unit="percent" path="project.contingency" helperText="Added to every task's hours in the price, for scope risk" />
+        </InputCard>
+        <InputCard title="Tasks & Phases">
+          {project.tasks.map((task, i) => (
+            <div key={task.id} className="mb-4 border-b border-gray-100 pb-2">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+                <TextInput label={`Task ${i + 1}: Name`} value={task.name} onChange={updateItem('tasks', task.id, 'name')} />
+                <NumberInput label={`Task ${i + 1}: Estimated Hours`} value={task.hours} onChange={updateItem('tasks', task.id, 'hours')} unit="hours" path={`project.tasks.${task.id}.hours`} />
+              </div>
+              <SelectInput label={`Task ${i + 1}: Assigned To`} value={estimate.tasks[i].assignee} onChange={updateItem('tasks', task.id, 'assignee')} options={assignees} />
+              <Button onClick={() => removeItem('tasks', task.id)}>{`Remove Task ${i + 1}`}</Button>
+            </div>
+          ))}
+          <Button onClick={() => addItem('tasks', createTask({ name: `Task ${project.tasks.length + 1}` }))}>Add Task</Button>
+        </InputCard>
+        <InputCard title="Pass-Through Expenses">
+          <p className="mb-4 text-xs text-gray-500">Billed at cost (e.g. travel, licenses, subcontractors), so they add to the price but not the margin.</p>
+          {project.expenses.map((expense, i) => (
+            <div key={expense.id} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] items-start gap-x-6">
+              <TextInput label={`Expense ${i + 1}: Description`} value={expense.name} onChange={updateItem('expenses', expense.id, 'name')} />
+              <NumberInput label={`Expense ${i + 1}: Amount`} value={expense.amount} onChange={updateItem('expenses', expense.id, 'amount')} unit="dollar" path={`project.expenses.${expense.id}.amount`} />
+              <div className="mb-4 sm:mt-6">
+                <Button onClick={() => removeItem('expenses', expense.id)}>{`Remove Expense ${i + 1}`}</Button>
+              </div>
+            </div>
+          ))}
+          <Button onClick={() => addItem('expenses', createExpense())}>Add Expense</Button>
+        </InputCard>
+      </div>
+      <div className="flex flex-col gap-6">
+        <OutputCard title={project.name ? `Fixed-Price Quote: ${project.name}` : 'Fixed-Price Quote'} flagged={flagged}>
+          <div className="mb-2 text-center">
+            <span className="text-4xl font-bold text-blue-600">{formatClientCurrency(estimate.price)}</span>
+            {converts && <p className="text-sm text-gray-500">{`${formatCurrency(estimate.price)} converted to ${clientCurrency}`}</p>}
+          </div>
+          <SummaryItem label="Estimated Hours" value={formatHours(estimate.hours)} isCurrency={false} />
+          <SummaryItem label="Quoted Hours (incl. Contingency)" value={formatHours(estimate.quotedHours)} isCurrency={false} />
+          <SummaryItem label="Labor" value={estimate.laborPrice - estimate.contingencyPrice} />
+          <SummaryItem label="Contingency" value={estimate.contingencyPrice} />
+          <SummaryItem label="Pass-Through Expenses" value={estimate.expenses} />
+          <SummaryItem label="Fixed Price" value={estimate.price} isBold />
+          <hr className="my-2" />
+          <SummaryItem label="Expected Cost (at Break-Even Rates)" value={estimate.cost} isNegative />
+          <SummaryItem label="Project Reserve" value={estimate.profit} isPositive={estimate.profit >= 0} isNegative={estimate.profit < 0} isBold />
+          <SummaryItem label="Project Margin" value={formatPercent(estimate.margin)} isCurrency={false} isBold />
+          <SummaryItem label="Break-Even Hours" value={formatHours(estimate.breakEvenHours)} isCurrency={false} />
+          {estimate.laborCost > 0 && (
+            <p className="mt-2 text-sm text-gray-600">
+              {`The price covers the project's costs for up to ${formatHours(estimate.breakEvenHours)} hours of work, ${formatPercent(overrun)} over the estimate. Any hours beyond that are a loss.`}
+            </p>
+          )}
+        </OutputCard>
+        <OutputCard title="Task Pricing">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 font-medium">Task</th>
+                  <th className="py-2 font-medium text-right">Hours</th>
+                  <th className="py-2 font-medium text-right">Rate</th>
+                  <th className="py-2 font-medium text-right">Price</th>
+                  <th className="py-2 font-medium text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {estimate.tasks.map((task) => (
+                  <tr key={task.id}>
+                    <td className="py-2 text-gray-900">{task.name || 'Unnamed task'}</td>
+                    <td className="py-2 text-right text-gray-900">{formatHours(task.quotedHours)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(task.rate)}</td>
+                    <td className="py-2 text-right text-green-600">{formatCurrency(task.price)}</td>
+                    <td className="py-2 text-right text-red-600">{formatCurrency(task.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </OutputCard>
+      </div>
+    </div>
+  );
+}
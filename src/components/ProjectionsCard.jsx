@@ -0,0 +1,25 @@
+import React from 'react';
+import { LineItem, OutputCard } from './Cards.jsx';
+import { BILLABLE_HOURS_ITEM, MARGIN_ITEM, MARKUP_ITEM, RESERVE_ITEM, RESERVE_PER_HOUR_ITEM, REVENUE_ITEM, TOTAL_COST_ITEM } from '../lib/lineItems.js';
+
+/**
+ * Annual billable hours, revenue, costs and reserve for a calculation result,
+ * with the reserve in the terms of every pricing method.
+ */
+export default function ProjectionsCard({ result, flagged = false }) {
+  return (
+    <OutputCard title="Annual Projections" flagged={flagged}>
+      {result.totalBillableHours <= 0 && (
+        <p className="text-red-600 font-bold text-center p-4">Warning: Non-billable hours exceed total available hours. Billable hours are zero.</p>
+      )}
+      <LineItem item={BILLABLE_HOURS_ITEM} result={result} />
+      <LineItem item={REVENUE_ITEM} result={result} />
+      <LineItem item={TOTAL_COST_ITEM} result={result} />
+      <hr className="my-2" />
+      <LineItem item={RESERVE_ITEM} result={result} />
+      <LineItem item={MARGIN_ITEM} result={result} />
+      <LineItem item={RESERVE_PER_HOUR_ITEM} result={result} />
+      <LineItem item={MARKUP_ITEM} result={result} />
+    </OutputCard>
+  );
+}
@@ -0,0 +1,102 @@
+import React from 'react';
+import { InvalidInputsNote } from './Cards.jsx';
+import { Button } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { PROJECTION_ITEMS, TOTAL_COST_ITEM, getCostItems } from '../lib/lineItems.js';
+import { OVERHEAD_ALLOCATIONS } from '../lib/overhead.js';
+
+function Section({ title, children }) {
+  return (
+    <section className="mb-6 break-inside-avoid">
+      <h3 className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500">{title}</h3>
+      <table className="w-full text-sm">
+        <tbody className="divide-y divide-gray-100">{children}</tbody>
+      </table>
+    </section>
+  );
+}
+
+function Row({ label, value, isBold = false, isDetail = false }) {
+  return (
+    <tr className={isBold ? 'font-bold' : ''}>
+      <td className={`py-1.5 text-gray-700 ${isDetail ? 'pl-6 text-xs' : ''}`}>{label}</td>
+      <td className={`py-1.5 text-right text-gray-900 ${isDetail ? 'text-xs' : ''}`}>{value}</td>
+    </tr>
+  );
+}
+
+/**
+ * A print-ready summary of the active scenario: the quoted rate, the annual
+ * projections and the full cost breakdown. Printing the page (or saving it as
+ * PDF) prints just this sheet. `flagged` warns (on screen only) that the
+ * figures are based on invalid inputs.
+ */
+export default function QuoteSheet({ scenario, result, flagged = false }) {
+  const { locale, formatClientCurrency, formatCurrency, formatHours, formatPercent, formatValue, converts, currency, clientCurrency, exchangeRate, formatNumber } = useFormatters();
+  const { inputs } = scenario;
+  const isTeam = result.members.length > 1;
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date());
+  const describeOverhead = ({ overheadModel, overheadLedger, companyOverhead }) => {
+    if (overheadModel !== 'itemized') return `${formatPercent(Number(companyOverhead) || 0)} of salary`;
+    const total = overheadLedger.items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    const allocation = OVERHEAD_ALLOCATIONS.find((option) => option.value === overheadLedger.allocation);
+    return `${formatCurrency(total)} per year, allocated ${(allocation || OVERHEAD_ALLOCATIONS[0]).label.toLowerCase()}`;
+  };
+  const describeReserve = ({ pricingModel, pricing, profitMargin }) => {
+    const amount = (field) => Number(pricing?.[field]) || 0;
+    switch (pricingModel) {
+      case 'margin': return `${formatPercent(amount('margin'))} of revenue`;
+      case 'markup': return `${formatPercent(amount('markup'))} on cost`;
+      case 'annualProfit': return `${formatCurrency(amount('annualProfit'))} per year`;
+      default: return `${formatCurrency(Number(profitMargin) || 0)} per billable hour`;
+    }
+  };
+
+  return (
+    <article className="quote-sheet bg-white p-8 rounded-lg shadow-md print:p-0 print:shadow-none print:rounded-none">
+      <div className="mb-6 flex items-start justify-between gap-4 print:hidden">
+        <div>{flagged && <InvalidInputsNote />}</div>
+        <Button variant="primary" onClick={() => window.print()}>Print / Save as PDF</Button>
+      </div>
+      <header className="mb-6 border-b border-gray-300 pb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Rate Quote</h2>
+        <p className="text-sm text-gray-600">{`${scenario.name || 'Untitled Scenario'} — ${date}`}</p>
+      </header>
+      <section className="mb-6 rounded-md border border-gray-200 p-6 text-center break-inside-avoid">
+        <p className="text-lg font-medium text-gray-700">{isTeam ? 'Recommended Blended Team Rate' : 'Recommended Hourly Rate'}</p>
+        <p className="text-4xl font-bold text-blue-600">{`${formatClientCurrency(result.rates.target)} / hour`}</p>
+        {converts && (
+          <p className="mt-1 text-sm text-gray-500">{`${formatCurrency(result.rates.target)} / hour at 1 ${currency} = ${formatNumber(exchangeRate)} ${clientCurrency}`}</p>
+        )}
+        <p className="mt-1 text-sm text-gray-500">{`Break-Even Rate (Costs Only): ${formatClientCurrency(result.rates.breakEven)} / hour`}</p>
+      </section>
+      {isTeam && (
+        <Section title="Per-Employee Rates">
+          {result.members.map((member) => (
+            <Row
+              key={member.id}
+              label={`${member.name || 'Unnamed employee'} (${formatHours(member.totalBillableHours)} billable hours)`}
+              value={`${formatClientCurrency(member.rates.target)} / hour`}
+            />
+          ))}
+        </Section>
+      )}
+      <Section title="Annual Projections">
+        {PROJECTION_ITEMS.map((item) => (
+          <Row key={item.id} label={item.label} value={formatValue(item.value(result), item.format)} isBold={item.bold} />
+        ))}
+      </Section>
+      <Section title="Annual Cost Breakdown">
+        {getCostItems(result).map((item) => (
+          <Row key={item.id} label={item.label} value={formatValue(item.value(result), item.format)} isDetail={Boolean(item.parent)} />
+        ))}
+        <Row label={TOTAL_COST_ITEM.label} value={formatValue(TOTAL_COST_ITEM.value(result), TOTAL_COST_ITEM.format)} isBold />
+      </Section>
+      <Section title="Assumptions">
+        <Row label="Available Hours per Employee" value={formatHours(result.totalStandardHours)} />
+        <Row label="Company Overhead" value={describeOverhead(inputs)} />
+        <Row label="Reserve Target" value={describeReserve(inputs)} />
+      </Section>
+    </article>
+  );
+}
@@ -0,0 +1,162 @@
+import React from 'react';
+import { InputCard, OutputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { toCsv } from '../lib/csv.js';
+import { downloadFile } from '../lib/files.js';
+import {
+  DEFAULT_RATE_CARD,
+  ROLE_OVERRIDE_FIELDS,
+  ROUNDING_DIRECTIONS,
+  ROUNDING_INCREMENTS,
+  createRole,
+  priceRateCard,
+  rateCardRows,
+} from '../lib/rateCard.js';
+import { toCalculatorInputs } from '../lib/team.js';
+
+/**
+ * Builds a published rate card: a rate per role from its salary band, priced
+ * with the scenario's shared assumptions and rounded by the card's rule.
+ */
+export default function RateCardView({ inputs, result, onChange, flagged = false }) {
+  const { formatCurrency, formatHours } = useFormatters();
+  const rateCard = { ...DEFAULT_RATE_CARD, ...inputs.rateCard };
+  const base = inputs.employees.find((employee) => employee.id === rateCard.baseEmployee) || inputs.employees[0];
+  const baseInputs = toCalculatorInputs(base, inputs);
+  const rows = priceRateCard(rateCard, baseInputs, result);
+
+  const setRateCard = (field) => (value) => onChange((current) => {
+    const settings = { ...DEFAULT_RATE_CARD, ...current.rateCard };
+    return { ...current, rateCard: { ...settings, [field]: typeof value === 'function' ? value(settings[field]) : value } };
+  });
+  const setRoles = setRateCard('roles');
+  const updateRole = (id, update) => setRoles((roles) => roles.map((role) => (role.id === id ? update(role) : role)));
+  const setRoleField = (id, field) => (value) => updateRole(id, (role) => ({ ...role, [field]: value }));
+  const setOverride = (id, index) => (value) => updateRole(id, (role) => ({
+    ...role,
+    overrides: role.overrides.map((override, i) => (i === index ? { ...override, value } : override)),
+  }));
+  const addOverride = (id) => (field) => updateRole(id, (role) => ({
+    ...role,
+    overrides: [...role.overrides, { field, value: baseInputs[field] }],
+  }));
+  const removeOverride = (id, index) => updateRole(id, (role) => ({
+    ...role,
+    overrides: role.overrides.filter((_, i) => i !== index),
+  }));
+
+  const exportCard = () => downloadFile('rate-card.csv', toCsv(rateCardRows(rows)), 'text/csv');
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="flex flex-col gap-6">
+        <InputCard title="Rate Card">
+          {inputs.employees.length > 1 && (
+            <SelectInput
+              label="Base Assumptions From"
+              value={base.id}
+              onChange={setRateCard('baseEmployee')}
+              options={inputs.employees.map((employee) => ({ value: employee.id, label: employee.name || 'Unnamed employee' }))}
+              helperText="Roles inherit this employee's benefits, taxes and non-billable time unless they override them."
+            />
+          )}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+            <SelectInput
+              label="Round Rates"
+              value={rateCard.roundingDirection}
+              onChange={setRateCard('roundingDirection')}
+              options={ROUNDING_DIRECTIONS}
+            />
+            <SelectInput
+              label="Rounding Increment"
+              value={String(rateCard.rounding)}
+              onChange={(value) => setRateCard('rounding')(Number(value))}
+              options={ROUNDING_INCREMENTS.map((step) => ({ value: String(step), label: step > 0 ? formatCurrency(step) : 'No rounding' }))}
+            />
+          </div>
+          {inputs.employees.length === 1 && (
+            <p className="text-xs text-gray-500">Roles inherit the employee&apos;s benefits, taxes and non-billable time unless they override them.</p>
+          )}
+        </InputCard>
+        <InputCard title="Roles">
+          {rateCard.roles.map((role, i) => {
+            const used = role.overrides.map((override) => override.field);
+            const available = ROLE_OVERRIDE_FIELDS.filter((field) => !used.includes(field.value));
+            return (
+              <div key={role.id} className="mb-4 border-b border-gray-100 pb-2">
+                <TextInput label={`Role ${i + 1}: Name`} value={role.name} onChange={setRoleField(role.id, 'name')} />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+                  <NumberInput label={`Role ${i + 1}: Salary Band Minimum`} value={role.salaryMin} onChange={setRoleField(role.id, 'salaryMin')} unit="dollar" path={`rateCard.roles.${role.id}.salaryMin`} />
+                  <NumberInput label={`Role ${i + 1}: Salary Band Maximum`} value={role.salaryMax} onChange={setRoleField(role.id, 'salaryMax')} unit="dollar" path={`rateCard.roles.${role.id}.salaryMax`} />
+                </div>
+                {role.overrides.map((override, index) => {
+                  const field = ROLE_OVERRIDE_FIELDS.find((f) => f.value === override.field);
+                  if (!field) return null;
+                  return (
+                    <div key={override.field} className="grid grid-cols-1 sm:grid-cols-[1fr_auto] items-start gap-x-6">
+                      <NumberInput
+                        label={`Role ${i + 1}: ${field.label}`}
+                        value={override.value}
+                        onChange={setOverride(role.id, index)}
+                        unit={field.unit}
+                        path={`rateCard.roles.${role.id}.overrides.${index}.value`}
+                      />
+                      <div className="mb-4 sm:mt-6">
+                        <Button onClick={() => removeOverride(role.id, index)}>{`Remove Role ${i + 1} ${field.label} Override`}</Button>
+                      </div>
+                    </div>
+                  );
+                })}
+                {available.length > 0 && (
+                  <SelectInput
+                    label={`Role ${i + 1}: Add Override`}
+                    value=""
+                    onChange={addOverride(role.id)}
+                    options={[{ value: '', label: `Choose a field to set for ${role.name || 'this role'}…` }, ...available]}
+                  />
+                )}
+                <Button onClick={() => setRoles((roles) => roles.filter((other) => other.id !== role.id))} disabled={rateCard.roles.length <= 1}>{`Remove Role ${i + 1}`}</Button>
+              </div>
+            );
+          })}
+          <Button onClick={() => setRoles((roles) => [...roles, createRole()])}>Add Role</Button>
+        </InputCard>
+      </div>
+      <div className="flex flex-col gap-6">
+        <OutputCard title="Published Rates" flagged={flagged}>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 font-medium">Role</th>
+                  <th className="py-2 font-medium text-right">Billable Hours</th>
+                  <th className="py-2 font-medium text-right">Break-Even</th>
+                  <th className="py-2 font-medium text-right">Recommended</th>
+                  <th className="py-2 font-medium text-right">Published Rate</th>
+                  <th className="py-2 font-medium text-right">Range</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.id}>
+                    <td className="py-2 text-gray-900">{row.name || 'Unnamed role'}</td>
+                    <td className="py-2 text-right text-gray-900">{formatHours(row.billableHours)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(row.breakEvenRate)}</td>
+                    <td className="py-2 text-right text-gray-900">{formatCurrency(row.targetRate)}</td>
+                    <td className="py-2 text-right font-bold text-blue-600">{formatCurrency(row.rate)}</td>
+                    <td className="py-2 text-right text-gray-900">{`${formatCurrency(row.rateLow)}–${formatCurrency(row.rateHigh)}`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">Rates are at each band&apos;s midpoint salary; the range runs from the band minimum to the maximum.</p>
+          <div className="mt-4">
+            <Button onClick={exportCard}>Export Rate Card CSV</Button>
+          </div>
+        </OutputCard>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+import { OutputCard } from './Cards.jsx';
+import StackedBarChart from './charts/StackedBarChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { rateComposition } from '../lib/costCharts.js';
+
+/**
+ * The recommended hourly rate split into what each billable hour pays for.
+ */
+export default function RateCompositionCard({ result, flagged = false }) {
+  const { formatCurrency } = useFormatters();
+  const parts = rateComposition(result);
+
+  return (
+    <OutputCard title="Where the Rate Goes" flagged={flagged}>
+      {parts.length > 0 ? (
+        <StackedBarChart
+          parts={parts}
+          format={formatCurrency}
+          title={`The ${formatCurrency(result.rates.target)} hourly rate split into salary, benefits, taxes, overhead and reserve per billable hour`}
+        />
+      ) : (
+        <p className="text-sm text-gray-500">There are no billable hours to spread the costs over.</p>
+      )}
+    </OutputCard>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, TextInput } from './Inputs.jsx';
+
+/**
+ * Lists the employees on the roster and manages which one is being edited.
+ */
+export default function RosterCard({ employees, selectedId, onSelect, onAdd, onDuplicate, onRemove, onRename }) {
+  const selected = employees.find((employee) => employee.id === selectedId) || employees[0];
+
+  return (
+    <InputCard title="Team Roster">
+      <ul className="mb-4 divide-y divide-gray-100 rounded-md border border-gray-200">
+        {employees.map((employee) => (
+          <li key={employee.id}>
+            <button
+              type="button"
+              onClick={() => onSelect(employee.id)}
+              aria-pressed={employee.id === selected.id}
+              className={`block w-full px-3 py-2 text-left text-sm ${employee.id === selected.id ? 'bg-blue-50 font-semibold text-blue-700' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              {employee.name || 'Unnamed employee'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <TextInput label="Employee Name" value={selected.name} onChange={(name) => onRename(selected.id, name)} />
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={onAdd}>Add Employee</Button>
+        <Button onClick={() => onDuplicate(selected.id)}>Duplicate</Button>
+        <Button onClick={() => onRemove(selected.id)} disabled={employees.length <= 1}>Remove</Button>
+      </div>
+    </InputCard>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Button, SelectInput, TextInput } from './Inputs.jsx';
+
+/**
+ * Switches between, and manages, the scenarios saved in this browser.
+ */
+export default function ScenarioPicker({ scenarios, activeScenario, onSwitch, onNew, onDuplicate, onRename, onDelete, onCopyLink, linkCopied }) {
+  const handleDelete = () => {
+    if (window.confirm(`Delete the scenario "${activeScenario.name}"?`)) {
+      onDelete(activeScenario.id);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+        <SelectInput
+          label="Scenario"
+          value={activeScenario.id}
+          onChange={onSwitch}
+          options={scenarios.map((scenario) => ({ label: scenario.name || 'Untitled Scenario', value: scenario.id }))}
+          helperText="Changes are saved automatically in this browser."
+        />
+        <TextInput
+          label="Scenario Name"
+          value={activeScenario.name}
+          onChange={(name) => onRename(activeScenario.id, name)}
+        />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={onNew}>New Scenario</Button>
+        <Button onClick={() => onDuplicate(activeScenario.id)}>Duplicate</Button>
+        <Button onClick={handleDelete} disabled={scenarios.length <= 1}>Delete</Button>
+        <Button onClick={onCopyLink} variant="primary">{linkCopied ? 'Link Copied!' : 'Copy Link'}</Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { InputCard } from './Cards.jsx';
+import { Button, NumberInput, SelectInput, TextInput } from './Inputs.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { HOLIDAY_CALENDARS, calculateAvailableHours, usFederalHolidays } from '../lib/schedule.js';
+
+const STANDARD_YEAR = { value: '0', label: 'Standard Year (52 weeks)' };
+
+const yearOptions = (selected) => {
+  const thisYear = new Date().getFullYear();
+  const years = new Set([thisYear - 1, thisYear, thisYear + 1, thisYear + 2, thisYear + 3]);
+  if (selected) years.add(selected);
+  return [STANDARD_YEAR, ...[...years].sort((a, b) => a - b).map((year) => ({ value: String(year), label: String(year) }))];
+};
+
+/**
+ * The working year, weekly schedule and holiday calendar that set the hours
+ * available to everyone on the roster.
+ */
+export default function ScheduleCard({ schedule, onChange }) {
+  const { formatHours } = useFormatters();
+  const year = Number(schedule.year) || 0;
+  const available = calculateAvailableHours(schedule);
+  const { customHolidays } = schedule;
+
+  const field = (name) => (value) => onChange({ ...schedule, [name]: value });
+  const setHolidays = (holidays) => onChange({ ...schedule, customHolidays: holidays });
+  const setHoliday = (index, name) => (value) => setHolidays(customHolidays.map((holiday, i) => (i === index ? { ...holiday, [name]: value } : holiday)));
+
+  return (
+    <InputCard title="Work Schedule">
+      <SelectInput
+        label="Year"
+        value={String(year)}
+        onChange={(value) => field('year')(Number(value))}
+        options={yearOptions(year)}
+        helperText={year ? 'Counts the actual workdays in the year.' : 'Counts 52 full weeks.'}
+      />
+      <div className="grid grid-cols-2 gap-x-6">
+        <NumberInput label="Hours per Day" value={schedule.hoursPerDay} onChange={field('hoursPerDay')} unit="hours" path="schedule.hoursPerDay" />
+        <NumberInput label="Days per Week" value={schedule.daysPerWeek} onChange={field('daysPerWeek')} unit="days" path="schedule.daysPerWeek" helperText="Starting on Monday" />
+      </div>
+      <SelectInput
+        label="Holiday Calendar"
+        value={schedule.holidayCalendar}
+        onChange={field('holidayCalendar')}
+        options={HOLIDAY_CALENDARS}
+        helperText={schedule.holidayCalendar === 'manual' ? 'Enter Holiday Hours for each employee.' : 'Fills in Holiday Hours for everyone from the holidays that fall on workdays.'}
+      />
+      {schedule.holidayCalendar === 'custom' && (
+        <>
+          {customHolidays.map((holiday, i) => (
+            <div key={i} className="grid grid-cols-2 gap-x-6 border-t border-gray-100 pt-3">
+              <TextInput label={`Holiday ${i + 1} Date`} type="date" value={holiday.date} onChange={setHoliday(i, 'date')} />
+              <TextInput label="Name" value={holiday.name} onChange={setHoliday(i, 'name')} />
+              <div className="col-span-2 mb-4">
+                <Button onClick={() => setHolidays(customHolidays.filter((_, j) => j !== i))}>{`Remove Holiday ${i + 1}`}</Button>
+              </div>
+            </div>
+          ))}
+          <div className="mb-4 flex flex-wrap gap-2">
+            <Button onClick={() => setHolidays([...customHolidays, { date: year ? `${year}-01-01` : '', name: '' }])}>Add Holiday</Button>
+            {year > 0 && (
+              <Button onClick={() => setHolidays([...customHolidays, ...usFederalHolidays(year)])}>Add US Federal Holidays</Button>
+            )}
+          </div>
+        </>
+      )}
+      <p className="text-sm text-gray-700">
+        {`${available.workdays} workdays × ${available.hoursPerDay} hrs = ${formatHours(available.totalStandardHours)} hours available`}
+        {available.holidayHours !== null && `, less ${formatHours(available.holidayHours)} hrs for ${available.holidays.length} holidays`}
+      </p>
+      {available.holidayHours !== null && available.holidays.length > 0 && (
+        <ul className="mt-2 text-xs text-gray-500">
+          {available.holidays.map((holiday, i) => (
+            <li key={`${holiday.date}-${i}`}>{holiday.date ? `${holiday.date} — ` : ''}{holiday.name || 'Holiday'}</li>
+          ))}
+        </ul>
+      )}
+    </InputCard>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from 'react';
+import { InputCard, OutputCard } from './Cards.jsx';
+import { NumberInput, SelectInput } from './Inputs.jsx';
+import TornadoChart from './charts/TornadoChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { SENSITIVITY_METRICS, analyzeSensitivity, rankDrivers } from '../lib/sensitivity.js';
+
+/**
+ * Ranks the assumptions that move the recommended rate and reserve the most.
+ */
+export default function SensitivityView({ inputs }) {
+  const { formatValue } = useFormatters();
+  const [percent, setPercent] = useState(10);
+  const [metricId, setMetricId] = useState(SENSITIVITY_METRICS[0].id);
+
+  const metric = SENSITIVITY_METRICS.find((m) => m.id === metricId);
+  const analysis = useMemo(() => analyzeSensitivity(inputs, percent), [inputs, percent]);
+  const rows = rankDrivers(analysis, metric);
+  const base = metric.value(analysis.base);
+  const format = (value) => formatValue(value, metric.format);
+  const lowLabel = `-${analysis.percent}%`;
+  const highLabel = `+${analysis.percent}%`;
+
+  return (
+    <div className="flex flex-col gap-6">
+      <InputCard title="Sensitivity Analysis">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6">
+          <NumberInput
+            label="Change Each Assumption By"
+            value={percent}
+            onChange={setPercent}
+            unit="percent"
+            helperText="Each input is moved down and up by this much, one at a time."
+          />
+          <SelectInput
+            label="Measure Impact On"
+            value={metricId}
+            onChange={setMetricId}
+            options={SENSITIVITY_METRICS.map((m) => ({ label: m.label, value: m.id }))}
+          />
+        </div>
+      </InputCard>
+      <OutputCard title={`What Moves the ${metric.label}`}>
+        <TornadoChart
+          rows={rows.map((row) => ({ label: row.driver.label, low: row.low, high: row.high }))}
+          base={base}
+          format={format}
+          lowLabel={lowLabel}
+          highLabel={highLabel}
+          title={`Impact of each assumption on the ${metric.label}`}
+        />
+        <table className="mt-4 w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-2 font-medium">Assumption</th>
+              <th className="py-2 font-medium text-right">{lowLabel}</th>
+              <th className="py-2 font-medium text-right">{highLabel}</th>
+              <th className="py-2 font-medium text-right">Swing</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((row) => (
+              <tr key={row.driver.id}>
+                <td className="py-2 text-gray-900">{row.driver.label}</td>
+                <td className="py-2 text-right text-gray-900">{format(row.low)}</td>
+                <td className="py-2 text-right text-gray-900">{format(row.high)}</td>
+                <td className="py-2 text-right font-bold text-gray-900">{format(row.swing)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </OutputCard>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import { OutputCard } from './Cards.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import useValidation from '../hooks/useValidation.js';
+
+/**
+ * Per-employee break-even and target rates, plus the blended team rate.
+ */
+export default function TeamRatesCard({ team, flagged = false }) {
+  const { formatCurrency, formatHours } = useFormatters();
+  const invalidIds = new Set(useValidation().filter((issue) => issue.severity === 'error').map((issue) => issue.employeeId));
+  return (
+    <OutputCard title="Per-Employee Rates" flagged={flagged}>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-2 font-medium">Employee</th>
+            <th className="py-2 font-medium text-right">Billable Hours</th>
+            <th className="py-2 font-medium text-right">Break-Even</th>
+            <th className="py-2 font-medium text-right">Target</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {team.members.map((member) => (
+            <tr key={member.id}>
+              <td className="py-2 text-gray-900">
+                {member.name || 'Unnamed employee'}
+                {invalidIds.has(member.id) && <span className="block text-xs font-medium text-red-600">Invalid inputs</span>}
+              </td>
+              <td className={`py-2 text-right ${member.totalBillableHours <= 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatHours(member.totalBillableHours)}
+              </td>
+              <td className="py-2 text-right text-gray-900">{formatCurrency(member.rates.breakEven)}</td>
+              <td className="py-2 text-right text-gray-900">{formatCurrency(member.rates.target)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t-2 border-gray-200 font-bold">
+            <td className="py-2 text-gray-900">Blended Team Rate</td>
+            <td className="py-2 text-right text-gray-900">{formatHours(team.totalBillableHours)}</td>
+            <td className="py-2 text-right text-gray-900">{formatCurrency(team.rates.breakEven)}</td>
+            <td className="py-2 text-right text-blue-600">{formatCurrency(team.rates.target)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">
+        The blended rate is weighted by billable hours and covers the costs of everyone on the roster.
+      </p>
+    </OutputCard>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useId, useMemo } from 'react';
+import { OutputCard, SummaryItem } from './Cards.jsx';
+import UtilizationChart from './charts/UtilizationChart.jsx';
+import useFormatters from '../hooks/useFormatters.js';
+import { UTILIZATION_RANGE, utilizationCurve } from '../lib/utilization.js';
+
+/**
+ * What-if for an employee's utilization: a slider that edits it live and a
+ * chart of the rate and reserve across the utilization range.
+ */
+export default function UtilizationCard({ inputs, employee, result, onChange, flagged = false }) {
+  const { formatCurrency, formatPercent } = useFormatters();
+  const sliderId = useId();
+  const points = useMemo(() => utilizationCurve(inputs, employee.id), [inputs, employee.id]);
+  const utilization = Number(employee.utilization) || 0;
+  const name = employee.name || 'Unnamed employee';
+  const isTeam = inputs.employees.length > 1;
+
+  return (
+    <OutputCard title="Utilization What-If" flagged={flagged}>
+      <label htmlFor={sliderId} className="block text-sm font-medium text-gray-700">
+        {isTeam ? `Target Utilization — ${name}` : 'Target Utilization'}
+      </label>
+      <div className="mb-2 flex items-center gap-4">
+        <input
+          id={sliderId}
+          type="range"
+          min={0}
+          max={100}
+          step={1}
+          value={Math.min(100, Math.max(0, utilization))}
+          onChange={(e) => onChange(Number(e.target.value))}
+          aria-valuetext={formatPercent(utilization)}
+          className="w-full accent-blue-600"
+        />
+        <span className="w-20 text-right text-sm font-semibold text-gray-900">{formatPercent(utilization)}</span>
+      </div>
+      <SummaryItem label={isTeam ? 'Recommended Blended Team Rate' : 'Recommended Hourly Rate'} value={result.rates.target} isBold />
+      <SummaryItem label="Total Annual Reserve Contribution" value={result.summary.profit} isPositive />
+      <UtilizationChart
+        points={points}
+        current={utilization}
+        formatCurrency={formatCurrency}
+        formatPercent={formatPercent}
+        title={`Recommended hourly rate and annual reserve by ${isTeam ? `${name}'s ` : ''}utilization, from ${UTILIZATION_RANGE.min}% to ${UTILIZATION_RANGE.max}%`}
+      />
+    </OutputCard>
+  );
+}
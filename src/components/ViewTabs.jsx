@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * Switches between the calculator's top-level views.
+ */
+export default function ViewTabs({ views, value, onChange }) {
+  return (
+    <div role="tablist" className="flex flex-wrap gap-1 border-b border-gray-300 mb-6">
+      {views.map((view) => (
+        <button
+          key={view.id}
+          type="button"
+          role="tab"
+          aria-selected={view.id === value}
+          onClick={() => onChange(view.id)}
+          className={`-mb-px rounded-t-md border px-4 py-2 text-sm font-medium ${view.id === value ? 'border-gray-300 border-b-gray-100 bg-gray-100 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+        >
+          {view.label}
+        </button>
+      ))}
+    </div>
+  );
+}
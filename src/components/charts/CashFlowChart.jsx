@@ -0,0 +1,84 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 16, bottom: 32, left: 88 };
+const GAIN_COLOR = '#16a34a';
+const LOSS_COLOR = '#dc2626';
+const BALANCE_COLOR = '#2563eb';
+
+/**
+ * Monthly reserve contributions as bars (green when the month adds to the
+ * reserve, red when it draws on it) with the running reserve balance as a line.
+ *
+ * @param {Array<{ label: string, reserve: number, balance: number }>} months
+ */
+export default function CashFlowChart({ months, format, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const values = months.flatMap((month) => [month.reserve, month.balance]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+  const y = (value) => MARGIN.top + ((max - value) / span) * plotHeight;
+  const band = plotWidth / months.length;
+  const x = (index) => MARGIN.left + index * band + band / 2;
+  const labelEvery = Math.ceil(months.length / 12);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {months.map((month) => `${month.label}: ${format(month.reserve)} added, balance ${format(month.balance)}`).join('; ')}
+        </desc>
+        {[...new Set([max, 0, min])].map((value) => (
+          <text key={value} x={MARGIN.left - 8} y={y(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#4b5563">
+            {format(value)}
+          </text>
+        ))}
+        {months.map((month, index) => (
+          <g key={month.index}>
+            <rect
+              x={x(index) - band * 0.35}
+              y={Math.min(y(0), y(month.reserve))}
+              width={band * 0.7}
+              height={Math.abs(y(month.reserve) - y(0))}
+              fill={month.reserve >= 0 ? GAIN_COLOR : LOSS_COLOR}
+              rx={1}
+            />
+            {index % labelEvery === 0 && (
+              <text x={x(index)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#4b5563">
+                {month.label}
+              </text>
+            )}
+          </g>
+        ))}
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(0)} y2={y(0)} stroke="#111827" strokeWidth="1" />
+        <polyline
+          points={months.map((month, index) => `${x(index)},${y(month.balance)}`).join(' ')}
+          fill="none"
+          stroke={BALANCE_COLOR}
+          strokeWidth="2"
+        />
+        {months.map((month, index) => (
+          <circle key={month.index} cx={x(index)} cy={y(month.balance)} r={2.5} fill={BALANCE_COLOR} />
+        ))}
+      </svg>
+      <figcaption className="mt-2 flex justify-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: GAIN_COLOR }} /> Added to reserve
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: LOSS_COLOR }} /> Drawn from reserve
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0.5 w-4" style={{ backgroundColor: BALANCE_COLOR }} /> Reserve balance
+        </span>
+      </figcaption>
+    </figure>
+  );
+}
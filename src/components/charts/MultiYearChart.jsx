@@ -0,0 +1,90 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 96, bottom: 32, left: 88 };
+const REQUIRED_COLOR = '#2563eb';
+const CONTRACTED_COLOR = '#f59e0b';
+const GAIN_COLOR = '#bbf7d0';
+const LOSS_COLOR = '#fecaca';
+
+/**
+ * The required and contracted rates each year (lines, left axis) over the
+ * cumulative reserve (bars, right axis).
+ *
+ * @param {Array<{ year: number, requiredRate: number, contractedRate: number, cumulativeReserve: number }>} rows
+ */
+export default function MultiYearChart({ rows, formatCurrency, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const band = plotWidth / rows.length;
+  const x = (index) => MARGIN.left + index * band + band / 2;
+  const scale = (values) => {
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    return { max, min, y: (value) => MARGIN.top + ((max - value) / span) * plotHeight };
+  };
+  const rate = scale(rows.flatMap((row) => [row.requiredRate, row.contractedRate]));
+  const reserve = scale(rows.map((row) => row.cumulativeReserve));
+  const line = (field) => rows.map((row, index) => `${x(index)},${rate.y(row[field])}`).join(' ');
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {rows.map((row) => `Year ${row.year}: required ${formatCurrency(row.requiredRate)} per hour, contracted ${formatCurrency(row.contractedRate)} per hour, cumulative reserve ${formatCurrency(row.cumulativeReserve)}`).join('; ')}
+        </desc>
+        {rows.map((row, index) => (
+          <g key={row.year}>
+            <rect
+              x={x(index) - band * 0.3}
+              y={Math.min(reserve.y(0), reserve.y(row.cumulativeReserve))}
+              width={band * 0.6}
+              height={Math.abs(reserve.y(row.cumulativeReserve) - reserve.y(0))}
+              fill={row.cumulativeReserve >= 0 ? GAIN_COLOR : LOSS_COLOR}
+              rx={1}
+            />
+            <text x={x(index)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#4b5563">
+              {`Year ${row.year}`}
+            </text>
+          </g>
+        ))}
+        {[...new Set([rate.max, rate.min])].map((value) => (
+          <text key={value} x={MARGIN.left - 8} y={rate.y(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill={REQUIRED_COLOR}>
+            {formatCurrency(value)}
+          </text>
+        ))}
+        {[...new Set([reserve.max, reserve.min])].map((value) => (
+          <text key={value} x={WIDTH - MARGIN.right + 8} y={reserve.y(value)} textAnchor="start" dominantBaseline="middle" fontSize="11" fill="#15803d">
+            {formatCurrency(value)}
+          </text>
+        ))}
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={HEIGHT - MARGIN.bottom} y2={HEIGHT - MARGIN.bottom} stroke="#111827" strokeWidth="1" />
+        <polyline points={line('requiredRate')} fill="none" stroke={REQUIRED_COLOR} strokeWidth="2" />
+        <polyline points={line('contractedRate')} fill="none" stroke={CONTRACTED_COLOR} strokeWidth="2" strokeDasharray="6 3" />
+        {rows.map((row, index) => (
+          <g key={row.year}>
+            <circle cx={x(index)} cy={rate.y(row.requiredRate)} r={2.5} fill={REQUIRED_COLOR} />
+            <circle cx={x(index)} cy={rate.y(row.contractedRate)} r={2.5} fill={CONTRACTED_COLOR} />
+          </g>
+        ))}
+      </svg>
+      <figcaption className="mt-2 flex flex-wrap justify-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0.5 w-4" style={{ backgroundColor: REQUIRED_COLOR }} /> Required Rate (left)
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0 w-4 border-t-2 border-dashed" style={{ borderColor: CONTRACTED_COLOR }} /> Contracted Rate (left)
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: GAIN_COLOR }} /> Cumulative Reserve (right)
+        </span>
+      </figcaption>
+    </figure>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const BAR_HEIGHT = 40;
+const HEIGHT = BAR_HEIGHT + 8;
+const COLORS = ['#2563eb', '#7c3aed', '#db2777', '#f59e0b', '#0d9488', '#16a34a'];
+
+/**
+ * One horizontal bar split into parts, with a legend of each part's value and
+ * share of the total. Parts below 0 are listed but not drawn.
+ *
+ * @param {Array<{ id: string, label: string, value: number }>} parts
+ */
+export default function StackedBarChart({ parts, format, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const total = parts.reduce((sum, part) => sum + part.value, 0);
+  const drawn = parts.reduce((sum, part) => sum + Math.max(0, part.value), 0) || 1;
+  const share = (value) => (total > 0 ? `${Math.round((value / total) * 100)}%` : '—');
+  let x = 0;
+  const segments = parts.map((part, index) => {
+    const width = (Math.max(0, part.value) / drawn) * WIDTH;
+    const segment = { ...part, x, width, color: COLORS[index % COLORS.length] };
+    x += width;
+    return segment;
+  });
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {`${parts.map((part) => `${part.label}: ${format(part.value)} (${share(part.value)})`).join('; ')}. Total: ${format(total)}.`}
+        </desc>
+        {segments.map((segment) => (
+          <rect key={segment.id} x={segment.x} y={4} width={segment.width} height={BAR_HEIGHT} fill={segment.color} />
+        ))}
+      </svg>
+      <figcaption className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-xs text-gray-600">
+        {segments.map((segment) => (
+          <span key={segment.id} className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: segment.color }} />
+            <span>{segment.label}</span>
+            <span className="ml-auto font-medium text-gray-900">{`${format(segment.value)} (${share(segment.value)})`}</span>
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+}
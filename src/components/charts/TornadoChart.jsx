@@ -0,0 +1,74 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const LABEL_WIDTH = 200;
+const ROW_HEIGHT = 32;
+const BAR_HEIGHT = 18;
+const AXIS_HEIGHT = 24;
+const LOW_COLOR = '#3b82f6';
+const HIGH_COLOR = '#f97316';
+
+/**
+ * Horizontal bars showing how far each driver moves a value away from its base
+ * when nudged down (blue) and up (orange), largest swing first.
+ *
+ * @param {Array<{ label: string, low: number, high: number }>} rows
+ */
+export default function TornadoChart({ rows, base, format, lowLabel, highLabel, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const plotWidth = WIDTH - LABEL_WIDTH - 16;
+  const center = LABEL_WIDTH + plotWidth / 2;
+  const maxDeviation = Math.max(
+    ...rows.flatMap((row) => [Math.abs(row.low - base), Math.abs(row.high - base)]),
+  ) || 1;
+  const x = (value) => center + ((value - base) / maxDeviation) * (plotWidth / 2);
+  const height = rows.length * ROW_HEIGHT + AXIS_HEIGHT;
+
+  const bar = (value, color, y) => (
+    <rect
+      x={Math.min(center, x(value))}
+      y={y}
+      width={Math.abs(x(value) - center)}
+      height={BAR_HEIGHT}
+      fill={color}
+      rx={2}
+    />
+  );
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {rows.map((row) => `${row.label}: ${format(row.low)} at ${lowLabel}, ${format(row.high)} at ${highLabel}`).join('; ')}
+        </desc>
+        {rows.map((row, index) => {
+          const y = index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+          return (
+            <g key={row.label}>
+              <text x={LABEL_WIDTH - 8} y={y + BAR_HEIGHT / 2} textAnchor="end" dominantBaseline="middle" fontSize="12" fill="#4b5563">
+                {row.label}
+              </text>
+              {bar(row.low, LOW_COLOR, y)}
+              {bar(row.high, HIGH_COLOR, y)}
+            </g>
+          );
+        })}
+        <line x1={center} x2={center} y1={0} y2={rows.length * ROW_HEIGHT} stroke="#111827" strokeWidth="1" />
+        <text x={center} y={height - 6} textAnchor="middle" fontSize="12" fill="#111827">
+          Base: {format(base)}
+        </text>
+      </svg>
+      <figcaption className="mt-2 flex justify-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: LOW_COLOR }} /> {lowLabel}
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: HIGH_COLOR }} /> {highLabel}
+        </span>
+      </figcaption>
+    </figure>
+  );
+}
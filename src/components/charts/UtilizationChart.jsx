@@ -0,0 +1,86 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 96, bottom: 36, left: 88 };
+const RATE_COLOR = '#2563eb';
+const RESERVE_COLOR = '#16a34a';
+const MARKER_COLOR = '#6b7280';
+
+/**
+ * The recommended rate (left axis) and annual reserve (right axis) across
+ * utilization levels, with a marker at the current utilization.
+ *
+ * @param {Array<{ utilization: number, rate: number, reserve: number }>} points
+ */
+export default function UtilizationChart({ points, current, formatCurrency, formatPercent, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const first = points[0].utilization;
+  const last = points[points.length - 1].utilization;
+  const x = (utilization) => MARGIN.left + ((utilization - first) / (last - first || 1)) * plotWidth;
+  const scale = (values) => {
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    return { max, min, y: (value) => MARGIN.top + ((max - value) / span) * plotHeight };
+  };
+  const rate = scale(points.map((point) => point.rate));
+  const reserve = scale(points.map((point) => point.reserve));
+  const line = (axis, field) => points.map((point) => `${x(point.utilization)},${axis.y(point[field])}`).join(' ');
+  const showMarker = current >= first && current <= last;
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {points.map((point) => `${formatPercent(point.utilization)}: ${formatCurrency(point.rate)} per hour, ${formatCurrency(point.reserve)} reserve`).join('; ')}
+        </desc>
+        {[...new Set([rate.max, rate.min])].map((value) => (
+          <text key={value} x={MARGIN.left - 8} y={rate.y(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill={RATE_COLOR}>
+            {formatCurrency(value)}
+          </text>
+        ))}
+        {[...new Set([reserve.max, reserve.min])].map((value) => (
+          <text key={value} x={WIDTH - MARGIN.right + 8} y={reserve.y(value)} textAnchor="start" dominantBaseline="middle" fontSize="11" fill={RESERVE_COLOR}>
+            {formatCurrency(value)}
+          </text>
+        ))}
+        {points.map((point) => (
+          <text key={point.utilization} x={x(point.utilization)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11" fill="#4b5563">
+            {`${point.utilization}%`}
+          </text>
+        ))}
+        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={HEIGHT - MARGIN.bottom} y2={HEIGHT - MARGIN.bottom} stroke="#111827" strokeWidth="1" />
+        {showMarker && (
+          <line x1={x(current)} x2={x(current)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke={MARKER_COLOR} strokeWidth="1" strokeDasharray="4 3" />
+        )}
+        <polyline points={line(rate, 'rate')} fill="none" stroke={RATE_COLOR} strokeWidth="2" />
+        <polyline points={line(reserve, 'reserve')} fill="none" stroke={RESERVE_COLOR} strokeWidth="2" />
+        {points.map((point) => (
+          <g key={point.utilization}>
+            <circle cx={x(point.utilization)} cy={rate.y(point.rate)} r={2.5} fill={RATE_COLOR} />
+            <circle cx={x(point.utilization)} cy={reserve.y(point.reserve)} r={2.5} fill={RESERVE_COLOR} />
+          </g>
+        ))}
+      </svg>
+      <figcaption className="mt-2 flex justify-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0.5 w-4" style={{ backgroundColor: RATE_COLOR }} /> Recommended Hourly Rate (left)
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-0.5 w-4" style={{ backgroundColor: RESERVE_COLOR }} /> Annual Reserve Contribution (right)
+        </span>
+        {showMarker && (
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-0 border-l border-dashed" style={{ borderColor: MARKER_COLOR }} /> Current
+          </span>
+        )}
+      </figcaption>
+    </figure>
+  );
+}
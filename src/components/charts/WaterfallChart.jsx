@@ -0,0 +1,70 @@
+import React, { useId } from 'react';
+
+const WIDTH = 640;
+const ROW_HEIGHT = 24;
+const MARGIN = { top: 8, right: 96, bottom: 8, left: 160 };
+const TOTAL_COLOR = '#2563eb';
+const COST_COLOR = '#dc2626';
+const RESERVE_COLOR = '#16a34a';
+
+/**
+ * A horizontal waterfall: revenue at the top, each cost stepping it down, and
+ * the reserve that is left at the bottom.
+ *
+ * @param {Array<{ id: string, label: string, start: number, end: number, total?: boolean }>} steps
+ */
+export default function WaterfallChart({ steps, format, title }) {
+  const titleId = useId();
+  const descId = useId();
+
+  const height = MARGIN.top + steps.length * ROW_HEIGHT + MARGIN.bottom;
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const values = steps.flatMap((step) => [step.start, step.end]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const x = (value) => MARGIN.left + ((value - min) / (max - min || 1)) * plotWidth;
+  const last = steps.length - 1;
+  const colorOf = (step, index) => {
+    if (index === last) return step.end >= 0 ? RESERVE_COLOR : COST_COLOR;
+    return step.total ? TOTAL_COLOR : COST_COLOR;
+  };
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-labelledby={`${titleId} ${descId}`}>
+        <title id={titleId}>{title}</title>
+        <desc id={descId}>
+          {steps.map((step) => (step.total ? `${step.label}: ${format(step.end)}` : `less ${step.label}: ${format(step.start - step.end)}`)).join('; ')}
+        </desc>
+        {steps.map((step, index) => {
+          const y = MARGIN.top + index * ROW_HEIGHT;
+          const left = x(Math.min(step.start, step.end));
+          const amount = step.total ? step.end : step.end - step.start;
+          return (
+            <g key={step.id}>
+              <text x={MARGIN.left - 8} y={y + ROW_HEIGHT / 2} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#374151">
+                {step.label}
+              </text>
+              <rect x={left} y={y + 4} width={Math.max(1, Math.abs(x(step.end) - x(step.start)))} height={ROW_HEIGHT - 8} fill={colorOf(step, index)} rx={1} />
+              <text x={WIDTH - MARGIN.right + 8} y={y + ROW_HEIGHT / 2} textAnchor="start" dominantBaseline="middle" fontSize="11" fill="#4b5563">
+                {format(amount)}
+              </text>
+            </g>
+          );
+        })}
+        <line x1={x(0)} x2={x(0)} y1={MARGIN.top} y2={height - MARGIN.bottom} stroke="#111827" strokeWidth="1" />
+      </svg>
+      <figcaption className="mt-2 flex justify-center gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: TOTAL_COLOR }} /> Revenue
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: COST_COLOR }} /> Costs
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: RESERVE_COLOR }} /> Reserve
+        </span>
+      </figcaption>
+    </figure>
+  );
+}
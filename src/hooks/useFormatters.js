@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_FORMATTERS } from '../lib/format.js';
+
+/**
+ * The active scenario's formatters (see createFormatters in lib/format.js).
+ * Components outside a provider format in en-US/USD.
+ */
+export const FormattersContext = createContext(DEFAULT_FORMATTERS);
+
+export default function useFormatters() {
+  return useContext(FormattersContext);
+}
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import {
+  createScenario,
+  duplicateScenario,
+  loadScenarios,
+  saveScenarios,
+} from '../lib/scenarios.js';
+
+/**
+ * Holds the saved scenarios and the active one, autosaving every change.
+ * `openOnLoad` may return a `{ name, inputs }` scenario (e.g. from a shared
+ * link) to add and activate on top of the saved ones.
+ */
+export default function useScenarios({ openOnLoad } = {}) {
+  const [store, setStore] = useState(() => {
+    const loaded = loadScenarios();
+    const opened = openOnLoad?.(loaded.scenarios.find((scenario) => scenario.id === loaded.activeId));
+    if (!opened) return loaded;
+
+    const scenario = createScenario(opened.name, opened.inputs);
+    return { activeId: scenario.id, scenarios: [...loaded.scenarios, scenario] };
+  });
+  const { activeId, scenarios } = store;
+  const activeScenario = scenarios.find((scenario) => scenario.id === activeId) || scenarios[0];
+
+  useEffect(() => {
+    saveScenarios(store);
+  }, [store]);
+
+  const updateScenario = (id, changes) => {
+    setStore((current) => ({
+      ...current,
+      scenarios: current.scenarios.map((scenario) => (
+        scenario.id === id ? { ...scenario, ...changes, updatedAt: new Date().toISOString() } : scenario
+      )),
+    }));
+  };
+
+  const addScenario = (scenario) => {
+    setStore((current) => ({ activeId: scenario.id, scenarios: [...current.scenarios, scenario] }));
+  };
+
+  /**
+   * Updates the active scenario's inputs, either with a new object or an updater function.
+   */
+  const setInputs = (update) => {
+    setStore((current) => ({
+      ...current,
+      scenarios: current.scenarios.map((scenario) => {
+        if (scenario.id !== current.activeId) return scenario;
+        const inputs = typeof update === 'function' ? update(scenario.inputs) : update;
+        return { ...scenario, inputs, updatedAt: new Date().toISOString() };
+      }),
+    }));
+  };
+
+  return {
+    scenarios,
+    activeScenario,
+    inputs: activeScenario.inputs,
+    setInputs,
+    switchScenario: (id) => setStore((current) => ({ ...current, activeId: id })),
+    newScenario: (name = `Scenario ${scenarios.length + 1}`, inputs) => addScenario(createScenario(name, inputs)),
+    addScenario,
+    duplicateScenario: (id) => addScenario(duplicateScenario(scenarios.find((scenario) => scenario.id === id))),
+    renameScenario: (id, name) => updateScenario(id, { name }),
+    deleteScenario: (id) => {
+      setStore((current) => {
+        if (current.scenarios.length <= 1) return current;
+        const remaining = current.scenarios.filter((scenario) => scenario.id !== id);
+        return {
+          activeId: current.activeId === id ? remaining[0].id : current.activeId,
+          scenarios: remaining,
+        };
+      });
+    },
+  };
+}
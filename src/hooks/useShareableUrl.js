@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useState } from 'react';
+import { buildShareUrl, encodeShareParams } from '../lib/shareUrl.js';
+
+/**
+ * Keeps the URL hash in sync with a scenario and copies shareable links.
+ */
+export default function useShareableUrl(scenario) {
+  const [copied, setCopied] = useState(false);
+  const { name, inputs } = scenario;
+  const hash = useMemo(() => encodeShareParams({ name, inputs }), [name, inputs]);
+
+  useEffect(() => {
+    window.history.replaceState(null, '', `#${hash}`);
+  }, [hash]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copyLink = async () => {
+    const url = buildShareUrl({ name, inputs });
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Clipboard access needs a secure context and permission; let the user copy it by hand.
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return { copied, copyLink };
+}
@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+import { issuesAt } from '../lib/validation.js';
+
+/**
+ * The active scenario's input issues (see validateInputs in lib/validation.js).
+ */
+export const ValidationContext = createContext([]);
+
+/**
+ * The issues for one input path, or every issue when no path is given.
+ */
+export default function useValidation(path) {
+  const issues = useContext(ValidationContext);
+  if (path === undefined) return issues;
+  return path ? issuesAt(issues, path) : [];
+}
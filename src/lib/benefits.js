@@ -0,0 +1,81 @@
+import { createId } from './ids.js';
+import { toNumber } from './numbers.js';
+
+/**
+ * Additional benefit and compensation costs (dental/vision, bonuses,
+ * stipends, ...), shared by the whole roster. Each item is priced on one of
+ * BENEFIT_BASES:
+ *
+ * - annual: a fixed amount per employee per year
+ * - percent: a % of the employee's salary
+ * - monthly: a fixed amount per employee per month
+ * - payroll: a rate per $100 of payroll (salary, bonuses and compensation
+ *   items), as workers' comp premiums are quoted
+ *
+ * Compensation items (`wages`, e.g. bonuses and commissions) are wages: they
+ * are taxed like salary and count as payroll and 401k plan compensation.
+ * Other items are benefits that add only their own cost.
+ * The default items are placeholders at 0 and add nothing until filled in.
+ */
+
+export const BENEFIT_BASES = [
+  { value: 'annual', label: 'Per year' },
+  { value: 'percent', label: '% of salary' },
+  { value: 'monthly', label: 'Per month' },
+  { value: 'payroll', label: 'Per $100 of payroll' },
+];
+
+export const DEFAULT_BENEFITS = [
+  { id: 'dentalVision', name: 'Dental & Vision', basis: 'monthly', amount: 0, wages: false },
+  { id: 'lifeDisability', name: 'Life & Disability Insurance', basis: 'annual', amount: 0, wages: false },
+  { id: 'workersComp', name: "Workers' Comp", basis: 'payroll', amount: 0, wages: false },
+  { id: 'performanceBonus', name: 'Performance Bonus', basis: 'percent', amount: 0, wages: true },
+  { id: 'commissions', name: 'Commissions', basis: 'annual', amount: 0, wages: true },
+  { id: 'stipends', name: 'Phone & Home Office Stipends', basis: 'monthly', amount: 0, wages: false },
+  { id: 'dues', name: 'Professional Dues', basis: 'annual', amount: 0, wages: false },
+  { id: 'equipment', name: 'Equipment Refresh', basis: 'annual', amount: 0, wages: false },
+];
+
+export function createBenefit(overrides = {}) {
+  return { name: 'New Benefit', basis: 'annual', amount: 0, wages: false, ...overrides, id: createId() };
+}
+
+/**
+ * The annual cost of one item for an employee with the given salary and
+ * payroll (salary plus bonuses).
+ */
+export function annualBenefitCost(benefit, salary, payroll = salary) {
+  const amount = toNumber(benefit.amount);
+  switch (benefit.basis) {
+    case 'percent': return salary * (amount / 100);
+    case 'monthly': return amount * 12;
+    case 'payroll': return payroll * (amount / 100);
+    default: return amount;
+  }
+}
+
+/**
+ * An employee's annual compensation from the compensation items, with
+ * payroll-based items priced on salary plus bonuses.
+ */
+export function benefitWages(salary, payroll, benefits = []) {
+  return benefits
+    .filter((benefit) => benefit.wages)
+    .reduce((sum, benefit) => sum + annualBenefitCost(benefit, salary, payroll), 0);
+}
+
+/**
+ * An employee's annual cost of every item, as cost detail lines
+ * ({ id, label, amount }), with payroll (salary plus bonuses) before the
+ * compensation items. Items that cost nothing are left out.
+ */
+export function calculateBenefits(salary, payroll, benefits = []) {
+  const fullPayroll = payroll + benefitWages(salary, payroll, benefits);
+  return benefits
+    .map((benefit) => ({
+      id: benefit.id,
+      label: benefit.name || 'Unnamed benefit',
+      amount: annualBenefitCost(benefit, salary, benefit.wages ? payroll : fullPayroll),
+    }))
+    .filter((line) => line.amount !== 0);
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_BENEFITS, annualBenefitCost, benefitWages, calculateBenefits, createBenefit } from './benefits.js';
+
+describe('annualBenefitCost', () => {
+  it('prices an item on its basis', () => {
+    expect(annualBenefitCost({ basis: 'annual', amount: 500 }, 80000)).toBe(500);
+    expect(annualBenefitCost({ basis: 'monthly', amount: 50 }, 80000)).toBe(600);
+    expect(annualBenefitCost({ basis: 'percent', amount: 10 }, 80000)).toBe(8000);
+    expect(annualBenefitCost({ basis: 'payroll', amount: 1.5 }, 80000, 90000)).toBe(1350);
+  });
+
+  it('treats an unknown basis as a fixed annual amount and garbage as 0', () => {
+    expect(annualBenefitCost({ basis: 'weekly', amount: 100 }, 80000)).toBe(100);
+    expect(annualBenefitCost({ basis: 'monthly', amount: 'abc' }, 80000)).toBe(0);
+  });
+});
+
+describe('calculateBenefits', () => {
+  it('lists items that cost something as cost detail lines', () => {
+    const benefits = [{ id: 'dues', name: 'Dues', basis: 'annual', amount: 300 }, { id: 'none', name: 'None', basis: 'monthly', amount: 0 }];
+
+    expect(calculateBenefits(80000, 80000, benefits)).toEqual([{ id: 'dues', label: 'Dues', amount: 300 }]);
+  });
+
+  it('prices payroll-based items on payroll including compensation items', () => {
+    const benefits = [
+      { id: 'commissions', name: 'Commissions', basis: 'annual', amount: 10000, wages: true },
+      { id: 'comp', name: 'Comp', basis: 'payroll', amount: 2, wages: false },
+    ];
+
+    expect(benefitWages(80000, 80000, benefits)).toBe(10000);
+    expect(calculateBenefits(80000, 80000, benefits).map((line) => line.amount)).toEqual([10000, 1800]);
+  });
+
+  it('adds nothing for the default placeholders', () => {
+    expect(calculateBenefits(100000, 102000, DEFAULT_BENEFITS)).toEqual([]);
+  });
+
+  it('creates items with unique ids', () => {
+    expect(createBenefit().id).not.toBe(createBenefit().id);
+  });
+});
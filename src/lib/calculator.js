@@ -0,0 +1,207 @@
+/**
+ * Pure rate calculation engine.
+ * Everything the calculator displays is derived from a plain inputs object,
+ * so the same math can be reused from scripts, other views and tests.
+ */
+
+import { DEFAULT_BENEFITS, benefitWages, calculateBenefits } from './benefits.js';
+import { DEFAULT_K401_PLAN, calculateK401Contributions } from './k401Plan.js';
+import { toNumber } from './numbers.js';
+import { DEFAULT_OVERHEAD_LEDGER, allocateOverhead } from './overhead.js';
+import { DEFAULT_PAYROLL_TAXES, calculatePayrollTaxes } from './payrollTaxes.js';
+import { DEFAULT_PRICING, reservePerHour } from './pricing.js';
+
+export const STANDARD_HOURS = 2080; // 40 hours/week * 52 weeks
+
+export const DEFAULT_INPUTS = {
+  salary: 100000,
+  vacationBonus: 2000,
+  k401Contribution: 10,
+  k401Deferral: 6, // Employee deferral % of pay, used by match formulas
+  k401Model: 'flat', // 'flat' applies k401Contribution; 'match' applies k401Plan
+  k401Plan: DEFAULT_K401_PLAN,
+  healthInsurance: 6000, // Annual employer premiums
+  hsaContribution: 1000, // Annual employer HSA/HRA contribution
+  benefits: DEFAULT_BENEFITS, // Additional benefit and compensation costs, see lib/benefits.js
+  employerTaxes: 8.5,
+  ptoHours: 240,
+  trainingHours: 40,
+  holidayHours: 0,
+  overheadTime: 10,
+  utilization: 85, // % of the hours left after time off that are billable
+  hoursModel: 'deductions', // 'deductions' subtracts overheadTime; 'utilization' applies utilization
+  companyOverhead: 10,
+  overheadModel: 'percent', // 'percent' applies companyOverhead; 'itemized' applies overheadLedger
+  overheadLedger: DEFAULT_OVERHEAD_LEDGER,
+  overheadShare: 1, // This employee's share of the ledger, see lib/overhead.js
+  profitMargin: 15, // Reserve fund contribution per billable hour
+  pricingModel: 'perHour', // How the reserve is priced, see lib/pricing.js
+  pricing: DEFAULT_PRICING,
+  taxModel: 'simple', // 'simple' applies employerTaxes; 'itemized' applies payrollTaxes
+  payrollTaxes: DEFAULT_PAYROLL_TAXES,
+};
+
+const sumAmounts = (lines) => lines.reduce((sum, line) => sum + line.amount, 0);
+
+/**
+ * Calculates the total annual cost of an employee.
+ * `details` breaks individual cost fields down into { id, label, amount } lines,
+ * e.g. details.taxCost lists each payroll tax when taxes are itemized,
+ * details.k401Cost splits a 401k plan into match and non-elective contributions,
+ * details.overheadCost lists the employee's share of each overhead ledger item,
+ * details.benefitsCost lists each additional benefit that costs something
+ * and details.healthInsurance separates premiums from HSA/HRA contributions.
+ */
+export function calculateTotalCost(inputs) {
+  const s = toNumber(inputs.salary);
+  const vb = toNumber(inputs.vacationBonus);
+  const details = {
+    healthInsurance: [
+      { id: 'premiums', label: 'Premiums', amount: toNumber(inputs.healthInsurance) },
+      { id: 'hsa', label: 'HSA/HRA Contributions', amount: toNumber(inputs.hsaContribution) },
+    ],
+  };
+  const hi = sumAmounts(details.healthInsurance);
+  // Wages are salary, the vacation bonus and compensation items like commissions
+  const wages = s + vb + benefitWages(s, s + vb, inputs.benefits || []);
+  details.benefitsCost = calculateBenefits(s, s + vb, inputs.benefits || []);
+  const benefitsCost = sumAmounts(details.benefitsCost);
+
+  let k401Cost;
+  if (inputs.k401Model === 'match') {
+    // Plan compensation includes bonuses, up to the plan's compensation limit
+    details.k401Cost = calculateK401Contributions(wages, inputs.k401Deferral, inputs.k401Plan);
+    k401Cost = sumAmounts(details.k401Cost);
+  } else {
+    k401Cost = s * (toNumber(inputs.k401Contribution) / 100);
+  }
+  let taxCost;
+  if (inputs.taxModel === 'itemized') {
+    // Bonuses are wages too, so they count towards the wage bases
+    details.taxCost = calculatePayrollTaxes(wages, inputs.payrollTaxes);
+    taxCost = sumAmounts(details.taxCost);
+  } else {
+    taxCost = s * (toNumber(inputs.employerTaxes) / 100);
+  }
+  let overheadCost;
+  if (inputs.overheadModel === 'itemized') {
+    details.overheadCost = allocateOverhead(inputs.overheadLedger?.items, toNumber(inputs.overheadShare ?? 1));
+    overheadCost = sumAmounts(details.overheadCost);
+  } else {
+    overheadCost = s * (toNumber(inputs.companyOverhead) / 100);
+  }
+
+  const total = s + vb + hi + benefitsCost + k401Cost + taxCost + overheadCost;
+
+  return {
+    salary: s,
+    vacationBonus: vb,
+    healthInsurance: hi,
+    benefitsCost,
+    k401Cost,
+    taxCost,
+    overheadCost,
+    total,
+    details,
+  };
+}
+
+/**
+ * Adds up the cost data of several employees, including their detail lines.
+ */
+export function combineCostData(costData) {
+  const combined = { total: 0, details: {} };
+
+  costData.forEach(({ details = {}, ...fields }) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      combined[field] = (combined[field] || 0) + value;
+    });
+    Object.entries(details).forEach(([field, lines]) => {
+      const merged = combined.details[field] || (combined.details[field] = []);
+      lines.forEach((line) => {
+        const existing = merged.find((m) => m.id === line.id);
+        if (existing) {
+          existing.amount += line.amount;
+        } else {
+          merged.push({ ...line });
+        }
+      });
+    });
+  });
+
+  return combined;
+}
+
+/**
+ * Calculates billable hours left after PTO, training, holidays and overhead time.
+ * In the 'utilization' hours model, the billable hours are instead the
+ * utilization % of the hours left after PTO, training and holidays.
+ * Never returns a negative number.
+ */
+export function calculateBillableHours(inputs, totalStandardHours = STANDARD_HOURS) {
+  const pto = toNumber(inputs.ptoHours);
+  const training = toNumber(inputs.trainingHours);
+  const holidays = toNumber(inputs.holidayHours);
+
+  if (inputs.hoursModel === 'utilization') {
+    const working = totalStandardHours - pto - training - holidays;
+    const billable = working * (toNumber(inputs.utilization) / 100);
+    return working > 0 && billable > 0 ? billable : 0;
+  }
+
+  const overheadHrs = totalStandardHours * (toNumber(inputs.overheadTime) / 100);
+
+  const totalNonBillable = pto + training + holidays + overheadHrs;
+  const billable = totalStandardHours - totalNonBillable;
+
+  return billable > 0 ? billable : 0;
+}
+
+/**
+ * Calculates the break-even and target hourly rates.
+ * Both are zero when there are no billable hours.
+ * The reserve is `profitMargin` per hour unless another pricing method is
+ * given as { pricingModel, pricing } (see lib/pricing.js).
+ */
+export function calculateRates(totalCost, totalBillableHours, profitMargin, { pricingModel, pricing } = {}) {
+  if (totalBillableHours === 0) {
+    return { breakEven: 0, target: 0 };
+  }
+
+  const breakEven = totalCost / totalBillableHours;
+
+  // Target rate is the break-even cost + the reserve fund contribution
+  const target = breakEven + reservePerHour(breakEven, totalBillableHours, { pricingModel, pricing, profitMargin });
+
+  return { breakEven, target };
+}
+
+/**
+ * Calculates revenue, reserve ('profit') and reserve % of revenue ('margin').
+ */
+export function calculateSummary(rates, totalBillableHours, totalCost) {
+  const revenue = rates.target * totalBillableHours;
+  const profit = revenue - totalCost;
+  const margin = revenue > 0 ? (profit / revenue) * 100 : 0;
+
+  return { revenue, profit, margin };
+}
+
+/**
+ * Runs the full calculation for a set of inputs.
+ * Missing fields are treated as 0, matching how the form treats cleared inputs.
+ */
+export function calculate(inputs, { totalStandardHours = STANDARD_HOURS } = {}) {
+  const totalCostData = calculateTotalCost(inputs);
+  const totalBillableHours = calculateBillableHours(inputs, totalStandardHours);
+  const rates = calculateRates(totalCostData.total, totalBillableHours, inputs.profitMargin, inputs);
+  const summary = calculateSummary(rates, totalBillableHours, totalCostData.total);
+
+  return {
+    totalStandardHours,
+    totalCostData,
+    totalBillableHours,
+    rates,
+    summary,
+  };
+}
@@ -0,0 +1,227 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_INPUTS,
+  STANDARD_HOURS,
+  calculate,
+  calculateBillableHours,
+  calculateRates,
+  calculateSummary,
+  calculateTotalCost,
+  combineCostData,
+} from './calculator.js';
+
+describe('calculateTotalCost', () => {
+  it('adds salary, bonus, insurance and the salary-based percentages', () => {
+    const cost = calculateTotalCost(DEFAULT_INPUTS);
+
+    expect(cost).toEqual({
+      salary: 100000,
+      vacationBonus: 2000,
+      healthInsurance: 7000,
+      benefitsCost: 0,
+      k401Cost: 10000,
+      taxCost: 8500,
+      overheadCost: 10000,
+      total: 137500,
+      details: {
+        healthInsurance: [
+          { id: 'premiums', label: 'Premiums', amount: 6000 },
+          { id: 'hsa', label: 'HSA/HRA Contributions', amount: 1000 },
+        ],
+        benefitsCost: [],
+      },
+    });
+  });
+
+  it('adds the additional benefits that cost something, on each basis', () => {
+    const benefits = [
+      { id: 'dental', name: 'Dental', basis: 'monthly', amount: 50 },
+      { id: 'bonus', name: 'Bonus', basis: 'percent', amount: 5 },
+      { id: 'comp', name: 'Comp', basis: 'payroll', amount: 1 },
+      { id: 'dues', name: 'Dues', basis: 'annual', amount: 300 },
+      { id: 'unused', name: 'Unused', basis: 'annual', amount: 0 },
+    ];
+    const cost = calculateTotalCost({ ...DEFAULT_INPUTS, benefits });
+
+    expect(cost.details.benefitsCost.map((line) => line.amount)).toEqual([600, 5000, 1020, 300]);
+    expect(cost.benefitsCost).toBe(6920);
+    expect(cost.total).toBe(137500 + 6920);
+  });
+
+  it('counts compensation items as wages for payroll taxes and payroll-based items', () => {
+    const benefits = [
+      { id: 'bonus', name: 'Bonus', basis: 'percent', amount: 5, wages: true },
+      { id: 'comp', name: 'Comp', basis: 'payroll', amount: 1, wages: false },
+    ];
+    const cost = calculateTotalCost({ ...DEFAULT_INPUTS, benefits, taxModel: 'itemized' });
+    const lines = Object.fromEntries(cost.details.taxCost.map((line) => [line.id, line.amount]));
+
+    // $102,000 of salary and vacation bonus plus a $5,000 performance bonus
+    expect(cost.details.benefitsCost.map((line) => line.amount)).toEqual([5000, 1070]);
+    expect(lines.socialSecurity).toBeCloseTo(107000 * 0.062);
+    expect(lines.medicare).toBeCloseTo(107000 * 0.0145);
+  });
+
+  it('treats empty strings and missing fields as 0', () => {
+    const cost = calculateTotalCost({ salary: '', vacationBonus: '', k401Contribution: 10 });
+
+    expect(cost.salary).toBe(0);
+    expect(cost.k401Cost).toBe(0);
+    expect(cost.healthInsurance).toBe(0);
+    expect(cost.total).toBe(0);
+  });
+
+  it('accepts numeric strings', () => {
+    const cost = calculateTotalCost({ salary: '50000', employerTaxes: '10' });
+
+    expect(cost.taxCost).toBe(5000);
+    expect(cost.total).toBe(55000);
+  });
+
+  it('itemizes payroll taxes on salary plus bonus when asked to', () => {
+    const cost = calculateTotalCost({ ...DEFAULT_INPUTS, taxModel: 'itemized' });
+    const lines = Object.fromEntries(cost.details.taxCost.map((line) => [line.id, line.amount]));
+
+    // $102,000 of wages, under the Social Security wage base
+    expect(lines.socialSecurity).toBeCloseTo(6324);
+    expect(lines.medicare).toBeCloseTo(1479);
+    expect(lines.futa).toBeCloseTo(42);
+    expect(lines.suta).toBeCloseTo(189);
+    expect(cost.taxCost).toBeCloseTo(6324 + 1479 + 42 + 189);
+    expect(cost.total).toBeCloseTo(129000 + cost.taxCost);
+  });
+
+  it('ignores the flat percentage when taxes are itemized', () => {
+    const simple = calculateTotalCost({ ...DEFAULT_INPUTS, employerTaxes: 50 });
+    const itemized = calculateTotalCost({ ...DEFAULT_INPUTS, employerTaxes: 50, taxModel: 'itemized' });
+
+    expect(simple.taxCost).toBe(50000);
+    expect(itemized.taxCost).toBeLessThan(10000);
+  });
+});
+
+describe('calculateTotalCost with a 401k match formula', () => {
+  it('replaces the flat percentage with the plan contributions', () => {
+    const cost = calculateTotalCost({ ...DEFAULT_INPUTS, k401Model: 'match', k401Deferral: 6 });
+
+    // 4% match on $102,000 of pay, including the bonus
+    expect(cost.k401Cost).toBeCloseTo(4080);
+    expect(cost.details.k401Cost.map((line) => line.id)).toEqual(['match', 'nonElective']);
+    expect(cost.total).toBeCloseTo(109000 + 8500 + 10000 + 4080);
+  });
+});
+
+describe('combineCostData', () => {
+  it('adds up every cost field and merges detail lines by id', () => {
+    const a = calculateTotalCost({ ...DEFAULT_INPUTS, taxModel: 'itemized' });
+    const b = calculateTotalCost({ ...DEFAULT_INPUTS, salary: 50000, taxModel: 'itemized' });
+    const combined = combineCostData([a, b]);
+
+    expect(combined.salary).toBe(150000);
+    expect(combined.total).toBeCloseTo(a.total + b.total);
+    expect(combined.details.taxCost).toHaveLength(4);
+    expect(combined.details.taxCost[0].amount).toBeCloseTo(a.details.taxCost[0].amount + b.details.taxCost[0].amount);
+    // The inputs are left untouched
+    expect(a.details.taxCost[0].amount).toBeCloseTo(6324);
+  });
+
+  it('keeps simple and itemized employees together', () => {
+    const combined = combineCostData([calculateTotalCost(DEFAULT_INPUTS), calculateTotalCost({ ...DEFAULT_INPUTS, taxModel: 'itemized' })]);
+
+    expect(combined.taxCost).toBeCloseTo(8500 + 8034);
+    expect(combined.details.taxCost).toHaveLength(4);
+  });
+});
+
+describe('calculateBillableHours', () => {
+  it('subtracts time off and overhead time from standard hours', () => {
+    // 2080 - 240 - 40 - 0 - 208
+    expect(calculateBillableHours(DEFAULT_INPUTS)).toBe(1592);
+  });
+
+  it('uses the provided standard hours for overhead time', () => {
+    expect(calculateBillableHours({ overheadTime: 50 }, 1000)).toBe(500);
+  });
+
+  it('applies utilization to the hours left after time off in the utilization model', () => {
+    // (2080 - 240 - 40 - 0) * 85%
+    expect(calculateBillableHours({ ...DEFAULT_INPUTS, hoursModel: 'utilization' })).toBe(1530);
+    expect(calculateBillableHours({ ...DEFAULT_INPUTS, hoursModel: 'utilization', overheadTime: 90 })).toBe(1530);
+  });
+
+  it('never goes below zero', () => {
+    expect(calculateBillableHours({ ptoHours: 3000 })).toBe(0);
+    expect(calculateBillableHours({ hoursModel: 'utilization', utilization: 80, ptoHours: 3000 })).toBe(0);
+    expect(calculateBillableHours({ overheadTime: 100 })).toBe(0);
+  });
+
+  it('treats empty strings as 0', () => {
+    expect(calculateBillableHours({ ptoHours: '', trainingHours: '', holidayHours: '', overheadTime: '' }))
+      .toBe(STANDARD_HOURS);
+  });
+});
+
+describe('calculateRates', () => {
+  it('adds the reserve per hour to the break-even rate', () => {
+    expect(calculateRates(100000, 1000, 15)).toEqual({ breakEven: 100, target: 115 });
+  });
+
+  it('returns zero rates when there are no billable hours', () => {
+    expect(calculateRates(100000, 0, 15)).toEqual({ breakEven: 0, target: 0 });
+  });
+
+  it('treats an empty reserve as 0', () => {
+    expect(calculateRates(100000, 1000, '')).toEqual({ breakEven: 100, target: 100 });
+  });
+});
+
+describe('calculateSummary', () => {
+  it('derives revenue, reserve and reserve % of revenue', () => {
+    expect(calculateSummary({ breakEven: 100, target: 125 }, 1000, 100000))
+      .toEqual({ revenue: 125000, profit: 25000, margin: 20 });
+  });
+
+  it('reports a zero margin when there is no revenue', () => {
+    expect(calculateSummary({ breakEven: 0, target: 0 }, 0, 100000))
+      .toEqual({ revenue: 0, profit: -100000, margin: 0 });
+  });
+});
+
+describe('calculate', () => {
+  it('produces the full breakdown for the default inputs', () => {
+    const result = calculate(DEFAULT_INPUTS);
+
+    expect(result.totalStandardHours).toBe(STANDARD_HOURS);
+    expect(result.totalBillableHours).toBe(1592);
+    expect(result.rates.breakEven).toBeCloseTo(137500 / 1592);
+    expect(result.rates.target).toBeCloseTo(137500 / 1592 + 15);
+    expect(result.summary.profit).toBeCloseTo(15 * 1592);
+  });
+
+  it('handles zero billable hours without dividing by zero', () => {
+    const result = calculate({ ...DEFAULT_INPUTS, ptoHours: 2080 });
+
+    expect(result.totalBillableHours).toBe(0);
+    expect(result.rates).toEqual({ breakEven: 0, target: 0 });
+    expect(result.summary.revenue).toBe(0);
+    expect(result.summary.margin).toBe(0);
+    expect(result.summary.profit).toBe(-137500);
+  });
+
+  it('handles an all-empty form', () => {
+    const empty = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map((key) => [key, '']));
+    const result = calculate(empty);
+
+    expect(result.totalCostData.total).toBe(0);
+    expect(result.totalBillableHours).toBe(STANDARD_HOURS);
+    expect(result.rates).toEqual({ breakEven: 0, target: 0 });
+    expect(result.summary).toEqual({ revenue: 0, profit: 0, margin: 0 });
+  });
+
+  it('accepts a custom number of standard hours', () => {
+    const result = calculate({ ...DEFAULT_INPUTS, overheadTime: 0 }, { totalStandardHours: 1800 });
+
+    expect(result.totalStandardHours).toBe(1800);
+    expect(result.totalBillableHours).toBe(1520);
+  });
+});
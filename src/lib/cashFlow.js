@@ -0,0 +1,132 @@
+import { toNumber } from './numbers.js';
+
+/**
+ * Monthly cash-flow projection. Spreads the annual figures of a team
+ * calculation (see calculateTeam) over the months of one or more years, so it
+ * shows when the reserve actually builds up:
+ *
+ * - Billable hours follow the seasonality weights (one per calendar month).
+ *   Weights only shape the year; they don't change its total.
+ * - An employee with `rampMonths` bills a rising share of their hours over
+ *   their first months (e.g. 25%, 50%, 75% for a 3-month ramp). This is the
+ *   only thing that makes the projection differ from the annual totals.
+ * - Costs are spread evenly, except the Vacation Bonus which is paid in full
+ *   in its month.
+ * - Revenue is billed at the recommended (blended) rate.
+ */
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const PROJECTION_LENGTHS = [
+  { value: 12, label: '12 months' },
+  { value: 24, label: '2 years' },
+  { value: 36, label: '3 years' },
+];
+
+export const DEFAULT_CASH_FLOW = {
+  months: 12,
+  startMonth: 1, // Calendar month of the first projected month (1 = January)
+  vacationBonusMonth: 12,
+  seasonality: [100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100],
+  openingBalance: 0,
+};
+
+/**
+ * Each calendar month's share of the year's billable hours. Falls back to an
+ * even spread when the weights are missing or add up to nothing.
+ */
+export function seasonalShares(seasonality = DEFAULT_CASH_FLOW.seasonality) {
+  const weights = MONTH_NAMES.map((_, i) => Math.max(0, toNumber(seasonality?.[i])));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return total > 0 ? weights.map((weight) => weight / total) : weights.map(() => 1 / 12);
+}
+
+/**
+ * The share of full utilization in the nth (0-based) month of a ramp.
+ */
+export function rampFactor(monthIndex, rampMonths) {
+  const months = Math.max(0, Math.round(toNumber(rampMonths)));
+  return monthIndex < months ? (monthIndex + 1) / (months + 1) : 1;
+}
+
+const sumBy = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+
+const totalsOf = (rows) => ({
+  billableHours: sumBy(rows, 'billableHours'),
+  revenue: sumBy(rows, 'revenue'),
+  costs: sumBy(rows, 'costs'),
+  reserve: sumBy(rows, 'reserve'),
+});
+
+const toMonth = (value, fallback) => Math.min(12, Math.max(1, Math.round(toNumber(value)) || fallback)) - 1;
+
+/**
+ * Projects the inputs and their team calculation month by month, over whole
+ * years. Returns the months, the totals of each projected year, and a
+ * reconciliation of the first year against the annual totals (`annual`),
+ * where `ramp` is the difference the ramp-up makes.
+ */
+export function projectCashFlow(inputs, team) {
+  const settings = { ...DEFAULT_CASH_FLOW, ...inputs.cashFlow };
+  const length = Math.max(1, Math.round(toNumber(settings.months) / 12)) * 12;
+  const startMonth = toMonth(settings.startMonth, 1);
+  const bonusMonth = toMonth(settings.vacationBonusMonth, 12);
+  const startYear = toNumber(inputs.schedule?.year);
+  const shares = seasonalShares(settings.seasonality);
+  const rate = team.rates.target;
+  const { total, vacationBonus = 0 } = team.totalCostData;
+  const rampById = Object.fromEntries(inputs.employees.map((employee) => [employee.id, employee.rampMonths]));
+
+  let balance = toNumber(settings.openingBalance);
+  const months = Array.from({ length }, (_, index) => {
+    const calendarMonth = (startMonth + index) % 12;
+    const year = Math.floor(index / 12) + 1;
+    const calendarYear = startYear ? startYear + Math.floor((startMonth + index) / 12) : null;
+
+    const billableHours = team.members.reduce((sum, member) => (
+      sum + member.totalBillableHours * shares[calendarMonth] * rampFactor(index, rampById[member.id])
+    ), 0);
+    const revenue = billableHours * rate;
+    const bonus = calendarMonth === bonusMonth ? vacationBonus : 0;
+    const costs = (total - vacationBonus) / 12 + bonus;
+    const reserve = revenue - costs;
+    balance += reserve;
+
+    return {
+      index,
+      year,
+      label: calendarYear ? `${MONTH_NAMES[calendarMonth]} ${calendarYear}` : `${MONTH_NAMES[calendarMonth]}${year > 1 ? ` (Y${year})` : ''}`,
+      billableHours,
+      revenue,
+      costs,
+      vacationBonus: bonus,
+      reserve,
+      balance,
+    };
+  });
+
+  const years = [];
+  for (let start = 0; start < months.length; start += 12) {
+    years.push({ year: start / 12 + 1, ...totalsOf(months.slice(start, start + 12)) });
+  }
+
+  const annual = {
+    billableHours: team.totalBillableHours,
+    revenue: team.summary.revenue,
+    costs: total,
+    reserve: team.summary.profit,
+  };
+  const firstYear = years[0];
+
+  return {
+    months,
+    years,
+    annual,
+    // Rounding noise from spreading the year over months isn't a difference
+    ramp: Object.fromEntries(Object.keys(annual).map((key) => {
+      const difference = firstYear[key] - annual[key];
+      return [key, Math.abs(difference) < 1e-6 ? 0 : difference];
+    })),
+    openingBalance: toNumber(settings.openingBalance),
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CASH_FLOW, projectCashFlow, rampFactor, seasonalShares } from './cashFlow.js';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee } from './team.js';
+
+const project = (inputs) => projectCashFlow(inputs, calculateTeam(inputs.employees, inputs));
+
+const withCashFlow = (settings) => {
+  const inputs = createDefaultInputs();
+  inputs.cashFlow = { ...DEFAULT_CASH_FLOW, ...settings };
+  return inputs;
+};
+
+describe('seasonalShares', () => {
+  it('turns weights into shares of the year', () => {
+    const shares = seasonalShares([100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 50]);
+
+    expect(shares[11]).toBeCloseTo(shares[0] / 2);
+    expect(shares.reduce((sum, share) => sum + share, 0)).toBeCloseTo(1);
+  });
+
+  it('spreads evenly when there are no weights', () => {
+    expect(seasonalShares(Array(12).fill(0))).toEqual(Array(12).fill(1 / 12));
+    expect(seasonalShares(undefined)).toEqual(Array(12).fill(1 / 12));
+  });
+});
+
+describe('rampFactor', () => {
+  it('rises linearly to full utilization', () => {
+    expect([0, 1, 2, 3].map((month) => rampFactor(month, 3))).toEqual([0.25, 0.5, 0.75, 1]);
+    expect(rampFactor(0, 0)).toBe(1);
+  });
+});
+
+describe('projectCashFlow', () => {
+  it('reconciles the first year to the annual totals', () => {
+    const inputs = withCashFlow({ seasonality: [80, 90, 100, 100, 100, 110, 100, 100, 100, 100, 100, 40] });
+    const projection = project(inputs);
+    const [year] = projection.years;
+
+    expect(projection.months).toHaveLength(12);
+    ['billableHours', 'revenue', 'costs', 'reserve'].forEach((key) => {
+      expect(year[key]).toBeCloseTo(projection.annual[key], 6);
+      expect(projection.ramp[key]).toBe(0);
+    });
+    expect(projection.months.at(-1).balance).toBeCloseTo(projection.annual.reserve, 6);
+  });
+
+  it('shapes billable hours by season', () => {
+    const { months } = project(withCashFlow({ seasonality: [100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 50] }));
+
+    expect(months[11].billableHours).toBeCloseTo(months[0].billableHours / 2);
+  });
+
+  it('pays the vacation bonus in its month', () => {
+    const { months } = project(withCashFlow({ vacationBonusMonth: 6 }));
+
+    expect(months[5].vacationBonus).toBe(2000);
+    expect(months[5].costs - months[4].costs).toBeCloseTo(2000);
+    expect(months.filter((month) => month.vacationBonus > 0)).toHaveLength(1);
+  });
+
+  it('ramps up a new hire and reports the shortfall against the annual totals', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees.push(createEmployee({ rampMonths: 3 }));
+    const team = calculateTeam(inputs.employees, inputs);
+    const projection = projectCashFlow(inputs, team);
+    const perMonth = team.members[1].totalBillableHours / 12;
+
+    // The new hire bills 25% + 50% + 75% of three months' hours
+    expect(projection.ramp.billableHours).toBeCloseTo(-perMonth * 1.5);
+    expect(projection.ramp.revenue).toBeCloseTo(-perMonth * 1.5 * team.rates.target);
+    expect(projection.ramp.costs).toBeCloseTo(0);
+    expect(projection.months[0].billableHours).toBeCloseTo(perMonth * 1.25);
+  });
+
+  it('runs over several years, starting at any month and from an opening balance', () => {
+    const inputs = withCashFlow({ months: 24, startMonth: 7, openingBalance: 5000 });
+    inputs.schedule = { ...inputs.schedule, year: 2026 };
+    const projection = project(inputs);
+
+    expect(projection.months).toHaveLength(24);
+    expect(projection.years.map((year) => year.year)).toEqual([1, 2]);
+    expect(projection.months[0].label).toBe('Jul 2026');
+    expect(projection.months[6].label).toBe('Jan 2027');
+    expect(projection.months.at(-1).balance).toBeCloseTo(5000 + 2 * projection.annual.reserve, 6);
+  });
+
+  it('labels months without a calendar year by projection year', () => {
+    const { months } = project(withCashFlow({ months: 24 }));
+
+    expect(months[0].label).toBe('Jan');
+    expect(months[12].label).toBe('Jan (Y2)');
+  });
+});
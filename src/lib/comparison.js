@@ -0,0 +1,43 @@
+import { RATE_ITEMS, PROJECTION_ITEMS, getCostItems } from './lineItems.js';
+
+export const MIN_COMPARED = 2;
+export const MAX_COMPARED = 4;
+
+/**
+ * Lines up the same line items across several calculation results.
+ * Each cell carries its value and the difference from the baseline column
+ * (null for the baseline itself).
+ *
+ * @param {Array<{ result: object }>} columns
+ * @param {number} baselineIndex
+ */
+export function compareResults(columns, baselineIndex = 0) {
+  const sections = [
+    { title: 'Rates', items: RATE_ITEMS },
+    { title: 'Annual Projections', items: PROJECTION_ITEMS },
+    { title: "Annual 'Balancing' Breakdown", items: getCostItems(...columns.map(({ result }) => result)) },
+  ];
+
+  return sections.map(({ title, items }) => ({
+    title,
+    rows: items.map((item) => {
+      const values = columns.map(({ result }) => item.value(result));
+      const baseline = values[baselineIndex];
+      return {
+        item,
+        cells: values.map((value, index) => ({
+          value,
+          delta: index === baselineIndex ? null : value - baseline,
+        })),
+      };
+    }),
+  }));
+}
+
+/**
+ * Whether a change in an item is favourable (1), unfavourable (-1) or neutral (0).
+ */
+export function deltaDirection(item, delta) {
+  if (!item.better || Math.abs(delta ?? 0) < 1e-9) return 0;
+  return (delta > 0) === (item.better === 'higher') ? 1 : -1;
+}
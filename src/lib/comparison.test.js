@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+import { compareResults, deltaDirection } from './comparison.js';
+import { BREAK_EVEN_RATE_ITEM, RESERVE_ITEM, TOTAL_COST_ITEM } from './lineItems.js';
+import { formatDelta } from './format.js';
+
+const result = (overrides, shared = DEFAULT_SHARED) => calculateTeam([createEmployee(overrides)], shared);
+
+const findRow = (sections, id) => sections.flatMap((section) => section.rows).find((row) => row.item.id === id);
+
+describe('compareResults', () => {
+  const current = result({});
+  const family = result({ healthInsurancePlan: 'family' });
+  const overhead = result({}, { ...DEFAULT_SHARED, companyOverhead: 20 });
+
+  it('groups rows into rates, projections and the cost breakdown', () => {
+    const sections = compareResults([{ result: current }, { result: family }]);
+
+    expect(sections.map((section) => section.title)).toEqual(['Rates', 'Annual Projections', "Annual 'Balancing' Breakdown"]);
+  });
+
+  it('reports each value and its delta from the baseline', () => {
+    const sections = compareResults([{ result: current }, { result: family }, { result: overhead }], 0);
+    const health = findRow(sections, 'healthInsurance');
+    const costs = findRow(sections, 'totalCost');
+
+    expect(health.cells.map((cell) => cell.value)).toEqual([7000, 18000, 7000]);
+    expect(health.cells.map((cell) => cell.delta)).toEqual([null, 11000, 0]);
+    expect(costs.cells[2].delta).toBeCloseTo(10000);
+  });
+
+  it('measures deltas against any chosen baseline', () => {
+    const sections = compareResults([{ result: current }, { result: family }], 1);
+    const target = findRow(sections, 'targetRate');
+
+    expect(target.cells[1].delta).toBeNull();
+    expect(target.cells[0].delta).toBeCloseTo(-11000 / current.totalBillableHours);
+  });
+});
+
+describe('deltaDirection', () => {
+  it('marks changes as favourable or not depending on the item', () => {
+    expect(deltaDirection(RESERVE_ITEM, 100)).toBe(1);
+    expect(deltaDirection(RESERVE_ITEM, -100)).toBe(-1);
+    expect(deltaDirection(TOTAL_COST_ITEM, 100)).toBe(-1);
+    expect(deltaDirection(TOTAL_COST_ITEM, -100)).toBe(1);
+  });
+
+  it('is neutral for unchanged values and items without a preference', () => {
+    expect(deltaDirection(RESERVE_ITEM, 0)).toBe(0);
+    expect(deltaDirection(RESERVE_ITEM, 1e-12)).toBe(0);
+    expect(deltaDirection(RESERVE_ITEM, null)).toBe(0);
+    expect(deltaDirection(BREAK_EVEN_RATE_ITEM, 5)).toBe(0);
+  });
+});
+
+describe('formatDelta', () => {
+  it('signs the change', () => {
+    expect(formatDelta(1200)).toBe('+$1,200.00');
+    expect(formatDelta(-3, 'percent')).toBe('-3.00%');
+    expect(formatDelta(0, 'hours')).toBe('±0');
+  });
+});
@@ -0,0 +1,78 @@
+import { toNumber } from './numbers.js';
+
+/**
+ * Employee vs. contractor comparison for one role. The employee side is the
+ * employee's calculated annual cost (see calculateTeam), which is the same
+ * however many hours they bill. A contractor has no benefits, employer taxes
+ * or company overhead, but is paid for every hour worked, so the cheaper
+ * option depends on utilization:
+ *
+ * - Both are compared over the employee's billable hours.
+ * - A day rate is converted at the schedule's hours per day.
+ * - An agency fee is a % added to the contractor's rate.
+ * - `breakEvenHours` is where the employee's annual cost buys as many hours
+ *   as the contractor; above it the employee is cheaper.
+ */
+
+export const CONTRACTOR_RATE_TYPES = [
+  { value: 'hourly', label: 'Hourly rate' },
+  { value: 'daily', label: 'Day rate' },
+];
+
+export const DEFAULT_CONTRACTOR = {
+  rateType: 'hourly',
+  hourlyRate: 90,
+  dailyRate: 720,
+  agencyFee: 0, // % added to the contractor's rate
+};
+
+// Utilization levels to compare at, as % of available hours
+export const UTILIZATION_STEPS = [25, 50, 75, 100];
+
+/**
+ * The contractor's rate per hour before and after the agency fee.
+ */
+export function contractorHourlyRate(contractor = DEFAULT_CONTRACTOR, hoursPerDay = 8) {
+  const settings = { ...DEFAULT_CONTRACTOR, ...contractor };
+  const hours = toNumber(hoursPerDay);
+  const rate = settings.rateType === 'daily'
+    ? (hours > 0 ? toNumber(settings.dailyRate) / hours : 0)
+    : toNumber(settings.hourlyRate);
+  return { rate, allIn: rate * (1 + toNumber(settings.agencyFee) / 100) };
+}
+
+/**
+ * Compares an employee (a calculateTeam member) with a contractor covering the
+ * same billable hours, out of `totalStandardHours` available in the year.
+ */
+export function compareContractor(member, contractor, { totalStandardHours, hoursPerDay }) {
+  const { rate, allIn } = contractorHourlyRate(contractor, hoursPerDay);
+  const hours = member.totalBillableHours;
+  const employeeCost = member.totalCostData.total;
+  const contractorCost = hours * allIn;
+  const breakEvenHours = allIn > 0 ? employeeCost / allIn : Infinity;
+  const costsAt = (utilization) => {
+    const atHours = (totalStandardHours * utilization) / 100;
+    return { utilization, hours: atHours, employee: employeeCost, contractor: atHours * allIn };
+  };
+
+  return {
+    hours,
+    utilization: totalStandardHours > 0 ? (hours / totalStandardHours) * 100 : 0,
+    employee: {
+      totalCost: employeeCost,
+      hourlyCost: hours > 0 ? employeeCost / hours : Infinity,
+    },
+    contractor: {
+      rate,
+      hourlyCost: allIn,
+      fees: hours * rate,
+      agencyFees: hours * (allIn - rate),
+      totalCost: contractorCost,
+    },
+    difference: contractorCost - employeeCost,
+    breakEvenHours,
+    breakEvenUtilization: totalStandardHours > 0 ? (breakEvenHours / totalStandardHours) * 100 : Infinity,
+    steps: UTILIZATION_STEPS.map(costsAt),
+  };
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { compareContractor, contractorHourlyRate } from './contractor.js';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+
+const member = { totalBillableHours: 1500, totalCostData: { total: 150000 } };
+const year = { totalStandardHours: 2000, hoursPerDay: 8 };
+
+describe('contractorHourlyRate', () => {
+  it('converts a day rate at the hours per day', () => {
+    expect(contractorHourlyRate({ rateType: 'daily', dailyRate: 800 }, 8)).toEqual({ rate: 100, allIn: 100 });
+    expect(contractorHourlyRate({ rateType: 'daily', dailyRate: 800 }, 0).rate).toBe(0);
+  });
+
+  it('adds the agency fee on top of the rate', () => {
+    expect(contractorHourlyRate({ rateType: 'hourly', hourlyRate: 100, agencyFee: 20 }, 8)).toEqual({ rate: 100, allIn: 120 });
+  });
+});
+
+describe('compareContractor', () => {
+  it("compares both over the employee's billable hours", () => {
+    const comparison = compareContractor(member, { hourlyRate: 80, agencyFee: 25 }, year);
+
+    expect(comparison.employee).toEqual({ totalCost: 150000, hourlyCost: 100 });
+    expect(comparison.contractor).toMatchObject({ rate: 80, hourlyCost: 100, fees: 120000, agencyFees: 30000, totalCost: 150000 });
+    expect(comparison.difference).toBe(0);
+    expect(comparison.utilization).toBe(75);
+  });
+
+  it('finds the utilization at which the employee becomes cheaper', () => {
+    const comparison = compareContractor(member, { hourlyRate: 125 }, year);
+
+    expect(comparison.breakEvenHours).toBe(1200);
+    expect(comparison.breakEvenUtilization).toBe(60);
+    expect(comparison.difference).toBe(37500);
+    expect(comparison.steps.map((step) => step.contractor < step.employee)).toEqual([true, true, false, false]);
+  });
+
+  it('never breaks even with a free contractor', () => {
+    expect(compareContractor(member, { hourlyRate: 0 }, year).breakEvenHours).toBe(Infinity);
+  });
+
+  it("uses an employee's calculated costs", () => {
+    const [result] = calculateTeam([createEmployee()], DEFAULT_SHARED).members;
+    const comparison = compareContractor(result, { hourlyRate: 50 }, { totalStandardHours: 2080, hoursPerDay: 8 });
+
+    expect(comparison.employee.totalCost).toBe(result.totalCostData.total);
+    expect(comparison.breakEvenHours).toBeCloseTo(result.totalCostData.total / 50);
+  });
+});
@@ -0,0 +1,78 @@
+import { calculateBillableHours } from './calculator.js';
+import { getBalancingItems } from './lineItems.js';
+import { toNumber } from './numbers.js';
+import { toCalculatorInputs } from './team.js';
+
+/**
+ * Data for the cost charts, from a team calculation (see calculateTeam):
+ * the hourly rate split into what it pays for, the balancing breakdown as
+ * waterfall steps, and an employee's year split into billable and
+ * non-billable hours.
+ */
+
+const RATE_PARTS = [
+  { id: 'pay', label: 'Salary & Bonus', amount: (costs) => costs.salary + costs.vacationBonus },
+  { id: 'benefits', label: 'Benefits', amount: (costs) => costs.healthInsurance + costs.k401Cost + (costs.benefitsCost || 0) },
+  { id: 'taxes', label: 'Employer Taxes', amount: (costs) => costs.taxCost },
+  { id: 'overhead', label: 'Company Overhead', amount: (costs) => costs.overheadCost },
+];
+
+/**
+ * The recommended hourly rate as { id, label, value } parts per billable hour,
+ * adding up to the rate. Empty when there are no billable hours.
+ */
+export function rateComposition(result) {
+  const hours = result.totalBillableHours;
+  if (hours <= 0) return [];
+  return [
+    ...RATE_PARTS.map((part) => ({ id: part.id, label: part.label, value: part.amount(result.totalCostData) / hours })),
+    { id: 'reserve', label: 'Reserve', value: result.rates.target - result.rates.breakEven },
+  ];
+}
+
+/**
+ * The Annual 'Balancing' Breakdown as waterfall steps { id, label, start, end },
+ * from revenue, down by each cost, to the reserve. Costs of 0 are left out.
+ */
+export function waterfallSteps(result) {
+  const revenue = result.summary.revenue;
+  let running = revenue;
+  const costs = getBalancingItems(result)
+    .map((item) => ({ id: item.id, label: item.label, amount: item.value(result) }))
+    .filter((cost) => cost.amount !== 0)
+    .map((cost) => {
+      const start = running;
+      running -= cost.amount;
+      return { id: cost.id, label: cost.label, start, end: running };
+    });
+
+  return [
+    { id: 'revenue', label: 'Revenue', start: 0, end: revenue, total: true },
+    ...costs,
+    { id: 'reserve', label: 'Reserve', start: 0, end: running, total: true },
+  ];
+}
+
+/**
+ * How an employee's available hours split into time off, non-billable time
+ * and billable hours, as { id, label, value } parts.
+ */
+export function hoursSplit(employee, shared, totalStandardHours) {
+  const inputs = toCalculatorInputs(employee, shared);
+  const billable = calculateBillableHours(inputs, totalStandardHours);
+  const timeOff = [
+    { id: 'pto', label: 'PTO', value: toNumber(inputs.ptoHours) },
+    { id: 'training', label: 'Training', value: toNumber(inputs.trainingHours) },
+    { id: 'holidays', label: 'Holidays', value: toNumber(inputs.holidayHours) },
+  ];
+  const off = timeOff.reduce((sum, part) => sum + part.value, 0);
+  const nonBillable = inputs.hoursModel === 'utilization'
+    ? Math.max(0, totalStandardHours - off - billable)
+    : Math.min(totalStandardHours * (toNumber(inputs.overheadTime) / 100), Math.max(0, totalStandardHours - off));
+
+  return [
+    ...timeOff,
+    { id: 'overhead', label: inputs.hoursModel === 'utilization' ? 'Non-Billable Time' : 'Overhead Time', value: nonBillable },
+    { id: 'billable', label: 'Billable', value: billable },
+  ];
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee } from './team.js';
+import { hoursSplit, rateComposition, waterfallSteps } from './costCharts.js';
+
+const sum = (parts) => parts.reduce((total, part) => total + part.value, 0);
+
+describe('rateComposition', () => {
+  it('splits the recommended rate into parts per billable hour', () => {
+    const inputs = createDefaultInputs();
+    const team = calculateTeam(inputs.employees, inputs);
+    const parts = rateComposition(team);
+
+    expect(parts.map((part) => part.id)).toEqual(['pay', 'benefits', 'taxes', 'overhead', 'reserve']);
+    expect(sum(parts)).toBeCloseTo(team.rates.target);
+    expect(parts[4].value).toBeCloseTo(15);
+  });
+
+  it('is empty when there are no billable hours', () => {
+    const inputs = { ...createDefaultInputs(), employees: [createEmployee({ ptoHours: 3000 })] };
+
+    expect(rateComposition(calculateTeam(inputs.employees, inputs))).toEqual([]);
+  });
+});
+
+describe('waterfallSteps', () => {
+  it('steps down from revenue by each cost to the reserve', () => {
+    const inputs = createDefaultInputs();
+    const team = calculateTeam(inputs.employees, inputs);
+    const steps = waterfallSteps(team);
+    const reserve = steps[steps.length - 1];
+
+    expect(steps[0]).toMatchObject({ id: 'revenue', start: 0, end: team.summary.revenue });
+    expect(steps.slice(1, -1).map((step) => step.id)).toEqual(['salary', 'k401Cost', 'vacationBonus', 'healthInsurance', 'taxCost', 'overheadCost']);
+    steps.slice(2, -1).forEach((step, i) => expect(step.start).toBe(steps[i + 1].end));
+    expect(reserve.end).toBeCloseTo(team.summary.profit);
+  });
+
+  it('lists an itemized overhead ledger line by line', () => {
+    const inputs = { ...createDefaultInputs(), overheadModel: 'itemized' };
+    const ids = waterfallSteps(calculateTeam(inputs.employees, inputs)).map((step) => step.id);
+
+    expect(ids).not.toContain('overheadCost');
+    expect(ids).toContain('overheadCost.rent');
+  });
+});
+
+describe('hoursSplit', () => {
+  it('splits the available hours into time off, overhead time and billable hours', () => {
+    const inputs = createDefaultInputs();
+    const parts = hoursSplit(inputs.employees[0], inputs, 2080);
+
+    expect(parts.map((part) => [part.id, part.value])).toEqual([['pto', 240], ['training', 40], ['holidays', 0], ['overhead', 208], ['billable', 1592]]);
+    expect(sum(parts)).toBe(2080);
+  });
+
+  it('caps overhead time at the hours left after time off', () => {
+    const inputs = createDefaultInputs();
+    const parts = hoursSplit({ ...inputs.employees[0], overheadTime: 95 }, inputs, 2080);
+
+    expect(parts[3].value).toBe(2080 - 280);
+    expect(parts[4].value).toBe(0);
+    expect(sum(parts)).toBe(2080);
+  });
+
+  it('counts the unbilled working time as non-billable under a utilization target', () => {
+    const inputs = { ...createDefaultInputs(), hoursModel: 'utilization' };
+    const parts = hoursSplit(inputs.employees[0], inputs, 2080);
+
+    expect(parts[3]).toMatchObject({ label: 'Non-Billable Time' });
+    expect(parts[3].value).toBeCloseTo(1800 * 0.15);
+    expect(sum(parts)).toBeCloseTo(2080);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted
+ * with double quotes when they contain commas, quotes or line breaks.
+ */
+
+const quote = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows (arrays of values) as CSV text.
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Parses CSV text into rows of strings. Blank lines are skipped.
+ * Throws if a quoted field is never closed.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('The CSV file has an unclosed quote');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
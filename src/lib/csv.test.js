@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from './csv.js';
+
+describe('toCsv / parseCsv', () => {
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const rows = [['name', 'note'], ['A, B', 'say "hi"'], ['C', 'two\nlines']];
+    const text = toCsv(rows);
+
+    expect(text).toBe('name,note\r\n"A, B","say ""hi"""\r\nC,"two\nlines"');
+    expect(parseCsv(text)).toEqual(rows);
+  });
+
+  it('reads LF and CRLF line endings and skips blank lines', () => {
+    expect(parseCsv('a,b\n\n1,2\r\n3,\r\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '']]);
+  });
+
+  it('writes missing values as empty fields', () => {
+    expect(toCsv([[null, undefined, 0]])).toBe(',,0');
+  });
+
+  it('rejects an unclosed quote', () => {
+    expect(() => parseCsv('a,"b\n1,2')).toThrow(/unclosed quote/);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Number formatting and parsing for the scenario's locale and currency.
+ * The plain exports (formatCurrency, formatValue, ...) format in en-US/USD;
+ * createFormatters binds the same helpers to a scenario's `localization`.
+ */
+
+export const LOCALES = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'en-CA', label: 'English (Canada)' },
+  { value: 'fr-CA', label: 'Français (Canada)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'es-MX', label: 'Español (México)' },
+  { value: 'nl-NL', label: 'Nederlands (Nederland)' },
+  { value: 'ja-JP', label: '日本語 (日本)' },
+];
+
+export const CURRENCIES = [
+  { value: 'USD', label: 'US Dollar (USD)' },
+  { value: 'EUR', label: 'Euro (EUR)' },
+  { value: 'GBP', label: 'British Pound (GBP)' },
+  { value: 'CAD', label: 'Canadian Dollar (CAD)' },
+  { value: 'MXN', label: 'Mexican Peso (MXN)' },
+  { value: 'JPY', label: 'Japanese Yen (JPY)' },
+  { value: 'AUD', label: 'Australian Dollar (AUD)' },
+  { value: 'CHF', label: 'Swiss Franc (CHF)' },
+];
+
+export const DEFAULT_LOCALIZATION = {
+  locale: 'en-US',
+  currency: 'USD',
+  clientCurrency: '', // Currency to show the client rate in; '' shows it in `currency`
+  exchangeRate: 1, // Units of clientCurrency per unit of currency
+};
+
+const isListed = (options, value) => options.some((option) => option.value === value);
+
+/**
+ * The locale's group and decimal separators, e.g. { group: '.', decimal: ',' }.
+ */
+export function numberSeparators(locale = DEFAULT_LOCALIZATION.locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const find = (type, fallback) => parts.find((part) => part.type === type)?.value ?? fallback;
+  return { group: find('group', ','), decimal: find('decimal', '.') };
+}
+
+/**
+ * The currency symbol and whether it comes before or after the amount in the
+ * locale, e.g. { symbol: '€', position: 'suffix' } for EUR in de-DE.
+ */
+export function currencyAdornment(locale = DEFAULT_LOCALIZATION.locale, currency = DEFAULT_LOCALIZATION.currency) {
+  const parts = new Intl.NumberFormat(locale, { style: 'currency', currency }).formatToParts(1);
+  const index = parts.findIndex((part) => part.type === 'currency');
+  const number = parts.findIndex((part) => part.type === 'integer');
+  return { symbol: parts[index].value, position: index < number ? 'prefix' : 'suffix' };
+}
+
+/**
+ * Parses a number typed in the locale's notation, e.g. "1.234,5" in de-DE.
+ * Group separators, spaces and currency symbols are ignored. Returns NaN when
+ * there is no number.
+ */
+export function parseNumber(text, locale = DEFAULT_LOCALIZATION.locale) {
+  if (typeof text === 'number') return text;
+  const { group, decimal } = numberSeparators(locale);
+  const value = String(text ?? '')
+    .replace(/\s/g, '')
+    .split(group.trim() || ' ').join('')
+    .replace(decimal, '.')
+    .replace('\u2212', '-');
+  const match = /-?(\d+\.?\d*|\.\d+)/.exec(value);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * Formatters bound to a scenario's localization. Unknown locales and
+ * currencies fall back to the defaults. `formatClientCurrency` converts an
+ * amount to the client currency at the exchange rate when conversion is on,
+ * and is formatCurrency otherwise.
+ */
+export function createFormatters(localization = DEFAULT_LOCALIZATION) {
+  const settings = { ...DEFAULT_LOCALIZATION, ...localization };
+  const locale = isListed(LOCALES, settings.locale) ? settings.locale : DEFAULT_LOCALIZATION.locale;
+  const currency = isListed(CURRENCIES, settings.currency) ? settings.currency : DEFAULT_LOCALIZATION.currency;
+  const exchangeRate = Number(settings.exchangeRate);
+  const converts = isListed(CURRENCIES, settings.clientCurrency)
+    && settings.clientCurrency !== currency
+    && exchangeRate > 0;
+  const clientCurrency = converts ? settings.clientCurrency : currency;
+
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const clientFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: clientCurrency });
+  const hoursFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 0, useGrouping: false });
+  const percentFormat = new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const inputFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 10, useGrouping: false });
+
+  const formatters = {
+    locale,
+    currency,
+    clientCurrency,
+    exchangeRate: converts ? exchangeRate : 1,
+    converts,
+    formatCurrency: (amount) => currencyFormat.format(amount),
+    formatClientCurrency: (amount) => clientFormat.format(converts ? amount * exchangeRate : amount),
+    formatHours: (hours) => hoursFormat.format(hours),
+    formatPercent: (percent) => percentFormat.format(percent / 100),
+    /** Formats a number for editing in an input, without group separators. */
+    formatNumber: (value) => inputFormat.format(value),
+    parseNumber: (text) => parseNumber(text, locale),
+    adornment: currencyAdornment(locale, currency),
+  };
+
+  const byFormat = {
+    currency: formatters.formatCurrency,
+    hours: formatters.formatHours,
+    percent: formatters.formatPercent,
+  };
+  formatters.formatValue = (value, format = 'currency') => byFormat[format](value);
+  formatters.formatDelta = (delta, format = 'currency') => {
+    const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+    return `${sign}${formatters.formatValue(Math.abs(delta), format)}`;
+  };
+
+  return formatters;
+}
+
+export const DEFAULT_FORMATTERS = createFormatters();
+
+/**
+ * Helper function to format numbers as currency.
+ */
+export const formatCurrency = DEFAULT_FORMATTERS.formatCurrency;
+
+export const formatHours = DEFAULT_FORMATTERS.formatHours;
+
+export const formatPercent = DEFAULT_FORMATTERS.formatPercent;
+
+/**
+ * Formats a value as 'currency', 'hours' or 'percent'.
+ */
+export const formatValue = DEFAULT_FORMATTERS.formatValue;
+
+/**
+ * Formats a change in value with an explicit sign, e.g. "+$1,200.00" or "-3%".
+ */
+export const formatDelta = DEFAULT_FORMATTERS.formatDelta;
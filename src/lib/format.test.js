@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { createFormatters, currencyAdornment, formatCurrency, formatHours, formatPercent, parseNumber } from './format.js';
+
+describe('default formatters', () => {
+  it('format in en-US and USD', () => {
+    expect(formatCurrency(1234.5)).toBe('$1,234.50');
+    expect(formatHours(2079.6)).toBe('2080');
+    expect(formatPercent(12.5)).toBe('12.50%');
+  });
+});
+
+describe('createFormatters', () => {
+  it('formats amounts in the chosen locale and currency', () => {
+    const { formatCurrency: format, formatPercent: percent, formatValue } = createFormatters({ locale: 'de-DE', currency: 'EUR' });
+    expect(format(1234.5)).toBe('1.234,50 €');
+    expect(percent(12.5)).toBe('12,50 %');
+    expect(formatValue(2080, 'hours')).toBe('2080');
+  });
+
+  it('converts the client currency at the exchange rate', () => {
+    const formatters = createFormatters({ locale: 'en-US', currency: 'USD', clientCurrency: 'EUR', exchangeRate: 0.9 });
+    expect(formatters.converts).toBe(true);
+    expect(formatters.formatClientCurrency(100)).toBe('€90.00');
+    expect(formatters.formatCurrency(100)).toBe('$100.00');
+  });
+
+  it('does not convert without a different client currency and a positive rate', () => {
+    expect(createFormatters({ clientCurrency: '' }).formatClientCurrency(100)).toBe('$100.00');
+    expect(createFormatters({ clientCurrency: 'USD', exchangeRate: 2 }).formatClientCurrency(100)).toBe('$100.00');
+    expect(createFormatters({ clientCurrency: 'EUR', exchangeRate: 0 }).converts).toBe(false);
+  });
+
+  it('falls back to the defaults for unknown locales and currencies', () => {
+    expect(createFormatters({ locale: 'xx', currency: 'ABC' }).formatCurrency(1)).toBe('$1.00');
+  });
+});
+
+describe('currencyAdornment', () => {
+  it('places the symbol where the locale does', () => {
+    expect(currencyAdornment('en-US', 'USD')).toEqual({ symbol: '$', position: 'prefix' });
+    expect(currencyAdornment('de-DE', 'EUR')).toEqual({ symbol: '€', position: 'suffix' });
+  });
+});
+
+describe('parseNumber', () => {
+  it('reads decimal commas and group separators', () => {
+    expect(parseNumber('1.234,5', 'de-DE')).toBe(1234.5);
+    expect(parseNumber('1 234,5', 'fr-FR')).toBe(1234.5);
+    expect(parseNumber('-0,25', 'de-DE')).toBe(-0.25);
+    expect(parseNumber('1,234.5', 'en-US')).toBe(1234.5);
+  });
+
+  it('ignores currency symbols and returns NaN without a number', () => {
+    expect(parseNumber('$12', 'en-US')).toBe(12);
+    expect(parseNumber('12 €', 'de-DE')).toBe(12);
+    expect(parseNumber('abc', 'en-US')).toBeNaN();
+  });
+});
@@ -0,0 +1,138 @@
+import { calculateTeam } from './team.js';
+
+/**
+ * Goal seek: works backwards from a fixed (e.g. client-dictated) hourly rate
+ * to the value of one input that makes the calculator recommend exactly that
+ * rate. The solver runs the full team calculation, so anything that scales
+ * with the solved input (401k, employer taxes and company overhead all scale
+ * with salary) is accounted for.
+ *
+ * Each target is solved within [min, max] by bisection, which only relies on
+ * the recommended rate moving in one direction as the input grows.
+ */
+export const SOLVE_TARGETS = [
+  { id: 'salary', label: 'Maximum Affordable Salary', scope: 'employee', format: 'currency', bounds: () => [0, 10000000] },
+  { id: 'profitMargin', label: 'Reserve Fund per Hour', scope: 'scenario', format: 'currency', bounds: (rate) => [0, Math.max(0, rate)] },
+  { id: 'ptoHours', label: 'Maximum PTO Hours', scope: 'employee', format: 'hours', bounds: (rate, team) => [0, team.totalStandardHours] },
+  { id: 'overheadTime', label: 'Maximum Non-Billable Overhead Time', scope: 'employee', format: 'percent', bounds: () => [0, 100] },
+];
+
+// Under the utilization hours model overhead time is ignored; a lower target
+// utilization is what leaves more non-billable time
+const UTILIZATION_TARGET = { id: 'utilization', label: 'Minimum Target Utilization', scope: 'employee', format: 'percent', bounds: () => [0, 100] };
+
+// The reserve per hour only sets the rate when pricing per hour; the other
+// pricing methods solve for their own target (a field of the scenario's pricing)
+const RESERVE_TARGETS = {
+  margin: { id: 'margin', label: 'Target Margin', scope: 'pricing', format: 'percent', bounds: () => [0, 99.99] },
+  markup: {
+    id: 'markup',
+    label: 'Markup on Cost',
+    scope: 'pricing',
+    format: 'percent',
+    bounds: (rate, team) => [0, team.rates.breakEven > 0 ? Math.max(0, (rate / team.rates.breakEven) * 100) : 0],
+  },
+  annualProfit: {
+    id: 'annualProfit',
+    label: 'Target Annual Reserve',
+    scope: 'pricing',
+    format: 'currency',
+    bounds: (rate, team) => [0, Math.max(0, rate) * team.totalBillableHours],
+  },
+};
+
+/**
+ * The targets that apply to a scenario's hours model and pricing method.
+ */
+export function solveTargets(inputs) {
+  return SOLVE_TARGETS.map((target) => {
+    if (target.id === 'overheadTime' && inputs.hoursModel === 'utilization') return UTILIZATION_TARGET;
+    if (target.id === 'profitMargin') return RESERVE_TARGETS[inputs.pricingModel] || target;
+    return target;
+  });
+}
+
+const ITERATIONS = 100;
+
+/**
+ * Returns a copy of the inputs with the target field set to `value`.
+ */
+export function applySolvedValue(inputs, target, employeeId, value) {
+  if (target.scope === 'scenario') {
+    return { ...inputs, [target.id]: value };
+  }
+  if (target.scope === 'pricing') {
+    return { ...inputs, pricing: { ...inputs.pricing, [target.id]: value } };
+  }
+  return {
+    ...inputs,
+    employees: inputs.employees.map((employee) => (
+      employee.id === employeeId ? { ...employee, [target.id]: value } : employee
+    )),
+  };
+}
+
+/**
+ * The recommended rate for a set of inputs. With no billable hours no rate
+ * can cover the costs, so it is treated as infinite rather than 0.
+ */
+const recommendedRate = (inputs) => {
+  const team = calculateTeam(inputs.employees, inputs);
+  return team.totalBillableHours > 0 ? team.rates.target : Infinity;
+};
+
+/**
+ * Solves for the value of `targetId` (on `employeeId` for per-employee inputs)
+ * at which the recommended rate equals `rate`.
+ *
+ * When the rate cannot be reached within the target's bounds, `achievable` is
+ * false and `value` is the bound that comes closest.
+ */
+export function goalSeek(inputs, { targetId, employeeId, rate }) {
+  const target = solveTargets(inputs).find((t) => t.id === targetId);
+  if (!target) {
+    throw new Error(`Unknown goal seek target: ${targetId}`);
+  }
+
+  const desired = Number(rate) || 0;
+  const rateAt = (value) => recommendedRate(applySolvedValue(inputs, target, employeeId, value));
+  const [min, max] = target.bounds(desired, calculateTeam(inputs.employees, inputs));
+
+  const rateAtMin = rateAt(min);
+  const rateAtMax = rateAt(max);
+  const increasing = rateAtMax >= rateAtMin;
+  const lowestRate = Math.min(rateAtMin, rateAtMax);
+  const highestRate = Math.max(rateAtMin, rateAtMax);
+
+  let value;
+  let achievable = true;
+  if (desired <= lowestRate) {
+    value = increasing ? min : max;
+    achievable = desired === lowestRate;
+  } else if (desired >= highestRate) {
+    value = increasing ? max : min;
+    achievable = desired === highestRate;
+  } else {
+    let lo = min;
+    let hi = max;
+    for (let i = 0; i < ITERATIONS; i += 1) {
+      const mid = (lo + hi) / 2;
+      if ((rateAt(mid) < desired) === increasing) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    value = (lo + hi) / 2;
+  }
+
+  const solvedInputs = applySolvedValue(inputs, target, employeeId, value);
+
+  return {
+    target,
+    value,
+    achievable,
+    inputs: solvedInputs,
+    result: calculateTeam(solvedInputs.employees, solvedInputs),
+  };
+}
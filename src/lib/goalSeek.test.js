@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee } from './team.js';
+import { applySolvedValue, goalSeek, solveTargets, SOLVE_TARGETS } from './goalSeek.js';
+
+const defaults = () => {
+  const inputs = createDefaultInputs();
+  return { inputs, employeeId: inputs.employees[0].id };
+};
+
+describe('goalSeek', () => {
+  it('solves for the salary, including costs that scale with it', () => {
+    const { inputs, employeeId } = defaults();
+    const { value, achievable, result } = goalSeek(inputs, { targetId: 'salary', employeeId, rate: 120 });
+
+    // rate * hours = salary * (1 + 401k + taxes + overhead) + bonus + insurance + reserve * hours
+    const hours = 1592;
+    const expected = (hours * (120 - 15) - 2000 - 7000) / (1 + 0.10 + 0.085 + 0.10);
+
+    expect(achievable).toBe(true);
+    expect(value).toBeCloseTo(expected, 4);
+    expect(result.rates.target).toBeCloseTo(120, 6);
+  });
+
+  it('solves for the salary when payroll taxes stop at a wage base', () => {
+    const { inputs, employeeId } = defaults();
+    inputs.taxModel = 'itemized';
+    const { value, achievable, result } = goalSeek(inputs, { targetId: 'salary', employeeId, rate: 250 });
+
+    expect(achievable).toBe(true);
+    expect(value).toBeGreaterThan(inputs.payrollTaxes.socialSecurityWageBase);
+    expect(result.rates.target).toBeCloseTo(250, 6);
+  });
+
+  it('round-trips the current rate back to the current salary', () => {
+    const { inputs, employeeId } = defaults();
+    const rate = calculateTeam(inputs.employees, inputs).rates.target;
+
+    expect(goalSeek(inputs, { targetId: 'salary', employeeId, rate }).value).toBeCloseTo(100000, 4);
+  });
+
+  it('solves for the reserve per hour', () => {
+    const { inputs, employeeId } = defaults();
+    const breakEven = calculateTeam(inputs.employees, inputs).rates.breakEven;
+    const { value, achievable } = goalSeek(inputs, { targetId: 'profitMargin', employeeId, rate: 100 });
+
+    expect(achievable).toBe(true);
+    expect(value).toBeCloseTo(100 - breakEven, 6);
+  });
+
+  it("solves for the pricing method's own target instead of switching methods", () => {
+    const { inputs, employeeId } = defaults();
+    ['margin', 'markup', 'annualProfit'].forEach((pricingModel) => {
+      const priced = { ...inputs, pricingModel };
+      const { target, achievable, inputs: solved, result } = goalSeek(priced, { targetId: pricingModel, employeeId, rate: 100 });
+
+      expect(target.scope).toBe('pricing');
+      expect(achievable).toBe(true);
+      expect(solved.pricingModel).toBe(pricingModel);
+      expect(result.rates.target).toBeCloseTo(100, 6);
+    });
+    expect(solveTargets({ ...inputs, pricingModel: 'markup' }).map((target) => target.id)).not.toContain('profitMargin');
+  });
+
+  it('solves for non-billable hours', () => {
+    const { inputs, employeeId } = defaults();
+    const pto = goalSeek(inputs, { targetId: 'ptoHours', employeeId, rate: 110 });
+    const overhead = goalSeek(inputs, { targetId: 'overheadTime', employeeId, rate: 110 });
+
+    expect(pto.achievable).toBe(true);
+    expect(pto.value).toBeGreaterThan(240);
+    expect(pto.result.rates.target).toBeCloseTo(110, 6);
+    expect(overhead.value).toBeGreaterThan(10);
+    expect(overhead.result.rates.target).toBeCloseTo(110, 6);
+  });
+
+  it('solves for the target utilization under the utilization hours model', () => {
+    const { inputs, employeeId } = defaults();
+    inputs.hoursModel = 'utilization';
+    const { target, value, achievable, inputs: solved, result } = goalSeek(inputs, { targetId: 'utilization', employeeId, rate: 110 });
+
+    expect(achievable).toBe(true);
+    expect(target.label).toBe('Minimum Target Utilization');
+    expect(value).toBeLessThan(85);
+    expect(solved.employees[0].utilization).toBe(value);
+    expect(result.rates.target).toBeCloseTo(110, 6);
+    expect(() => goalSeek(inputs, { targetId: 'overheadTime', employeeId, rate: 110 })).toThrow(/Unknown/);
+  });
+
+  it('solves one employee within a team against the blended rate', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees.push(createEmployee({ salary: 150000 }));
+    const employeeId = inputs.employees[1].id;
+    const { value, result } = goalSeek(inputs, { targetId: 'salary', employeeId, rate: 100 });
+
+    expect(value).toBeLessThan(150000);
+    expect(result.rates.target).toBeCloseTo(100, 6);
+    expect(result.members[0].totalCostData.salary).toBe(100000);
+  });
+
+  it('reports rates that cannot be reached', () => {
+    const { inputs, employeeId } = defaults();
+    // Even a $0 salary leaves the bonus, insurance and reserve to cover
+    const low = goalSeek(inputs, { targetId: 'salary', employeeId, rate: 10 });
+    // Below break-even there is no reserve left
+    const belowBreakEven = goalSeek(inputs, { targetId: 'profitMargin', employeeId, rate: 50 });
+
+    expect(low).toMatchObject({ achievable: false, value: 0 });
+    expect(belowBreakEven).toMatchObject({ achievable: false, value: 0 });
+  });
+
+  it('rejects unknown targets', () => {
+    const { inputs, employeeId } = defaults();
+
+    expect(() => goalSeek(inputs, { targetId: 'nope', employeeId, rate: 100 })).toThrow(/Unknown/);
+  });
+});
+
+describe('applySolvedValue', () => {
+  it('only changes the chosen employee for per-employee targets', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees.push(createEmployee());
+    const salary = SOLVE_TARGETS.find((target) => target.id === 'salary');
+    const updated = applySolvedValue(inputs, salary, inputs.employees[1].id, 1);
+
+    expect(updated.employees.map((employee) => employee.salary)).toEqual([100000, 1]);
+    expect(inputs.employees[1].salary).toBe(100000);
+  });
+});
@@ -0,0 +1,157 @@
+import { parseCsv, toCsv } from './csv.js';
+import { createId } from './ids.js';
+
+/**
+ * The health plan catalog. Each plan has an employer monthly premium and an
+ * employer HSA/HRA contribution (annual) for one coverage tier. Employees
+ * pick a plan by id, or MANUAL_PLAN to enter an annual cost directly.
+ */
+
+export const MANUAL_PLAN = 'other';
+
+export const COVERAGE_TIERS = [
+  { value: 'employee', label: 'Employee Only' },
+  { value: 'employeeSpouse', label: 'Employee + Spouse' },
+  { value: 'employeeChildren', label: 'Employee + Children' },
+  { value: 'family', label: 'Family' },
+];
+
+export const DEFAULT_HEALTH_PLANS = [
+  { id: 'single', name: 'Standard Plan', coverageTier: 'employee', monthlyPremium: 500, hsaContribution: 1000 },
+  { id: 'spouse', name: 'Standard Plan', coverageTier: 'employeeSpouse', monthlyPremium: 1000, hsaContribution: 1000 },
+  { id: 'family', name: 'Standard Plan', coverageTier: 'family', monthlyPremium: 1400, hsaContribution: 1200 },
+];
+
+export function createHealthPlan(overrides = {}) {
+  return { name: 'New Plan', coverageTier: 'employee', monthlyPremium: 0, hsaContribution: 0, ...overrides, id: createId() };
+}
+
+export const coverageTierLabel = (value) => COVERAGE_TIERS.find((tier) => tier.value === value)?.label || value;
+
+/**
+ * The employer's annual premiums and HSA/HRA contribution for a plan.
+ */
+export const annualPlanCost = (plan) => ({
+  premiums: (Number(plan.monthlyPremium) || 0) * 12,
+  hsaContribution: Number(plan.hsaContribution) || 0,
+});
+
+/**
+ * Determines the annual health insurance cost of an employee's plan selection.
+ * A manual entry counts entirely as premiums; a plan missing from the catalog
+ * costs nothing.
+ */
+export function resolveHealthInsurance(planId, manualCost, plans = DEFAULT_HEALTH_PLANS) {
+  if (planId === MANUAL_PLAN) {
+    return { premiums: Number(manualCost) || 0, hsaContribution: 0 };
+  }
+  const plan = plans.find((p) => p.id === planId);
+  return plan ? annualPlanCost(plan) : { premiums: 0, hsaContribution: 0 };
+}
+
+/**
+ * Returns a copy of the inputs with a new plan catalog. Employees whose plan
+ * is no longer in the catalog switch to a manual entry of the same cost, so
+ * editing the catalog never silently changes anyone's costs.
+ */
+export function replaceHealthPlans(inputs, plans) {
+  const ids = new Set(plans.map((plan) => plan.id));
+
+  return {
+    ...inputs,
+    healthPlans: plans,
+    employees: inputs.employees.map((employee) => {
+      if (employee.healthInsurancePlan === MANUAL_PLAN || ids.has(employee.healthInsurancePlan)) return employee;
+      const cost = resolveHealthInsurance(employee.healthInsurancePlan, employee.healthInsuranceManual, inputs.healthPlans);
+      return { ...employee, healthInsurancePlan: MANUAL_PLAN, healthInsuranceManual: cost.premiums + cost.hsaContribution };
+    }),
+  };
+}
+
+const PLAN_FIELDS = ['id', 'name', 'coverageTier', 'monthlyPremium', 'hsaContribution'];
+
+/**
+ * Writes the catalog as 'json' or 'csv' text that importHealthPlans reads back.
+ */
+export function exportHealthPlans(plans, format = 'json') {
+  if (format === 'csv') {
+    return toCsv([PLAN_FIELDS, ...plans.map((plan) => PLAN_FIELDS.map((field) => plan[field]))]);
+  }
+  return JSON.stringify(plans.map((plan) => Object.fromEntries(PLAN_FIELDS.map((field) => [field, plan[field]]))), null, 2);
+}
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+const readCsvRecords = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  const keys = headers.map(headerKey);
+  const columns = PLAN_FIELDS.map((field) => [field, keys.indexOf(headerKey(field))]);
+
+  ['name', 'monthlyPremium'].forEach((field) => {
+    if (keys.indexOf(headerKey(field)) < 0) throw new Error(`The CSV file needs a ${field} column`);
+  });
+
+  return rows.map((row, i) => ({
+    where: `Row ${i + 2}`,
+    record: Object.fromEntries(columns.filter(([, index]) => index >= 0).map(([field, index]) => [field, row[index]])),
+  }));
+};
+
+const readJsonRecords = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const list = Array.isArray(data) ? data : data?.healthPlans;
+  if (!Array.isArray(list)) throw new Error('The JSON file must contain a list of plans');
+
+  return list.map((record, i) => ({ where: `Plan ${i + 1}`, record: record ?? {} }));
+};
+
+const readAmount = (value, where, field) => {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+  const amount = Number(String(value).replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error(`${where}: ${field} must be a positive number, not "${value}"`);
+  }
+  return amount;
+};
+
+const readTier = (value, where) => {
+  if (value === undefined || String(value).trim() === '') return COVERAGE_TIERS[0].value;
+  const key = headerKey(String(value));
+  const tier = COVERAGE_TIERS.find((t) => headerKey(t.value) === key || headerKey(t.label) === key);
+  if (!tier) throw new Error(`${where}: unknown coverage tier "${value}"`);
+  return tier.value;
+};
+
+/**
+ * Reads a plan catalog from JSON or CSV text (detected from the content).
+ * Throws an Error naming the offending plan or row if anything is invalid.
+ */
+export function importHealthPlans(text) {
+  const trimmed = String(text).trim();
+  if (trimmed === '') throw new Error('The file is empty');
+
+  const records = /^[[{]/.test(trimmed) ? readJsonRecords(trimmed) : readCsvRecords(trimmed);
+  if (records.length === 0) throw new Error('The file has no plans');
+
+  const ids = new Set();
+  return records.map(({ where, record }) => {
+    const name = String(record.name ?? '').trim();
+    if (!name) throw new Error(`${where}: the plan needs a name`);
+
+    const plan = createHealthPlan({
+      name,
+      coverageTier: readTier(record.coverageTier, where),
+      monthlyPremium: readAmount(record.monthlyPremium, where, 'monthlyPremium'),
+      hsaContribution: readAmount(record.hsaContribution, where, 'hsaContribution'),
+    });
+    const id = String(record.id ?? '').trim();
+    if (id && !ids.has(id) && id !== MANUAL_PLAN) plan.id = id;
+    ids.add(plan.id);
+    return plan;
+  });
+}
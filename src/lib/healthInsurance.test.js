@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_HEALTH_PLANS,
+  exportHealthPlans,
+  importHealthPlans,
+  replaceHealthPlans,
+  resolveHealthInsurance,
+} from './healthInsurance.js';
+import { createDefaultInputs } from './scenarios.js';
+
+describe('resolveHealthInsurance', () => {
+  it('annualizes the premium of a catalog plan and adds its HSA/HRA contribution', () => {
+    expect(resolveHealthInsurance('spouse', 8000)).toEqual({ premiums: 12000, hsaContribution: 1000 });
+  });
+
+  it('looks plans up in the given catalog', () => {
+    const plans = [{ id: 'hdhp', monthlyPremium: '400', hsaContribution: '' }];
+
+    expect(resolveHealthInsurance('hdhp', 0, plans)).toEqual({ premiums: 4800, hsaContribution: 0 });
+  });
+
+  it('uses the manual value for "other"', () => {
+    expect(resolveHealthInsurance('other', 8000)).toEqual({ premiums: 8000, hsaContribution: 0 });
+    expect(resolveHealthInsurance('other', '')).toEqual({ premiums: 0, hsaContribution: 0 });
+  });
+
+  it('costs nothing for a plan missing from the catalog', () => {
+    expect(resolveHealthInsurance('gone', 8000)).toEqual({ premiums: 0, hsaContribution: 0 });
+  });
+});
+
+describe('replaceHealthPlans', () => {
+  it('moves employees on removed plans to a manual entry of the same cost', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees.push({ ...inputs.employees[0], id: 'b', healthInsurancePlan: 'family' });
+    const updated = replaceHealthPlans(inputs, DEFAULT_HEALTH_PLANS.slice(0, 1));
+
+    expect(updated.healthPlans).toHaveLength(1);
+    expect(updated.employees[0].healthInsurancePlan).toBe('single');
+    expect(updated.employees[1]).toMatchObject({ healthInsurancePlan: 'other', healthInsuranceManual: 18000 });
+  });
+});
+
+describe('exportHealthPlans / importHealthPlans', () => {
+  it('round-trips the catalog as JSON and as CSV', () => {
+    const plans = [...DEFAULT_HEALTH_PLANS, { id: 'x', name: 'HDHP, "Gold"', coverageTier: 'employeeChildren', monthlyPremium: 650.5, hsaContribution: 0 }];
+
+    expect(importHealthPlans(exportHealthPlans(plans, 'json'))).toEqual(plans);
+    expect(importHealthPlans(exportHealthPlans(plans, 'csv'))).toEqual(plans);
+  });
+
+  it('accepts friendly CSV headers, tier labels and currency amounts', () => {
+    const [plan] = importHealthPlans('Name,Coverage Tier,Monthly Premium,HSA Contribution\nPPO,Employee + Spouse,"$1,250",\n');
+
+    expect(plan).toMatchObject({ name: 'PPO', coverageTier: 'employeeSpouse', monthlyPremium: 1250, hsaContribution: 0 });
+    expect(plan.id).toBeTruthy();
+  });
+
+  it('gives plans without an id, or with a repeated id, a new one', () => {
+    const plans = importHealthPlans(JSON.stringify([{ name: 'A', monthlyPremium: 1 }, { id: 'a', name: 'B', monthlyPremium: 1 }, { id: 'a', name: 'C', monthlyPremium: 1 }]));
+
+    expect(new Set(plans.map((plan) => plan.id)).size).toBe(3);
+    expect(plans[1].id).toBe('a');
+  });
+
+  it('names the plan or row that is invalid', () => {
+    expect(() => importHealthPlans('name,monthlyPremium\nPPO,abc')).toThrow('Row 2: monthlyPremium must be a positive number, not "abc"');
+    expect(() => importHealthPlans('[{"name":"PPO","coverageTier":"pets"}]')).toThrow('Plan 1: unknown coverage tier "pets"');
+    expect(() => importHealthPlans('[{"monthlyPremium":5}]')).toThrow('Plan 1: the plan needs a name');
+  });
+
+  it('rejects files that are not a plan catalog', () => {
+    expect(() => importHealthPlans('')).toThrow(/empty/);
+    expect(() => importHealthPlans('{oops')).toThrow(/not valid JSON/);
+    expect(() => importHealthPlans('{"plans":1}')).toThrow(/list of plans/);
+    expect(() => importHealthPlans('plan,cost\nA,1')).toThrow(/name column/);
+    expect(() => importHealthPlans('name,monthlyPremium\n')).toThrow(/no plans/);
+  });
+});
@@ -0,0 +1,4 @@
+/**
+ * Short unique ids for employees, scenarios and catalog entries.
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
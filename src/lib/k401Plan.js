@@ -0,0 +1,70 @@
+/**
+ * Employer 401k contributions under a plan's match formula. A formula is a
+ * list of tiers matched in order, e.g. "100% of the first 3% plus 50% of the
+ * next 2%" is [{ match: 100, of: 3 }, { match: 50, of: 2 }]. Safe-harbor
+ * non-elective contributions are paid whether or not the employee defers.
+ * Contributions only count compensation up to the IRS annual limit (the 2026
+ * figure by default; 0 means uncapped).
+ */
+
+export const K401_MODELS = [
+  { value: 'flat', label: 'Flat (% of salary)' },
+  { value: 'match', label: 'Match formula' },
+];
+
+export const K401_PRESETS = [
+  { id: 'basicSafeHarbor', label: 'Safe harbor basic match', matchTiers: [{ match: 100, of: 3 }, { match: 50, of: 2 }], nonElective: 0 },
+  { id: 'enhancedSafeHarbor', label: 'Safe harbor enhanced match', matchTiers: [{ match: 100, of: 4 }], nonElective: 0 },
+  { id: 'nonElectiveSafeHarbor', label: 'Safe harbor non-elective 3%', matchTiers: [], nonElective: 3 },
+  { id: 'halfOfSix', label: '50% of the first 6%', matchTiers: [{ match: 50, of: 6 }], nonElective: 0 },
+];
+
+export const DEFAULT_K401_PLAN = {
+  matchTiers: K401_PRESETS[0].matchTiers,
+  nonElective: 0,
+  compensationLimit: 360000,
+};
+
+const toPercent = (value) => Math.max(0, Number(value) || 0);
+
+/**
+ * The employer match as a % of compensation for an employee deferring
+ * `deferral` % of their pay.
+ */
+export function matchPercent(deferral, matchTiers = []) {
+  const deferred = toPercent(deferral);
+  let start = 0;
+
+  return matchTiers.reduce((total, tier) => {
+    const size = toPercent(tier.of);
+    const matched = Math.min(Math.max(deferred - start, 0), size);
+    start += size;
+    return total + matched * (toPercent(tier.match) / 100);
+  }, 0);
+}
+
+/**
+ * Describes a match formula in the way plan documents do.
+ */
+export function describeMatch(matchTiers = []) {
+  if (matchTiers.length === 0) return 'No match';
+  return matchTiers
+    .map((tier, i) => `${toPercent(tier.match)}% of the ${i === 0 ? 'first' : 'next'} ${toPercent(tier.of)}%`)
+    .join(' plus ');
+}
+
+/**
+ * Calculates the employer's 401k contributions for an employee's annual
+ * compensation and deferral rate. Returns cost detail lines ({ id, label, amount }).
+ */
+export function calculateK401Contributions(compensation, deferral, plan = DEFAULT_K401_PLAN) {
+  const pay = Math.max(0, Number(compensation) || 0);
+  const limit = Number(plan.compensationLimit) || 0;
+  const planCompensation = limit > 0 ? Math.min(pay, limit) : pay;
+  const matchTiers = Array.isArray(plan.matchTiers) ? plan.matchTiers : [];
+
+  return [
+    { id: 'match', label: 'Employer Match', amount: planCompensation * (matchPercent(deferral, matchTiers) / 100) },
+    { id: 'nonElective', label: 'Non-Elective Contribution', amount: planCompensation * (toPercent(plan.nonElective) / 100) },
+  ];
+}
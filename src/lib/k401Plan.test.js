@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_K401_PLAN, calculateK401Contributions, describeMatch, matchPercent } from './k401Plan.js';
+
+const amounts = (compensation, deferral, plan) => Object.fromEntries(
+  calculateK401Contributions(compensation, deferral, plan).map((line) => [line.id, line.amount]),
+);
+
+describe('matchPercent', () => {
+  const basic = DEFAULT_K401_PLAN.matchTiers;
+
+  it('matches each tier of the deferral in turn', () => {
+    expect(matchPercent(2, basic)).toBe(2);
+    expect(matchPercent(4, basic)).toBe(3.5);
+    expect(matchPercent(5, basic)).toBe(4);
+  });
+
+  it('stops matching above the last tier', () => {
+    expect(matchPercent(10, basic)).toBe(4);
+  });
+
+  it('matches nothing without a deferral or a formula', () => {
+    expect(matchPercent(0, basic)).toBe(0);
+    expect(matchPercent('', basic)).toBe(0);
+    expect(matchPercent(6, [])).toBe(0);
+  });
+});
+
+describe('calculateK401Contributions', () => {
+  it('splits the employer cost into match and non-elective contributions', () => {
+    const lines = amounts(100000, 6, { ...DEFAULT_K401_PLAN, nonElective: 3 });
+
+    expect(lines.match).toBeCloseTo(4000);
+    expect(lines.nonElective).toBeCloseTo(3000);
+  });
+
+  it('pays non-elective contributions to employees who do not defer', () => {
+    const lines = amounts(100000, 0, { ...DEFAULT_K401_PLAN, nonElective: 3 });
+
+    expect(lines.match).toBe(0);
+    expect(lines.nonElective).toBeCloseTo(3000);
+  });
+
+  it('caps compensation at the plan limit', () => {
+    expect(amounts(500000, 6).match).toBeCloseTo(360000 * 0.04);
+    expect(amounts(500000, 6, { ...DEFAULT_K401_PLAN, compensationLimit: 0 }).match).toBeCloseTo(20000);
+  });
+
+  it('treats blank and negative values as 0', () => {
+    const lines = amounts(-100, 6, { matchTiers: [{ match: '', of: 3 }], nonElective: '' });
+
+    expect(lines).toEqual({ match: 0, nonElective: 0 });
+  });
+});
+
+describe('describeMatch', () => {
+  it('reads like a plan document', () => {
+    expect(describeMatch(DEFAULT_K401_PLAN.matchTiers)).toBe('100% of the first 3% plus 50% of the next 2%');
+    expect(describeMatch([])).toBe('No match');
+  });
+});
@@ -0,0 +1,96 @@
+import { pricingEquivalents } from './pricing.js';
+
+/**
+ * The figures shown in the rate, Annual Projections and Annual 'Balancing'
+ * Breakdown cards. Each item reads its value from a calculation result (see
+ * calculateTeam), so every view lists the same figures the same way.
+ *
+ * - format: 'currency' | 'hours' | 'percent'
+ * - tone: 'positive' | 'negative', the colour used in the cards
+ * - better: 'higher' | 'lower', which direction of change is favourable
+ */
+
+export const TARGET_RATE_ITEM = { id: 'targetRate', label: 'Recommended Hourly Rate', value: (r) => r.rates.target, format: 'currency', bold: true };
+export const BREAK_EVEN_RATE_ITEM = { id: 'breakEvenRate', label: 'Break-Even Rate', value: (r) => r.rates.breakEven, format: 'currency' };
+
+export const BILLABLE_HOURS_ITEM = { id: 'billableHours', label: 'Total Billable Hours', value: (r) => r.totalBillableHours, format: 'hours', better: 'higher' };
+export const REVENUE_ITEM = { id: 'revenue', label: 'Total Annual Revenue', value: (r) => r.summary.revenue, format: 'currency', tone: 'positive', better: 'higher' };
+export const TOTAL_COST_ITEM = { id: 'totalCost', label: 'Total Annual Costs', value: (r) => r.totalCostData.total, format: 'currency', tone: 'negative', better: 'lower' };
+export const RESERVE_ITEM = { id: 'reserve', label: 'Total Annual Reserve Contribution', value: (r) => r.summary.profit, format: 'currency', tone: 'positive', bold: true, better: 'higher' };
+export const MARGIN_ITEM = { id: 'margin', label: 'Reserve % of Revenue', value: (r) => r.summary.margin, format: 'percent', bold: true, better: 'higher' };
+
+export const RESERVE_PER_HOUR_ITEM = { id: 'reservePerHour', label: 'Reserve per Billable Hour', value: (r) => pricingEquivalents(r.rates, r.totalBillableHours).perHour, format: 'currency', better: 'higher' };
+export const MARKUP_ITEM = { id: 'markup', label: 'Markup on Cost', value: (r) => pricingEquivalents(r.rates, r.totalBillableHours).markup, format: 'percent', better: 'higher' };
+
+export const RATE_ITEMS = [TARGET_RATE_ITEM, BREAK_EVEN_RATE_ITEM];
+
+export const PROJECTION_ITEMS = [BILLABLE_HOURS_ITEM, REVENUE_ITEM, TOTAL_COST_ITEM, RESERVE_ITEM, MARGIN_ITEM];
+
+/**
+ * The reserve in the terms of each pricing method (see lib/pricing.js).
+ */
+export const PRICING_ITEMS = [RESERVE_PER_HOUR_ITEM, MARGIN_ITEM, MARKUP_ITEM, RESERVE_ITEM];
+
+const COST_FIELDS = [
+  ['salary', 'Base Salary'],
+  ['k401Cost', '401k Contribution'],
+  ['vacationBonus', 'Vacation Bonus'],
+  ['healthInsurance', 'Health Insurance'],
+  ['benefitsCost', 'Additional Benefits'],
+  ['taxCost', 'Employer Taxes'],
+  ['overheadCost', 'Company Overhead'],
+];
+
+// Costs whose detail lines are separate costs (overhead ledger items), listed
+// in the breakdown in place of the cost itself
+const ITEMIZED_FIELDS = ['overheadCost'];
+
+const costItem = (id, label) => ({
+  id,
+  label,
+  value: (r) => r.totalCostData[id] || 0,
+  format: 'currency',
+  tone: 'negative',
+  better: 'lower',
+});
+
+const detailItem = (field, line) => ({
+  id: `${field}.${line.id}`,
+  label: line.label,
+  parent: field,
+  value: (r) => r.totalCostData.details?.[field]?.find((l) => l.id === line.id)?.amount || 0,
+  format: 'currency',
+  tone: 'negative',
+  better: 'lower',
+});
+
+/**
+ * The individual annual costs that add up to TOTAL_COST_ITEM.
+ * A cost broken down into detail lines in any of the given results (e.g.
+ * itemized payroll taxes) is followed by one item per line; those items name
+ * their cost as `parent` and are part of it, not in addition to it.
+ * Costs in ITEMIZED_FIELDS that have detail lines are marked `itemized`.
+ */
+export function getCostItems(...results) {
+  return COST_FIELDS.flatMap(([field, label]) => {
+    const lines = [];
+    results.forEach((result) => {
+      (result.totalCostData.details?.[field] || []).forEach((line) => {
+        if (!lines.some((l) => l.id === line.id)) lines.push(line);
+      });
+    });
+    const item = costItem(field, label);
+    if (lines.length && ITEMIZED_FIELDS.includes(field)) item.itemized = true;
+    return [item, ...lines.map((line) => detailItem(field, line))];
+  });
+}
+
+/**
+ * The costs listed in the Annual 'Balancing' Breakdown, which add up to
+ * TOTAL_COST_ITEM: every cost, with an itemized cost replaced by its lines.
+ */
+export function getBalancingItems(...results) {
+  const items = getCostItems(...results);
+  const itemized = items.filter((item) => item.itemized).map((item) => item.id);
+  return items.filter((item) => (item.parent ? itemized.includes(item.parent) : !item.itemized));
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+import { PROJECTION_ITEMS, TOTAL_COST_ITEM, getCostItems } from './lineItems.js';
+
+describe('line items', () => {
+  const employees = [createEmployee(), createEmployee({ salary: 60000, healthInsurancePlan: 'other', healthInsuranceManual: 3000 })];
+  const team = calculateTeam(employees, DEFAULT_SHARED);
+  const itemized = calculateTeam(employees, { ...DEFAULT_SHARED, taxModel: 'itemized' });
+
+  it('breaks the total cost down into items that add up to it', () => {
+    const sum = getCostItems(team).filter((item) => !item.parent).reduce((total, item) => total + item.value(team), 0);
+
+    expect(getCostItems(team).some((item) => item.parent === 'taxCost')).toBe(false);
+    expect(sum).toBeCloseTo(TOTAL_COST_ITEM.value(team));
+  });
+
+  it('separates health insurance premiums from HSA/HRA contributions', () => {
+    const details = getCostItems(team).filter((item) => item.parent === 'healthInsurance');
+
+    // The manual entry counts entirely as premiums
+    expect(details.map((item) => [item.label, item.value(team)])).toEqual([['Premiums', 9000], ['HSA/HRA Contributions', 1000]]);
+  });
+
+  it('lists detail lines under their cost without counting them twice', () => {
+    const items = getCostItems(itemized);
+    const taxIndex = items.findIndex((item) => item.id === 'taxCost');
+    const details = items.filter((item) => item.parent === 'taxCost');
+    const sum = items.filter((item) => !item.parent).reduce((total, item) => total + item.value(itemized), 0);
+
+    expect(items.slice(taxIndex + 1, taxIndex + 5)).toEqual(details);
+    expect(details.map((item) => item.label)).toEqual(['Social Security', 'Medicare', 'FUTA', 'State Unemployment (SUTA)']);
+    expect(details.reduce((total, item) => total + item.value(itemized), 0)).toBeCloseTo(itemized.totalCostData.taxCost);
+    expect(sum).toBeCloseTo(TOTAL_COST_ITEM.value(itemized));
+  });
+
+  it('marks an itemized overhead ledger, whose lines stand in for the overhead', () => {
+    const ledger = calculateTeam(employees, { ...DEFAULT_SHARED, overheadModel: 'itemized' });
+    const items = getCostItems(ledger);
+    const lines = items.filter((item) => item.parent === 'overheadCost');
+
+    expect(items.find((item) => item.id === 'overheadCost').itemized).toBe(true);
+    expect(items.find((item) => item.id === 'taxCost').itemized).toBeUndefined();
+    expect(lines.map((item) => item.label)).toEqual(['Rent', 'Software Licenses', 'Equipment', 'Business Insurance', 'Accounting']);
+    expect(lines.reduce((total, item) => total + item.value(ledger), 0)).toBeCloseTo(10000);
+  });
+
+  it('includes detail lines from any of several results, reading 0 where absent', () => {
+    const items = getCostItems(team, itemized);
+    const socialSecurity = items.find((item) => item.id === 'taxCost.socialSecurity');
+
+    expect(socialSecurity.value(team)).toBe(0);
+    expect(socialSecurity.value(itemized)).toBeGreaterThan(0);
+  });
+
+  it('reads the projection figures from the result', () => {
+    const values = Object.fromEntries(PROJECTION_ITEMS.map((item) => [item.id, item.value(team)]));
+
+    expect(values).toEqual({
+      billableHours: team.totalBillableHours,
+      revenue: team.summary.revenue,
+      totalCost: team.totalCostData.total,
+      reserve: team.summary.profit,
+      margin: team.summary.margin,
+    });
+  });
+
+  it('uses unique ids', () => {
+    const ids = [...PROJECTION_ITEMS, ...getCostItems(itemized)].map((item) => item.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
@@ -0,0 +1,118 @@
+import { toNumber } from './numbers.js';
+
+/**
+ * Multi-year projection for contracts longer than a year. Each year the
+ * scenario is recalculated with its costs grown from the year before:
+ *
+ * - Salaries grow by the annual raise, and with them everything priced as a %
+ *   of salary (401k, employer taxes, % benefits).
+ * - Health premiums, HSA/HRA contributions and fixed-amount additional
+ *   benefits grow by the benefit cost inflation.
+ * - Company overhead grows by the overhead inflation, whichever overhead
+ *   model is in use.
+ *
+ * Hours, the vacation bonus and payroll tax wage bases stay as entered. The
+ * required rate is the recommended rate for that year's costs; the contracted
+ * rate starts at the year 1 rate (or an agreed rate) and rises by the
+ * escalation clause. The reserve is what the contracted rate earns over costs.
+ */
+
+export const TERM_LENGTHS = [
+  { value: 2, label: '2 years' },
+  { value: 3, label: '3 years' },
+  { value: 4, label: '4 years' },
+  { value: 5, label: '5 years' },
+];
+
+export const DEFAULT_MULTI_YEAR = {
+  years: 5,
+  salaryRaise: 3, // % per year
+  benefitInflation: 7, // % per year, health premiums and fixed benefits
+  overheadInflation: 3, // % per year
+  rateEscalation: 3, // % per year, the contract's escalation clause
+  startingRate: 0, // Contracted year 1 rate; 0 uses the recommended rate
+};
+
+const grow = (value, factor) => toNumber(value) * factor;
+const growth = (percent, year) => (1 + toNumber(percent) / 100) ** year;
+
+/**
+ * The inputs for the given (0-based) year of the projection.
+ */
+export function inputsForYear(inputs, settings, year) {
+  const raise = growth(settings.salaryRaise, year);
+  const benefits = growth(settings.benefitInflation, year);
+  const overhead = growth(settings.overheadInflation, year);
+
+  return {
+    ...inputs,
+    employees: inputs.employees.map((employee) => ({
+      ...employee,
+      salary: grow(employee.salary, raise),
+      healthInsuranceManual: grow(employee.healthInsuranceManual, benefits),
+    })),
+    healthPlans: inputs.healthPlans.map((plan) => ({
+      ...plan,
+      monthlyPremium: grow(plan.monthlyPremium, benefits),
+      hsaContribution: grow(plan.hsaContribution, benefits),
+    })),
+    benefits: (inputs.benefits || []).map((benefit) => (
+      ['annual', 'monthly'].includes(benefit.basis) ? { ...benefit, amount: grow(benefit.amount, benefits) } : benefit
+    )),
+    // A % of salary already grows with raises, so only the difference is added
+    companyOverhead: grow(inputs.companyOverhead, raise > 0 ? overhead / raise : overhead),
+    overheadLedger: {
+      ...inputs.overheadLedger,
+      items: (inputs.overheadLedger?.items || []).map((item) => ({ ...item, amount: grow(item.amount, overhead) })),
+    },
+  };
+}
+
+/**
+ * Projects the inputs year by year, calculating each year's inputs with
+ * `calculateYear` (e.g. `(year) => calculateTeam(year.employees, year)`).
+ * Returns one row per year with the required and contracted rates, revenue at
+ * the contracted rate, costs and the (cumulative) reserve, plus the
+ * contract's totals.
+ */
+export function projectYears(inputs, calculateYear) {
+  const settings = { ...DEFAULT_MULTI_YEAR, ...inputs.multiYear };
+  const longest = TERM_LENGTHS[TERM_LENGTHS.length - 1].value;
+  const length = Math.min(longest, Math.max(1, Math.round(toNumber(settings.years)) || 1));
+
+  let cumulativeReserve = 0;
+  let startingRate = toNumber(settings.startingRate);
+  const rows = Array.from({ length }, (_, index) => {
+    const team = calculateYear(inputsForYear(inputs, settings, index));
+    if (index === 0 && startingRate <= 0) startingRate = team.rates.target;
+
+    const contractedRate = startingRate * growth(settings.rateEscalation, index);
+    const revenue = contractedRate * team.totalBillableHours;
+    const costs = team.totalCostData.total;
+    const reserve = revenue - costs;
+    cumulativeReserve += reserve;
+
+    return {
+      year: index + 1,
+      billableHours: team.totalBillableHours,
+      requiredRate: team.rates.target,
+      breakEvenRate: team.rates.breakEven,
+      contractedRate,
+      gap: contractedRate - team.rates.target,
+      revenue,
+      costs,
+      reserve,
+      cumulativeReserve,
+    };
+  });
+
+  return {
+    rows,
+    startingRate,
+    revenue: rows.reduce((sum, row) => sum + row.revenue, 0),
+    costs: rows.reduce((sum, row) => sum + row.costs, 0),
+    reserve: cumulativeReserve,
+    // The first year the contracted rate no longer covers the costs
+    shortfallYear: rows.find((row) => row.contractedRate < row.breakEvenRate)?.year ?? null,
+  };
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam } from './team.js';
+import { DEFAULT_MULTI_YEAR, inputsForYear, projectYears } from './multiYear.js';
+
+const calculateYear = (inputs) => calculateTeam(inputs.employees, inputs);
+
+describe('inputsForYear', () => {
+  const inputs = createDefaultInputs();
+
+  it('leaves the first year as entered', () => {
+    expect(calculateYear(inputsForYear(inputs, DEFAULT_MULTI_YEAR, 0)).rates).toEqual(calculateYear(inputs).rates);
+  });
+
+  it('grows salaries, benefit costs and overhead at their own rates', () => {
+    const settings = { salaryRaise: 10, benefitInflation: 20, overheadInflation: 0 };
+    const withBenefit = { ...inputs, benefits: [{ id: 'dues', name: 'Dues', basis: 'annual', amount: 100 }] };
+    const costs = calculateYear(inputsForYear(withBenefit, settings, 2)).totalCostData;
+
+    expect(costs.salary).toBeCloseTo(121000);
+    expect(costs.healthInsurance).toBeCloseTo(7000 * 1.44);
+    expect(costs.benefitsCost).toBeCloseTo(144);
+    expect(costs.overheadCost).toBeCloseTo(10000);
+  });
+
+  it('grows an itemized overhead ledger by the overhead inflation', () => {
+    const itemized = { ...inputs, overheadModel: 'itemized' };
+    const costs = calculateYear(inputsForYear(itemized, { salaryRaise: 5, overheadInflation: 10 }, 1)).totalCostData;
+
+    expect(costs.overheadCost).toBeCloseTo(11000);
+  });
+});
+
+describe('projectYears', () => {
+  it('escalates the contracted rate from the year 1 recommended rate', () => {
+    const inputs = createDefaultInputs();
+    const projection = projectYears(inputs, calculateYear);
+    const [first, second] = projection.rows;
+
+    expect(projection.rows).toHaveLength(5);
+    expect(first.contractedRate).toBeCloseTo(calculateYear(inputs).rates.target);
+    expect(first.reserve).toBeCloseTo(calculateYear(inputs).summary.profit);
+    expect(second.contractedRate).toBeCloseTo(first.contractedRate * 1.03);
+    expect(second.requiredRate).toBeGreaterThan(first.requiredRate);
+    expect(projection.reserve).toBeCloseTo(projection.rows.reduce((sum, row) => sum + row.reserve, 0));
+    expect(projection.rows[4].cumulativeReserve).toBeCloseTo(projection.reserve);
+  });
+
+  it('starts from an agreed rate and finds the first year it no longer covers costs', () => {
+    const inputs = { ...createDefaultInputs(), multiYear: { ...DEFAULT_MULTI_YEAR, years: 3, startingRate: 90, rateEscalation: 0 } };
+    const projection = projectYears(inputs, calculateYear);
+
+    expect(projection.rows.map((row) => row.contractedRate)).toEqual([90, 90, 90]);
+    expect(projection.rows[0].breakEvenRate).toBeLessThan(90);
+    expect(projection.rows[2].breakEvenRate).toBeGreaterThan(90);
+    expect(projection.shortfallYear).toBe(3);
+  });
+});
@@ -0,0 +1,4 @@
+/**
+ * Coerces an input value to a number, treating '' and garbage as 0.
+ */
+export const toNumber = (value) => Number(value) || 0;
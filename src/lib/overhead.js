@@ -0,0 +1,68 @@
+import { createId } from './ids.js';
+import { toNumber } from './numbers.js';
+
+/**
+ * Itemized company overhead. Instead of a % of each salary, the overhead
+ * ledger lists the company's fixed annual costs (rent, software, ...) and
+ * allocates their total across the roster:
+ *
+ * - perHead: everyone carries an equal share
+ * - perHour: shares follow billable hours, so overhead is the same per hour
+ * - salary: shares follow salaries, like the % of salary model
+ *
+ * When nobody has hours (or salary) to allocate by, the ledger is shared per
+ * head. The default ledger adds up to the default % of the default salary.
+ */
+
+export const OVERHEAD_MODELS = [
+  { value: 'percent', label: '% of salary' },
+  { value: 'itemized', label: 'Itemized ledger' },
+];
+
+export const OVERHEAD_ALLOCATIONS = [
+  { value: 'perHead', label: 'Per head (equal shares)' },
+  { value: 'perHour', label: 'Per billable hour' },
+  { value: 'salary', label: 'In proportion to salary' },
+];
+
+export const DEFAULT_OVERHEAD_LEDGER = {
+  allocation: 'perHead',
+  items: [
+    { id: 'rent', name: 'Rent', amount: 6000 },
+    { id: 'software', name: 'Software Licenses', amount: 1800 },
+    { id: 'equipment', name: 'Equipment', amount: 1000 },
+    { id: 'insurance', name: 'Business Insurance', amount: 600 },
+    { id: 'accounting', name: 'Accounting', amount: 600 },
+  ],
+};
+
+export function createOverheadItem(overrides = {}) {
+  return { name: 'New Item', amount: 0, ...overrides, id: createId() };
+}
+
+/**
+ * What an employee's share of the ledger is in proportion to, from their
+ * { hours, salary } and the allocation method.
+ */
+export function overheadWeight(allocation, employee) {
+  if (allocation === 'perHour') return Math.max(0, employee.hours);
+  if (allocation === 'salary') return Math.max(0, employee.salary);
+  return 1;
+}
+
+/**
+ * Each employee's share of the ledger (adding up to 1).
+ */
+export function overheadShares(allocation, employees) {
+  const weights = employees.map((employee) => overheadWeight(allocation, employee));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return total > 0 ? weights.map((weight) => weight / total) : employees.map(() => 1 / employees.length);
+}
+
+/**
+ * An employee's share of every ledger item, as cost detail lines
+ * ({ id, label, amount }).
+ */
+export function allocateOverhead(items = [], share = 1) {
+  return items.map((item) => ({ id: item.id, label: item.name || 'Unnamed item', amount: toNumber(item.amount) * share }));
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_OVERHEAD_LEDGER, allocateOverhead, createOverheadItem, overheadShares } from './overhead.js';
+
+describe('overheadShares', () => {
+  const employees = [{ salary: 100000, hours: 1500 }, { salary: 50000, hours: 500 }];
+
+  it('splits the ledger equally per head', () => {
+    expect(overheadShares('perHead', employees)).toEqual([0.5, 0.5]);
+  });
+
+  it('splits the ledger by billable hours or salary', () => {
+    expect(overheadShares('perHour', employees)).toEqual([0.75, 0.25]);
+    expect(overheadShares('salary', employees).map((share) => share.toFixed(4))).toEqual(['0.6667', '0.3333']);
+  });
+
+  it('falls back to per head when there is nothing to allocate by', () => {
+    expect(overheadShares('perHour', [{ salary: 1, hours: 0 }, { salary: 1, hours: 0 }])).toEqual([0.5, 0.5]);
+  });
+});
+
+describe('allocateOverhead', () => {
+  it('lists a share of every item as cost detail lines', () => {
+    const lines = allocateOverhead([{ id: 'rent', name: 'Rent', amount: 6000 }, { id: 'x', name: '', amount: 'abc' }], 0.5);
+
+    expect(lines).toEqual([
+      { id: 'rent', label: 'Rent', amount: 3000 },
+      { id: 'x', label: 'Unnamed item', amount: 0 },
+    ]);
+  });
+
+  it('adds up to 10% of the default salary for the default ledger', () => {
+    const total = allocateOverhead(DEFAULT_OVERHEAD_LEDGER.items).reduce((sum, line) => sum + line.amount, 0);
+
+    expect(total).toBe(10000);
+  });
+
+  it('creates items with unique ids', () => {
+    expect(createOverheadItem().id).not.toBe(createOverheadItem().id);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Itemized employer payroll taxes. Each tax is a rate applied to wages up to
+ * an optional annual wage base (0 means uncapped). Defaults are the 2026
+ * federal figures; FUTA assumes the full state credit (6.0% - 5.4%), and the
+ * SUTA default is a typical new-employer rate that varies by state.
+ */
+
+export const TAX_MODELS = [
+  { value: 'simple', label: 'Simple (flat % of salary)' },
+  { value: 'itemized', label: 'Itemized (Social Security, Medicare, FUTA, SUTA)' },
+];
+
+export const DEFAULT_PAYROLL_TAXES = {
+  socialSecurityRate: 6.2,
+  socialSecurityWageBase: 184500,
+  medicareRate: 1.45,
+  futaRate: 0.6,
+  futaWageBase: 7000,
+  sutaRate: 2.7,
+  sutaWageBase: 7000,
+};
+
+export const PAYROLL_TAXES = [
+  { id: 'socialSecurity', label: 'Social Security', rate: 'socialSecurityRate', wageBase: 'socialSecurityWageBase' },
+  { id: 'medicare', label: 'Medicare', rate: 'medicareRate' },
+  { id: 'futa', label: 'FUTA', rate: 'futaRate', wageBase: 'futaWageBase' },
+  { id: 'suta', label: 'State Unemployment (SUTA)', rate: 'sutaRate', wageBase: 'sutaWageBase' },
+];
+
+/**
+ * Calculates each employer payroll tax on an employee's annual wages.
+ * Returns cost detail lines ({ id, label, amount }).
+ */
+export function calculatePayrollTaxes(wages, settings = DEFAULT_PAYROLL_TAXES) {
+  const taxableWages = Math.max(0, Number(wages) || 0);
+
+  return PAYROLL_TAXES.map((tax) => {
+    const rate = (Number(settings[tax.rate]) || 0) / 100;
+    const wageBase = tax.wageBase ? Number(settings[tax.wageBase]) || 0 : 0;
+    const cappedWages = wageBase > 0 ? Math.min(taxableWages, wageBase) : taxableWages;
+
+    return { id: tax.id, label: tax.label, amount: cappedWages * rate };
+  });
+}
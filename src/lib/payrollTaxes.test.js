@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PAYROLL_TAXES, calculatePayrollTaxes } from './payrollTaxes.js';
+
+const amounts = (wages, settings) => Object.fromEntries(
+  calculatePayrollTaxes(wages, settings).map((line) => [line.id, line.amount]),
+);
+
+describe('calculatePayrollTaxes', () => {
+  it('applies each rate to wages below the wage bases', () => {
+    const taxes = amounts(5000);
+
+    expect(taxes.socialSecurity).toBeCloseTo(310);
+    expect(taxes.medicare).toBeCloseTo(72.5);
+    expect(taxes.futa).toBeCloseTo(30);
+    expect(taxes.suta).toBeCloseTo(135);
+  });
+
+  it('caps Social Security, FUTA and SUTA at their wage bases', () => {
+    const taxes = amounts(300000);
+
+    expect(taxes.socialSecurity).toBeCloseTo(184500 * 0.062);
+    expect(taxes.futa).toBeCloseTo(42);
+    expect(taxes.suta).toBeCloseTo(189);
+  });
+
+  it('never caps Medicare', () => {
+    expect(amounts(300000).medicare).toBeCloseTo(4350);
+  });
+
+  it('treats a zero wage base as uncapped', () => {
+    expect(amounts(300000, { ...DEFAULT_PAYROLL_TAXES, sutaWageBase: 0 }).suta).toBeCloseTo(8100);
+  });
+
+  it('treats blank settings and negative wages as 0', () => {
+    const taxes = amounts(50000, { ...DEFAULT_PAYROLL_TAXES, socialSecurityRate: '' });
+
+    expect(taxes.socialSecurity).toBe(0);
+    expect(Object.values(amounts(-100)).every((amount) => amount === 0)).toBe(true);
+  });
+});
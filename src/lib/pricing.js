@@ -0,0 +1,61 @@
+import { toNumber } from './numbers.js';
+
+/**
+ * Pricing methods: how the reserve is added on top of the break-even rate.
+ *
+ * - perHour: a fixed reserve per billable hour (the scenario's profitMargin)
+ * - margin: the reserve is a % of revenue, so rate = break-even / (1 - margin)
+ * - markup: the reserve is a % of cost, so rate = break-even * (1 + markup)
+ * - annualProfit: a yearly reserve target, spread over the billable hours
+ *
+ * Whichever method sets the rate, pricingEquivalents expresses the result in
+ * all four terms.
+ */
+
+export const PRICING_MODELS = [
+  { value: 'perHour', label: 'Reserve per hour ($/hr)' },
+  { value: 'margin', label: 'Target margin (% of revenue)' },
+  { value: 'markup', label: 'Markup (% on cost)' },
+  { value: 'annualProfit', label: 'Target annual reserve ($/year)' },
+];
+
+export const DEFAULT_PRICING = {
+  margin: 20, // % of revenue
+  markup: 25, // % on cost
+  annualProfit: 50000, // Reserve per year for the whole roster
+};
+
+/**
+ * The reserve per billable hour the pricing method adds to the break-even
+ * rate. A margin of 100% or more can't be reached at any rate, so it adds no
+ * reserve (see validateInputs).
+ */
+export function reservePerHour(breakEven, billableHours, { pricingModel = 'perHour', pricing = DEFAULT_PRICING, profitMargin } = {}) {
+  const settings = { ...DEFAULT_PRICING, ...pricing };
+  switch (pricingModel) {
+    case 'margin': {
+      const margin = toNumber(settings.margin);
+      return margin < 100 ? (breakEven * margin) / (100 - margin) : 0;
+    }
+    case 'markup':
+      return breakEven * (toNumber(settings.markup) / 100);
+    case 'annualProfit':
+      return billableHours > 0 ? toNumber(settings.annualProfit) / billableHours : 0;
+    default:
+      return toNumber(profitMargin);
+  }
+}
+
+/**
+ * The reserve built into a set of rates, in the terms of every pricing method:
+ * { perHour, margin, markup, annualProfit }.
+ */
+export function pricingEquivalents(rates, billableHours) {
+  const perHour = rates.target - rates.breakEven;
+  return {
+    perHour,
+    margin: rates.target > 0 ? (perHour / rates.target) * 100 : 0,
+    markup: rates.breakEven > 0 ? (perHour / rates.breakEven) * 100 : 0,
+    annualProfit: perHour * billableHours,
+  };
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRates } from './calculator.js';
+import { pricingEquivalents, reservePerHour } from './pricing.js';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+
+describe('reservePerHour', () => {
+  it('uses the per-hour reserve by default and for unknown methods', () => {
+    expect(reservePerHour(100, 1000, { profitMargin: 15 })).toBe(15);
+    expect(reservePerHour(100, 1000, { pricingModel: 'bogus', profitMargin: 15 })).toBe(15);
+  });
+
+  it('prices a target margin as a share of revenue', () => {
+    expect(reservePerHour(80, 1000, { pricingModel: 'margin', pricing: { margin: 20 } })).toBeCloseTo(20);
+  });
+
+  it('adds no reserve for a margin that no rate can reach', () => {
+    expect(reservePerHour(80, 1000, { pricingModel: 'margin', pricing: { margin: 100 } })).toBe(0);
+  });
+
+  it('prices a markup as a share of cost', () => {
+    expect(reservePerHour(80, 1000, { pricingModel: 'markup', pricing: { markup: 25 } })).toBe(20);
+  });
+
+  it('spreads an annual reserve over the billable hours', () => {
+    expect(reservePerHour(80, 1000, { pricingModel: 'annualProfit', pricing: { annualProfit: 20000 } })).toBe(20);
+    expect(reservePerHour(80, 0, { pricingModel: 'annualProfit', pricing: { annualProfit: 20000 } })).toBe(0);
+  });
+});
+
+describe('calculateRates with a pricing method', () => {
+  it('lands on the same rate when the methods are equivalent', () => {
+    const targets = [
+      calculateRates(80000, 1000, 20),
+      calculateRates(80000, 1000, 0, { pricingModel: 'margin', pricing: { margin: 20 } }),
+      calculateRates(80000, 1000, 0, { pricingModel: 'markup', pricing: { markup: 25 } }),
+      calculateRates(80000, 1000, 0, { pricingModel: 'annualProfit', pricing: { annualProfit: 20000 } }),
+    ].map((rates) => rates.target);
+    targets.forEach((target) => expect(target).toBeCloseTo(100));
+  });
+});
+
+describe('pricingEquivalents', () => {
+  it('expresses the reserve in every method', () => {
+    expect(pricingEquivalents({ breakEven: 80, target: 100 }, 1000)).toEqual({ perHour: 20, margin: 20, markup: 25, annualProfit: 20000 });
+  });
+
+  it('is all zero without a rate', () => {
+    expect(pricingEquivalents({ breakEven: 0, target: 0 }, 0)).toEqual({ perHour: 0, margin: 0, markup: 0, annualProfit: 0 });
+  });
+});
+
+describe('calculateTeam with a pricing method', () => {
+  const employees = [createEmployee({ salary: 80000 }), createEmployee({ salary: 150000 })];
+
+  it('meets an annual reserve target across the whole roster', () => {
+    const team = calculateTeam(employees, { ...DEFAULT_SHARED, pricingModel: 'annualProfit', pricing: { ...DEFAULT_SHARED.pricing, annualProfit: 60000 } });
+    expect(team.summary.profit).toBeCloseTo(60000);
+    const memberReserve = team.members.reduce((sum, member) => sum + member.summary.profit, 0);
+    expect(memberReserve).toBeCloseTo(60000);
+  });
+
+  it('gives every employee the target margin', () => {
+    const team = calculateTeam(employees, { ...DEFAULT_SHARED, pricingModel: 'margin', pricing: { ...DEFAULT_SHARED.pricing, margin: 30 } });
+    expect(team.summary.margin).toBeCloseTo(30);
+    team.members.forEach((member) => expect(member.summary.margin).toBeCloseTo(30));
+  });
+});
@@ -0,0 +1,91 @@
+import { createId } from './ids.js';
+import { toNumber } from './numbers.js';
+
+/**
+ * Fixed-price project estimates, priced from a team calculation (see
+ * calculateTeam). Each task's estimated hours are billed at the recommended
+ * rate of the employee it is assigned to, or the blended team rate when it
+ * isn't assigned (or its employee has left the roster).
+ *
+ * - Contingency adds a % to every task's hours in the price, but not to the
+ *   expected cost.
+ * - Pass-through expenses are billed at cost, so they add to the price but
+ *   not to the margin.
+ * - The expected cost is the estimated hours at each assignee's break-even
+ *   rate; `breakEvenHours` is how many hours the labor price covers at that
+ *   (blended) break-even rate before the project stops covering its costs.
+ */
+
+export const DEFAULT_PROJECT = {
+  name: '',
+  contingency: 10, // % of the estimated hours
+  tasks: [
+    { id: 'discovery', name: 'Discovery', hours: 20, assignee: '' },
+    { id: 'build', name: 'Build', hours: 120, assignee: '' },
+    { id: 'launch', name: 'Launch & Handover', hours: 16, assignee: '' },
+  ],
+  expenses: [
+    { id: 'travel', name: 'Travel', amount: 0 },
+  ],
+};
+
+export function createTask(overrides = {}) {
+  return { name: 'New Task', hours: 0, assignee: '', ...overrides, id: createId() };
+}
+
+export function createExpense(overrides = {}) {
+  return { name: 'New Expense', amount: 0, ...overrides, id: createId() };
+}
+
+const sumBy = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+
+/**
+ * Prices a project with a team calculation's rates. Returns the priced tasks
+ * and the totals of the quote.
+ */
+export function estimateProject(project, team) {
+  const settings = { ...DEFAULT_PROJECT, ...project };
+  const contingency = toNumber(settings.contingency);
+
+  const tasks = (settings.tasks || []).map((task) => {
+    const member = team.members.find((m) => m.id === task.assignee);
+    const { target, breakEven } = (member || team).rates;
+    const hours = toNumber(task.hours);
+    const quotedHours = hours * (1 + contingency / 100);
+    return {
+      id: task.id,
+      name: task.name,
+      assignee: member ? member.id : '',
+      hours,
+      quotedHours,
+      rate: target,
+      breakEvenRate: breakEven,
+      price: quotedHours * target,
+      cost: hours * breakEven,
+    };
+  });
+
+  const hours = sumBy(tasks, 'hours');
+  const laborPrice = sumBy(tasks, 'price');
+  const laborCost = sumBy(tasks, 'cost');
+  const expenses = (settings.expenses || []).reduce((sum, expense) => sum + toNumber(expense.amount), 0);
+  const price = laborPrice + expenses;
+  const cost = laborCost + expenses;
+  const profit = price - cost;
+  const breakEvenRate = hours > 0 ? laborCost / hours : 0;
+
+  return {
+    tasks,
+    hours,
+    quotedHours: sumBy(tasks, 'quotedHours'),
+    laborPrice,
+    contingencyPrice: tasks.reduce((sum, task) => sum + (task.quotedHours - task.hours) * task.rate, 0),
+    laborCost,
+    expenses,
+    price,
+    cost,
+    profit,
+    margin: price > 0 ? (profit / price) * 100 : 0,
+    breakEvenHours: breakEvenRate > 0 ? laborPrice / breakEvenRate : 0,
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PROJECT, createTask, estimateProject } from './project.js';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+
+const team = {
+  rates: { breakEven: 80, target: 100 },
+  members: [
+    { id: 'senior', rates: { breakEven: 120, target: 150 } },
+    { id: 'junior', rates: { breakEven: 60, target: 75 } },
+  ],
+};
+
+const project = (overrides) => ({ ...DEFAULT_PROJECT, contingency: 0, expenses: [], ...overrides });
+
+describe('estimateProject', () => {
+  it("prices each task at its assignee's rate, or the blended rate", () => {
+    const estimate = estimateProject(project({
+      tasks: [
+        { id: 'a', name: 'Design', hours: 10, assignee: 'senior' },
+        { id: 'b', name: 'Build', hours: 20, assignee: '' },
+      ],
+    }), team);
+
+    expect(estimate.tasks.map((task) => [task.rate, task.price, task.cost])).toEqual([[150, 1500, 1200], [100, 2000, 1600]]);
+    expect(estimate).toMatchObject({ hours: 30, price: 3500, cost: 2800, profit: 700 });
+    expect(estimate.margin).toBeCloseTo(20);
+  });
+
+  it('falls back to the blended rate for employees no longer on the roster', () => {
+    const estimate = estimateProject(project({ tasks: [{ id: 'a', name: 'Build', hours: 10, assignee: 'gone' }] }), team);
+    expect(estimate.tasks[0]).toMatchObject({ assignee: '', rate: 100 });
+  });
+
+  it('adds contingency hours to the price but not the expected cost', () => {
+    const estimate = estimateProject(project({ contingency: 10, tasks: [{ id: 'a', name: 'Build', hours: 100, assignee: '' }] }), team);
+    expect(estimate.quotedHours).toBeCloseTo(110);
+    expect(estimate.contingencyPrice).toBeCloseTo(1000);
+    expect(estimate.price).toBeCloseTo(11000);
+    expect(estimate.cost).toBe(8000);
+  });
+
+  it('passes expenses through at cost', () => {
+    const tasks = [{ id: 'a', name: 'Build', hours: 100, assignee: '' }];
+    const without = estimateProject(project({ tasks }), team);
+    const withExpenses = estimateProject(project({ tasks, expenses: [{ id: 'x', name: 'Travel', amount: 500 }] }), team);
+
+    expect(withExpenses.price - without.price).toBe(500);
+    expect(withExpenses.profit).toBe(without.profit);
+  });
+
+  it('finds the hours at which the fixed price only covers the costs', () => {
+    const estimate = estimateProject(project({
+      contingency: 10,
+      tasks: [{ id: 'a', name: 'Build', hours: 100, assignee: '' }],
+      expenses: [{ id: 'x', name: 'Travel', amount: 500 }],
+    }), team);
+
+    // 11,000 of labor at a break-even of 80/hr
+    expect(estimate.breakEvenHours).toBeCloseTo(137.5);
+  });
+
+  it('prices the default project from a team calculation', () => {
+    const employees = [createEmployee(), createEmployee({ salary: 150000 })];
+    const result = calculateTeam(employees, DEFAULT_SHARED);
+    const estimate = estimateProject({ ...DEFAULT_PROJECT, tasks: [...DEFAULT_PROJECT.tasks, createTask({ hours: 8, assignee: employees[1].id })] }, result);
+
+    expect(estimate.tasks.at(-1).rate).toBe(result.members[1].rates.target);
+    expect(estimate.profit).toBeGreaterThan(0);
+  });
+});
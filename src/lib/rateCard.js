@@ -0,0 +1,142 @@
+import { calculate, calculateRates } from './calculator.js';
+import { createId } from './ids.js';
+import { toNumber } from './numbers.js';
+import { overheadWeight } from './overhead.js';
+
+/**
+ * Rate card: published rates for seniority levels or roles. Each role is
+ * priced like an employee on the roster:
+ *
+ * - Its salary is the midpoint of its salary band; the band's ends give the
+ *   rate range.
+ * - Everything else comes from a base employee on the roster (the first one
+ *   unless chosen), so shared assumptions like employer taxes or overhead time
+ *   update every role, except for the fields a role overrides.
+ * - An itemized overhead ledger is charged at the roster's allocation, e.g.
+ *   the roster's overhead per head for a per-head ledger.
+ * - Under an annual reserve target, a role carries the team's reserve per hour.
+ *
+ * The published rate is the recommended rate rounded by the card's rounding
+ * rule; rounding up never publishes a rate below the recommended one.
+ */
+
+export const ROLE_OVERRIDE_FIELDS = [
+  { value: 'vacationBonus', label: 'Annual Vacation Bonus', unit: 'dollar' },
+  { value: 'k401Contribution', label: 'Employer 401k Contribution', unit: 'percent' },
+  { value: 'employerTaxes', label: 'Employer Taxes', unit: 'percent' },
+  { value: 'ptoHours', label: 'Paid Time Off (PTO) Hours', unit: 'hours' },
+  { value: 'trainingHours', label: 'Training Hours', unit: 'hours' },
+  { value: 'overheadTime', label: 'Non-Billable Overhead Time', unit: 'percent' },
+  { value: 'utilization', label: 'Target Utilization', unit: 'percent' },
+];
+
+// In the scenario's currency; 0 is no rounding
+export const ROUNDING_INCREMENTS = [0, 1, 5, 10, 25];
+
+export const ROUNDING_DIRECTIONS = [
+  { value: 'nearest', label: 'To the nearest' },
+  { value: 'up', label: 'Up' },
+];
+
+export const DEFAULT_RATE_CARD = {
+  baseEmployee: '', // Roster employee id the roles inherit from; '' = the first
+  rounding: 5,
+  roundingDirection: 'nearest',
+  roles: [
+    { id: 'associate', name: 'Associate', salaryMin: 60000, salaryMax: 80000, overrides: [{ field: 'trainingHours', value: 80 }] },
+    { id: 'senior', name: 'Senior', salaryMin: 90000, salaryMax: 120000, overrides: [] },
+    { id: 'principal', name: 'Principal', salaryMin: 130000, salaryMax: 170000, overrides: [{ field: 'overheadTime', value: 20 }] },
+  ],
+};
+
+export function createRole(overrides = {}) {
+  return { name: 'New Role', salaryMin: 80000, salaryMax: 100000, overrides: [], ...overrides, id: createId() };
+}
+
+/**
+ * Rounds a rate to a multiple of `increment` (0 leaves it as is).
+ */
+export function roundRate(rate, increment, direction = 'nearest') {
+  const step = toNumber(increment);
+  if (step <= 0) return rate;
+  const steps = rate / step;
+  // Ignore floating-point noise, so a rate already on a step isn't rounded up
+  return (direction === 'up' ? Math.ceil(steps - 1e-9) : Math.round(steps)) * step;
+}
+
+/**
+ * The calculator inputs for a role at `salary`, from the base employee's
+ * calculator inputs (see toCalculatorInputs).
+ */
+export function roleInputs(role, baseInputs, salary) {
+  const overrides = (role.overrides || [])
+    .filter((override) => ROLE_OVERRIDE_FIELDS.some((field) => field.value === override.field))
+    .map((override) => [override.field, override.value]);
+  return { ...baseInputs, ...Object.fromEntries(overrides), salary };
+}
+
+/**
+ * Prices every role on the card. `team` is the roster's calculation (see
+ * calculateTeam), which sets the overhead allocation and team-wide reserve.
+ * Returns one row per role with its break-even and recommended rates at the
+ * band midpoint, the published (rounded) rate and the rounded rate range.
+ */
+export function priceRateCard(rateCard, baseInputs, team) {
+  const { rounding, roundingDirection, roles } = { ...DEFAULT_RATE_CARD, ...rateCard };
+  const { totalStandardHours } = team;
+  const allocation = baseInputs.overheadLedger?.allocation;
+  const rosterWeight = team.members.reduce((sum, member) => (
+    sum + overheadWeight(allocation, { salary: member.totalCostData.salary, hours: member.totalBillableHours })
+  ), 0);
+  const teamReserve = team.rates.target - team.rates.breakEven;
+
+  const priceAt = (role, salary) => {
+    const inputs = roleInputs(role, baseInputs, salary);
+    const { totalBillableHours } = calculate(inputs, { totalStandardHours });
+    const weight = overheadWeight(allocation, { salary, hours: totalBillableHours });
+    const overheadShare = rosterWeight > 0 ? weight / rosterWeight : 1 / Math.max(1, team.members.length);
+    const result = calculate({ ...inputs, overheadShare }, { totalStandardHours });
+    return baseInputs.pricingModel === 'annualProfit'
+      ? { ...result, rates: calculateRates(result.totalCostData.total, result.totalBillableHours, teamReserve) }
+      : result;
+  };
+  const publish = (rate) => roundRate(rate, rounding, roundingDirection);
+
+  return roles.map((role) => {
+    const min = toNumber(role.salaryMin);
+    const max = toNumber(role.salaryMax);
+    const mid = priceAt(role, (min + max) / 2);
+    return {
+      id: role.id,
+      name: role.name,
+      salary: (min + max) / 2,
+      billableHours: mid.totalBillableHours,
+      breakEvenRate: mid.rates.breakEven,
+      targetRate: mid.rates.target,
+      rate: publish(mid.rates.target),
+      rateLow: publish(priceAt(role, min).rates.target),
+      rateHigh: publish(priceAt(role, max).rates.target),
+    };
+  });
+}
+
+const toCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The priced rate card as table rows, headings first, for CSV export.
+ */
+export function rateCardRows(rows) {
+  return [
+    ['Role', 'Salary (Band Midpoint)', 'Billable Hours', 'Break-Even Rate', 'Recommended Rate', 'Published Rate', 'Rate Range Low', 'Rate Range High'],
+    ...rows.map((row) => [
+      row.name,
+      Math.round(row.salary),
+      Math.round(row.billableHours),
+      toCents(row.breakEvenRate),
+      toCents(row.targetRate),
+      toCents(row.rate),
+      toCents(row.rateLow),
+      toCents(row.rateHigh),
+    ]),
+  ];
+}
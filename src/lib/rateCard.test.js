@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { calculate } from './calculator.js';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee, toCalculatorInputs } from './team.js';
+import { priceRateCard, rateCardRows, roleInputs, roundRate } from './rateCard.js';
+
+const price = (inputs, rateCard = inputs.rateCard) => {
+  const team = calculateTeam(inputs.employees, inputs);
+  return priceRateCard(rateCard, toCalculatorInputs(inputs.employees[0], inputs), team);
+};
+
+describe('roundRate', () => {
+  it('rounds to the nearest step or up to the next one', () => {
+    expect(roundRate(101.37, 5)).toBe(100);
+    expect(roundRate(102.5, 5)).toBe(105);
+    expect(roundRate(101.37, 5, 'up')).toBe(105);
+    expect(roundRate(105, 5, 'up')).toBe(105);
+    expect(roundRate(101.37, 0)).toBe(101.37);
+  });
+});
+
+describe('roleInputs', () => {
+  it('takes the band salary and the role overrides over the base inputs', () => {
+    const base = toCalculatorInputs(createEmployee(), createDefaultInputs());
+    const inputs = roleInputs({ overrides: [{ field: 'ptoHours', value: 160 }, { field: 'companyOverhead', value: 50 }] }, base, 70000);
+
+    expect(inputs).toEqual({ ...base, salary: 70000, ptoHours: 160 });
+  });
+});
+
+describe('priceRateCard', () => {
+  it('prices a role like an employee at the band midpoint', () => {
+    const inputs = createDefaultInputs();
+    const rateCard = { ...inputs.rateCard, rounding: 0, roles: [{ id: 'r', name: 'Role', salaryMin: 90000, salaryMax: 110000, overrides: [] }] };
+    const [row] = price(inputs, rateCard);
+    const single = calculate(toCalculatorInputs(inputs.employees[0], inputs));
+
+    expect(row.salary).toBe(100000);
+    expect(row.targetRate).toBeCloseTo(single.rates.target);
+    expect(row.rate).toBeCloseTo(single.rates.target);
+    expect(row.rateLow).toBeLessThan(row.rate);
+    expect(row.rateHigh).toBeGreaterThan(row.rate);
+  });
+
+  it('publishes rounded rates and follows shared assumptions', () => {
+    const inputs = createDefaultInputs();
+    const rows = price(inputs);
+    const higherTaxes = price({ ...inputs, employees: [{ ...inputs.employees[0], employerTaxes: 12 }] });
+
+    expect(rows.map((row) => row.name)).toEqual(['Associate', 'Senior', 'Principal']);
+    rows.forEach((row) => expect(row.rate % 5).toBe(0));
+    rows.forEach((row, i) => expect(higherTaxes[i].targetRate).toBeGreaterThan(row.targetRate));
+  });
+
+  it('charges an itemized ledger at the roster allocation', () => {
+    const inputs = { ...createDefaultInputs(), overheadModel: 'itemized' };
+    const twoPeople = { ...inputs, employees: [...inputs.employees, createEmployee()] };
+    const rateCard = { ...inputs.rateCard, rounding: 0 };
+
+    // Per head, a role carries the same overhead as each person on the roster
+    const [one] = price(inputs, rateCard);
+    const [two] = price(twoPeople, rateCard);
+    expect((one.targetRate - two.targetRate) * one.billableHours).toBeCloseTo(5000);
+  });
+
+  it('lists the card as table rows', () => {
+    const rows = rateCardRows(price(createDefaultInputs()));
+
+    expect(rows[0]).toContain('Published Rate');
+    expect(rows).toHaveLength(4);
+    expect(rows[1][0]).toBe('Associate');
+  });
+});
@@ -0,0 +1,120 @@
+import { toCsv } from './csv.js';
+import { MARKUP_ITEM, PROJECTION_ITEMS, RATE_ITEMS, RESERVE_PER_HOUR_ITEM, getCostItems } from './lineItems.js';
+import { SCHEMA_VERSION, importedVersion } from './scenarios.js';
+
+/**
+ * Exports a scenario's inputs together with everything calculated from them
+ * (see calculateTeam), for spreadsheets and proposals. The JSON export can be
+ * imported again (see readImportFile) to restore the inputs; the results in it
+ * are for reading only.
+ */
+
+export const EXPORT_FORMAT = 'rate-calc/results';
+
+// Results are exported to the cent (or hundredth of an hour / percent)
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Every line item of a calculation result, in display order, as
+ * { id, label, parent?, format, value }.
+ */
+export function resultLineItems(result) {
+  return [...RATE_ITEMS, ...PROJECTION_ITEMS, RESERVE_PER_HOUR_ITEM, MARKUP_ITEM, ...getCostItems(result)].map((item) => ({
+    id: item.id,
+    label: item.label,
+    ...(item.parent ? { parent: item.parent } : {}),
+    format: item.format,
+    value: round(item.value(result)),
+  }));
+}
+
+const roundCostData = ({ details, ...totals }) => ({
+  ...Object.fromEntries(Object.entries(totals).map(([field, amount]) => [field, round(amount)])),
+  details: Object.fromEntries(Object.entries(details || {}).map(([field, lines]) => [
+    field,
+    lines.map((line) => ({ ...line, amount: round(line.amount) })),
+  ])),
+});
+
+/**
+ * Builds the export document for a scenario and its team calculation.
+ */
+export function buildResultsExport(scenario, result, exportedAt = new Date().toISOString()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: SCHEMA_VERSION,
+    exportedAt,
+    scenario: { name: scenario.name, inputs: scenario.inputs },
+    results: {
+      totalStandardHours: round(result.totalStandardHours),
+      billableHours: round(result.totalBillableHours),
+      rates: { breakEven: round(result.rates.breakEven), target: round(result.rates.target) },
+      summary: { revenue: round(result.summary.revenue), reserve: round(result.summary.profit), margin: round(result.summary.margin) },
+      totalCostData: roundCostData(result.totalCostData),
+      lineItems: resultLineItems(result),
+      employees: result.members.map((member) => ({
+        id: member.id,
+        name: member.name,
+        billableHours: round(member.totalBillableHours),
+        breakEvenRate: round(member.rates.breakEven),
+        targetRate: round(member.rates.target),
+        totalCost: round(member.totalCostData.total),
+      })),
+    },
+  };
+}
+
+/**
+ * Lists nested values as [path, value] pairs, e.g. ['employees.0.salary', 100000].
+ */
+const flatten = (value, path) => {
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length > 0
+      ? entries.flatMap(([key, child]) => flatten(child, path ? `${path}.${key}` : key))
+      : [[path, '']];
+  }
+  return [[path, value]];
+};
+
+/**
+ * Writes the export as 'json' or 'csv' text. The CSV has one row per input
+ * (by its path in the inputs) and per computed figure.
+ */
+export function exportResults(scenario, result, format = 'json', exportedAt = new Date().toISOString()) {
+  const data = buildResultsExport(scenario, result, exportedAt);
+  if (format !== 'csv') return JSON.stringify(data, null, 2);
+
+  const { results } = data;
+  return toCsv([
+    ['Section', 'Item', 'Label', 'Value'],
+    ['Scenario', 'name', 'Scenario Name', scenario.name],
+    ...flatten(scenario.inputs, '').map(([path, value]) => ['Input', path, '', value]),
+    ['Result', 'totalStandardHours', 'Available Hours per Employee', results.totalStandardHours],
+    ...results.lineItems.map((item) => ['Result', item.id, item.label, item.value]),
+    ...results.employees.flatMap((employee) => [
+      ['Employee', `${employee.id}.billableHours`, `${employee.name}: Billable Hours`, employee.billableHours],
+      ['Employee', `${employee.id}.breakEvenRate`, `${employee.name}: Break-Even Rate`, employee.breakEvenRate],
+      ['Employee', `${employee.id}.targetRate`, `${employee.name}: Recommended Hourly Rate`, employee.targetRate],
+      ['Employee', `${employee.id}.totalCost`, `${employee.name}: Total Annual Costs`, employee.totalCost],
+    ]),
+  ]);
+}
+
+/**
+ * The scenario in a parsed export document or saved scenario, as
+ * { name, version, inputs } with its inputs not yet upgraded.
+ * Throws an Error if it has no inputs.
+ */
+export function readScenarioDocument(data) {
+  const scenario = data?.format === EXPORT_FORMAT ? data.scenario : data;
+  if (!scenario || typeof scenario.inputs !== 'object' || scenario.inputs === null) {
+    throw new Error('The file has no scenario inputs');
+  }
+
+  return {
+    name: String(scenario.name || 'Imported Scenario'),
+    version: importedVersion(scenario.inputs, data.version ?? scenario.version),
+    inputs: scenario.inputs,
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv } from './csv.js';
+import { buildResultsExport, exportResults, resultLineItems } from './resultsExport.js';
+import { describeImportError, prepareScenarioImport, readImportFile } from './rosterImport.js';
+import { createDefaultInputs, createScenario } from './scenarios.js';
+import { calculateTeam } from './team.js';
+
+const scenarioWithTeam = () => {
+  const inputs = createDefaultInputs();
+  inputs.employees.push({ ...inputs.employees[0], id: 'b', name: 'Grace, Jr.', salary: 80000, healthInsurancePlan: 'other' });
+  inputs.taxModel = 'itemized';
+  return createScenario('Proposal', inputs);
+};
+
+describe('resultLineItems', () => {
+  it('lists the rates, projections and every cost with its detail lines', () => {
+    const scenario = scenarioWithTeam();
+    const items = resultLineItems(calculateTeam(scenario.inputs.employees, scenario.inputs));
+    const ids = items.map((item) => item.id);
+
+    expect(ids.slice(0, 7)).toEqual(['targetRate', 'breakEvenRate', 'billableHours', 'revenue', 'totalCost', 'reserve', 'margin']);
+    expect(ids).toContain('taxCost');
+    expect(items.find((item) => item.id === 'taxCost.socialSecurity')).toMatchObject({ parent: 'taxCost', format: 'currency' });
+  });
+});
+
+describe('buildResultsExport', () => {
+  it('includes the inputs and the rounded results', () => {
+    const scenario = scenarioWithTeam();
+    const result = calculateTeam(scenario.inputs.employees, scenario.inputs);
+    const data = buildResultsExport(scenario, result, '2024-01-01T00:00:00.000Z');
+
+    expect(data.scenario).toEqual({ name: 'Proposal', inputs: scenario.inputs });
+    expect(data.results.rates.target).toBe(Math.round(result.rates.target * 100) / 100);
+    expect(data.results.billableHours).toBe(result.totalBillableHours);
+    expect(data.results.totalCostData.total).toBe(Math.round(result.totalCostData.total * 100) / 100);
+    expect(data.results.employees.map((employee) => employee.name)).toEqual(['Employee 1', 'Grace, Jr.']);
+  });
+});
+
+const importScenario = (text) => {
+  const source = readImportFile(text);
+  return { name: source.name, ...prepareScenarioImport(source) };
+};
+
+describe('exportResults / scenario import', () => {
+  it('restores the same inputs from the JSON export', () => {
+    const scenario = scenarioWithTeam();
+    const result = calculateTeam(scenario.inputs.employees, scenario.inputs);
+
+    expect(importScenario(exportResults(scenario, result, 'json'))).toEqual({ name: 'Proposal', inputs: scenario.inputs, errors: [] });
+  });
+
+  it('writes one CSV row per input and per computed figure', () => {
+    const scenario = scenarioWithTeam();
+    const result = calculateTeam(scenario.inputs.employees, scenario.inputs);
+    const rows = parseCsv(exportResults(scenario, result, 'csv'));
+    const find = (item) => rows.find((row) => row[1] === item);
+
+    expect(rows[0]).toEqual(['Section', 'Item', 'Label', 'Value']);
+    expect(find('employees.1.salary')).toEqual(['Input', 'employees.1.salary', '', '80000']);
+    expect(find('payrollTaxes.socialSecurityRate')[3]).toBe('6.2');
+    expect(find('targetRate')[3]).toBe(String(Math.round(result.rates.target * 100) / 100));
+    expect(find('b.totalCost')[2]).toBe('Grace, Jr.: Total Annual Costs');
+  });
+
+  it('migrates older saved scenarios', () => {
+    const imported = importScenario(JSON.stringify({ name: 'Old', inputs: { salary: 90000, healthInsurancePlan: 13000, companyOverhead: 5, profitMargin: 20 } }));
+
+    expect(imported.inputs.employees[0]).toMatchObject({ salary: 90000, healthInsurancePlan: 'spouse' });
+    expect(imported.inputs.profitMargin).toBe(20);
+  });
+
+  it('reads a scenario without a version as current inputs when it has a roster', () => {
+    const { inputs } = scenarioWithTeam();
+
+    expect(importScenario(JSON.stringify({ name: 'Unversioned', inputs })).inputs).toEqual(inputs);
+  });
+
+  it('reports invalid values instead of replacing them with defaults', () => {
+    const scenario = scenarioWithTeam();
+    scenario.inputs.companyOverhead = 'ten';
+    const result = calculateTeam(scenario.inputs.employees, scenario.inputs);
+
+    expect(importScenario(exportResults(scenario, result, 'json')).errors.map(describeImportError)).toEqual(['Inputs, companyOverhead: "ten" is not a number']);
+  });
+
+  it('rejects files that are not an export', () => {
+    expect(() => readImportFile('{nope')).toThrow('The file is not valid JSON');
+    expect(() => readImportFile(JSON.stringify({ format: 'rate-calc/results', scenario: {} }))).toThrow('The file has no scenario inputs');
+    expect(importScenario(JSON.stringify({ format: 'rate-calc/results', version: 99, scenario: { inputs: {} } })).errors[0].message).toContain('newer than supported');
+  });
+});
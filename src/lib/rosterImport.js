@@ -0,0 +1,253 @@
+import { parseCsv } from './csv.js';
+import { numberSeparators } from './format.js';
+import { COVERAGE_TIERS, MANUAL_PLAN, coverageTierLabel } from './healthInsurance.js';
+import { EXPORT_FORMAT, readScenarioDocument } from './resultsExport.js';
+import { findInvalidInputs, migrateInputs, sanitizeInputs } from './scenarios.js';
+import { createEmployee } from './team.js';
+
+/**
+ * Imports a roster or a whole scenario from a CSV or JSON file.
+ *
+ * A roster is a table with one employee per row: a CSV file, a JSON list of
+ * employees or a JSON object with an `employees` list. Its columns are mapped
+ * onto employee fields (guessMapping suggests a mapping from the headers) and
+ * every value is checked, so a typo is reported instead of becoming 0.
+ * A scenario is a JSON export or saved scenario with `inputs`.
+ */
+
+export const ROSTER_FIELDS = [
+  { field: 'name', label: 'Name', type: 'text', aliases: ['employee', 'employee name', 'full name'] },
+  { field: 'salary', label: 'Annual Salary', type: 'amount', aliases: ['base salary', 'expected annual salary', 'pay'] },
+  { field: 'vacationBonus', label: 'Vacation Bonus', type: 'amount', aliases: ['annual vacation bonus', 'bonus'] },
+  { field: 'k401Contribution', label: 'Employer 401k Contribution', type: 'percent', aliases: ['401k', 'employer 401k', '401k contribution'] },
+  { field: 'k401Deferral', label: 'Employee 401k Deferral', type: 'percent', aliases: ['deferral', '401k deferral', 'employee deferral'] },
+  { field: 'healthInsurancePlan', label: 'Health Insurance Plan', type: 'plan', aliases: ['health plan', 'plan', 'health', 'health insurance', 'employer health insurance'] },
+  { field: 'healthInsuranceManual', label: 'Manual Health Insurance Cost', type: 'amount', aliases: ['health insurance cost', 'health cost'] },
+  { field: 'employerTaxes', label: 'Employer Taxes', type: 'percent', aliases: ['taxes', 'payroll taxes', 'employer tax'] },
+  { field: 'ptoHours', label: 'PTO Hours', type: 'hours', aliases: ['pto', 'paid time off', 'paid time off hours'] },
+  { field: 'trainingHours', label: 'Training Hours', type: 'hours', aliases: ['training'] },
+  { field: 'holidayHours', label: 'Holiday Hours', type: 'hours', aliases: ['holidays'] },
+  { field: 'overheadTime', label: 'Non-Billable Overhead Time', type: 'percent', aliases: ['overhead time', 'non billable overhead time', 'non billable time'] },
+  { field: 'utilization', label: 'Utilization', type: 'percent', aliases: ['target utilization', 'utilization rate'] },
+  { field: 'rampMonths', label: 'Ramp-Up Months', type: 'months', aliases: ['ramp', 'ramp up', 'ramp up months'] },
+];
+
+const matchKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// JSON numbers stay numbers, so they are never read in the locale's notation
+const cellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const tableFromRecords = (records) => {
+  const bad = records.findIndex((record) => record === null || typeof record !== 'object' || Array.isArray(record));
+  if (bad >= 0) throw new Error(`Employee ${bad + 1} is not an object of fields`);
+
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  return {
+    kind: 'roster',
+    columns,
+    rows: records.map((record, i) => ({ where: `Employee ${i + 1}`, cells: columns.map((column) => cellValue(record[column])) })),
+  };
+};
+
+const readJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (Array.isArray(data)) return tableFromRecords(data);
+  if (data?.format === EXPORT_FORMAT || (data && typeof data.inputs === 'object' && data.inputs !== null)) {
+    return { kind: 'scenario', ...readScenarioDocument(data) };
+  }
+  if (Array.isArray(data?.employees)) return tableFromRecords(data.employees);
+  throw new Error('The JSON file must contain a list of employees or a scenario');
+};
+
+const readCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  const columns = headers.map((header, i) => header.trim() || `Column ${i + 1}`);
+  return {
+    kind: 'roster',
+    columns,
+    rows: rows.map((cells, i) => ({ where: `Row ${i + 2}`, cells: columns.map((_, j) => cells[j] ?? '') })),
+  };
+};
+
+/**
+ * Reads CSV or JSON text (detected from the content) as either
+ * { kind: 'roster', columns, rows: [{ where, cells }] } (cells are text, or
+ * numbers from JSON) or
+ * { kind: 'scenario', name, version, inputs }.
+ * Throws an Error if the file can't be read at all.
+ */
+export function readImportFile(text) {
+  const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+  if (trimmed === '') throw new Error('The file is empty');
+
+  const source = /^[[{]/.test(trimmed) ? readJson(trimmed) : readCsv(trimmed);
+  if (source.kind === 'roster' && source.rows.length === 0) throw new Error('The file has no employees');
+  return source;
+}
+
+/**
+ * Suggests the employee field for each column from its header, or '' to
+ * ignore it. Each field is suggested for one column at most.
+ */
+export function guessMapping(columns) {
+  const used = new Set();
+  return columns.map((column) => {
+    const key = matchKey(column);
+    const match = ROSTER_FIELDS.find((field) => !used.has(field.field)
+      && [field.field, field.label, ...field.aliases].some((name) => matchKey(name) === key));
+    if (!match) return '';
+    used.add(match.field);
+    return match.field;
+  });
+}
+
+/**
+ * Reads a number written in the locale's notation, allowing a currency symbol
+ * or percent sign. Returns NaN for anything else, including trailing text.
+ */
+const readNumber = (text, locale) => {
+  const { group, decimal } = numberSeparators(locale);
+  const value = text
+    .replace(/[\s$€£¥%]/g, '')
+    .split(group.trim() || ' ').join('')
+    .replace(decimal, '.');
+  return /^-?(\d+\.?\d*|\.\d+)$/.test(value) ? Number(value) : NaN;
+};
+
+const RANGE_CHECKS = {
+  amount: (n) => (n < 0 ? 'must be zero or more' : null),
+  hours: (n) => (n < 0 ? 'must be zero or more' : null),
+  percent: (n) => (n < 0 || n > 100 ? 'must be between 0 and 100' : null),
+  months: (n) => (n < 0 || !Number.isInteger(n) ? 'must be a whole number of months' : null),
+};
+
+/**
+ * Finds the catalog plan a cell names: a plan id, a plan name (with its
+ * coverage tier when names repeat, e.g. "Standard Plan — Family"), or a
+ * coverage tier. "Other" or "Manual" is a manual entry; a plain amount is a
+ * manual entry of that annual cost.
+ */
+const readPlan = (text, plans, locale) => {
+  const key = matchKey(text);
+  if (['other', 'manual', 'othermanualentry', matchKey(MANUAL_PLAN)].includes(key)) return { plan: MANUAL_PLAN };
+
+  const byId = plans.find((plan) => matchKey(plan.id) === key);
+  if (byId) return { plan: byId.id };
+  const byNameAndTier = plans.find((plan) => matchKey(`${plan.name}${coverageTierLabel(plan.coverageTier)}`) === key);
+  if (byNameAndTier) return { plan: byNameAndTier.id };
+  const byName = plans.filter((plan) => matchKey(plan.name) === key);
+  if (byName.length === 1) return { plan: byName[0].id };
+  if (byName.length > 1) return { error: `"${text}" matches ${byName.length} plans; add the coverage tier, e.g. "${byName[0].name} — ${coverageTierLabel(byName[0].coverageTier)}"` };
+  const tier = COVERAGE_TIERS.find((t) => matchKey(t.value) === key || matchKey(t.label) === key);
+  const byTier = tier && plans.find((plan) => plan.coverageTier === tier.value);
+  if (byTier) return { plan: byTier.id };
+
+  const amount = readNumber(text, locale);
+  if (Number.isFinite(amount) && amount >= 0) return { plan: MANUAL_PLAN, manual: amount };
+  return { error: `no plan in the health plan catalog matches "${text}"` };
+};
+
+const readCell = (field, cell, { plans, locale }) => {
+  if (field.type === 'text') return { value: String(cell) };
+  if (field.type === 'plan') {
+    if (typeof cell === 'number') {
+      return cell >= 0 ? { value: MANUAL_PLAN, manual: cell } : { error: `${cell} must be zero or more` };
+    }
+    const { plan, manual, error } = readPlan(cell, plans, locale);
+    return error ? { error } : { value: plan, manual };
+  }
+  const number = typeof cell === 'number' ? cell : readNumber(cell, locale);
+  if (Number.isNaN(number)) return { error: `"${cell}" is not a number` };
+  const rangeError = RANGE_CHECKS[field.type](number);
+  return rangeError ? { error: `${cell} ${rangeError}` } : { value: number };
+};
+
+const isBlank = (cell) => typeof cell === 'string' && cell.trim() === '';
+
+/**
+ * Turns the rows of a roster into employees, using `mapping` (the field for
+ * each column, '' to ignore it). Fields that aren't mapped, or are blank in a
+ * row, keep their defaults. Returns { employees, errors }, where each error is
+ * { where, field, message } and `field` is the field's label.
+ */
+export function mapRoster(source, mapping, { plans = [], locale = 'en-US' } = {}) {
+  const errors = [];
+  const columnsByField = {};
+  mapping.forEach((field, column) => {
+    if (field) (columnsByField[field] ||= []).push(column);
+  });
+
+  ROSTER_FIELDS.forEach((field) => {
+    const columns = columnsByField[field.field] || [];
+    if (columns.length > 1) {
+      errors.push({ where: 'Mapping', field: field.label, message: `is mapped to ${columns.length} columns (${columns.map((c) => source.columns[c]).join(', ')})` });
+    }
+  });
+  if (Object.keys(columnsByField).length === 0) {
+    errors.push({ where: 'Mapping', field: '', message: 'Map at least one column to an employee field' });
+  }
+  if (errors.length > 0) return { employees: [], errors };
+
+  const employees = [];
+  source.rows.forEach((row) => {
+    if (row.cells.every(isBlank)) return;
+
+    const values = {};
+    let manualFromPlan;
+    ROSTER_FIELDS.forEach((field) => {
+      const [column] = columnsByField[field.field] || [];
+      const cell = column === undefined ? '' : row.cells[column];
+      if (isBlank(cell)) return;
+
+      const { value, manual, error } = readCell(field, typeof cell === 'number' ? cell : cell.trim(), { plans, locale });
+      if (error) {
+        errors.push({ where: row.where, field: field.label, message: error });
+      } else {
+        values[field.field] = value;
+        if (manual !== undefined) manualFromPlan = manual;
+      }
+    });
+    if (manualFromPlan !== undefined && values.healthInsuranceManual === undefined) {
+      values.healthInsuranceManual = manualFromPlan;
+    }
+    employees.push(createEmployee({ ...values, name: values.name || `Employee ${employees.length + 1}` }));
+  });
+
+  if (employees.length === 0 && errors.length === 0) {
+    errors.push({ where: 'File', field: '', message: 'Every row is empty' });
+  }
+  return { employees, errors };
+}
+
+/**
+ * Upgrades and checks the inputs of an imported scenario. Returns the
+ * sanitized inputs and an error for every value that isn't valid.
+ */
+export function prepareScenarioImport(source) {
+  let migrated;
+  try {
+    migrated = migrateInputs(source.inputs, source.version);
+  } catch (error) {
+    return { inputs: null, errors: [{ where: 'File', field: '', message: error.message }] };
+  }
+
+  return {
+    inputs: sanitizeInputs(migrated),
+    errors: findInvalidInputs(migrated).map(({ path, message }) => ({ where: 'Inputs', field: path, message })),
+  };
+}
+
+/**
+ * Formats an import error for display, e.g. 'Row 3, Annual Salary: "abc" is not a number'.
+ */
+export const describeImportError = ({ where, field, message }) => `${where}${field ? `, ${field}` : ''}: ${message}`;
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_HEALTH_PLANS } from './healthInsurance.js';
+import { exportResults } from './resultsExport.js';
+import { describeImportError, guessMapping, mapRoster, prepareScenarioImport, readImportFile } from './rosterImport.js';
+import { createDefaultInputs, createScenario } from './scenarios.js';
+import { DEFAULT_EMPLOYEE, calculateTeam } from './team.js';
+
+const options = { plans: DEFAULT_HEALTH_PLANS, locale: 'en-US' };
+
+describe('readImportFile', () => {
+  it('reads a CSV roster with a row label for every line', () => {
+    const source = readImportFile('Name,Salary\nAda,"120,000"\nGrace,95000\n');
+
+    expect(source).toEqual({
+      kind: 'roster',
+      columns: ['Name', 'Salary'],
+      rows: [{ where: 'Row 2', cells: ['Ada', '120,000'] }, { where: 'Row 3', cells: ['Grace', '95000'] }],
+    });
+  });
+
+  it('reads a JSON list of employees as a roster', () => {
+    const source = readImportFile(JSON.stringify([{ name: 'Ada', salary: 120000 }, { name: 'Grace', ptoHours: 80 }]));
+
+    expect(source.columns).toEqual(['name', 'salary', 'ptoHours']);
+    expect(source.rows[1]).toEqual({ where: 'Employee 2', cells: ['Grace', '', 80] });
+  });
+
+  it('reads an exported scenario as a scenario', () => {
+    const scenario = createScenario('Proposal');
+    const text = exportResults(scenario, calculateTeam(scenario.inputs.employees, scenario.inputs), 'json');
+
+    expect(readImportFile(text)).toMatchObject({ kind: 'scenario', name: 'Proposal', inputs: scenario.inputs });
+  });
+
+  it('rejects files it cannot use', () => {
+    expect(() => readImportFile('  ')).toThrow('The file is empty');
+    expect(() => readImportFile('Name,Salary\n')).toThrow('The file has no employees');
+    expect(() => readImportFile('{"a": 1}')).toThrow('a list of employees or a scenario');
+    expect(() => readImportFile('[1]')).toThrow('Employee 1 is not an object of fields');
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches field names, labels and common aliases, ignoring the rest', () => {
+    expect(guessMapping(['Employee', 'Base Salary', 'PTO', '401k', 'Health Plan', 'Notes', 'salary'])).toEqual(['name', 'salary', 'ptoHours', 'k401Contribution', 'healthInsurancePlan', '', '']);
+  });
+});
+
+describe('mapRoster', () => {
+  const source = readImportFile([
+    'Name,Salary,Bonus,Health Plan,Overhead Time',
+    'Ada,"$120,000",,family,15%',
+    ',90000,500,Other,',
+    'Grace,95000,,9500,',
+  ].join('\n'));
+
+  it('builds employees, keeping defaults for blank and unmapped fields', () => {
+    const { employees, errors } = mapRoster(source, guessMapping(source.columns), options);
+
+    expect(errors).toEqual([]);
+    expect(employees).toHaveLength(3);
+    expect(employees[0]).toMatchObject({ name: 'Ada', salary: 120000, vacationBonus: DEFAULT_EMPLOYEE.vacationBonus, healthInsurancePlan: 'family', overheadTime: 15, ptoHours: DEFAULT_EMPLOYEE.ptoHours });
+    expect(employees[1]).toMatchObject({ name: 'Employee 2', vacationBonus: 500, healthInsurancePlan: 'other' });
+    expect(employees[2]).toMatchObject({ healthInsurancePlan: 'other', healthInsuranceManual: 9500 });
+    expect(new Set(employees.map((employee) => employee.id)).size).toBe(3);
+  });
+
+  it('reports every malformed or unknown value instead of using 0', () => {
+    const bad = readImportFile('Name,Salary,PTO Hours,Overhead Time,Ramp,Health Plan\nAda,12k,-8,120,1.5,Gold\n');
+    const { errors } = mapRoster(bad, guessMapping(bad.columns), options);
+
+    expect(errors.map(describeImportError)).toEqual([
+      'Row 2, Annual Salary: "12k" is not a number',
+      'Row 2, Health Insurance Plan: no plan in the health plan catalog matches "Gold"',
+      'Row 2, PTO Hours: -8 must be zero or more',
+      'Row 2, Non-Billable Overhead Time: 120 must be between 0 and 100',
+      'Row 2, Ramp-Up Months: 1.5 must be a whole number of months',
+    ]);
+  });
+
+  it('asks for the coverage tier when plan names repeat', () => {
+    const plans = readImportFile('Name,Plan\nAda,Standard Plan\nGrace,Standard Plan — Family\n');
+    const { employees, errors } = mapRoster(plans, ['name', 'healthInsurancePlan'], options);
+
+    expect(errors[0].message).toContain('matches 3 plans');
+    expect(employees[1].healthInsurancePlan).toBe('family');
+  });
+
+  it('reads numbers in the given locale', () => {
+    const german = readImportFile('Name,Salary\nAda,"85.000,50"\n');
+
+    expect(mapRoster(german, ['name', 'salary'], { ...options, locale: 'de-DE' }).employees[0].salary).toBe(85000.5);
+  });
+
+  it('takes JSON numbers as they are, whatever the locale', () => {
+    const json = readImportFile(JSON.stringify([{ salary: 85000.5, overheadTime: 7.5, healthInsurancePlan: 9500.5 }]));
+    const { employees, errors } = mapRoster(json, guessMapping(json.columns), { ...options, locale: 'de-DE' });
+
+    expect(errors).toEqual([]);
+    expect(employees[0]).toMatchObject({ salary: 85000.5, overheadTime: 7.5, healthInsurancePlan: 'other', healthInsuranceManual: 9500.5 });
+    expect(mapRoster(readImportFile('[{"salary": -1}]'), ['salary'], options).errors.map(describeImportError)).toEqual(['Employee 1, Annual Salary: -1 must be zero or more']);
+  });
+
+  it('rejects a field mapped to more than one column, or no mapping at all', () => {
+    expect(mapRoster(source, ['name', 'salary', 'salary', '', ''], options).errors.map(describeImportError)).toEqual(['Mapping, Annual Salary: is mapped to 2 columns (Salary, Bonus)']);
+    expect(mapRoster(source, ['', '', '', '', ''], options).errors).toHaveLength(1);
+  });
+});
+
+describe('prepareScenarioImport', () => {
+  it('upgrades older scenarios and reports invalid values by their path', () => {
+    const inputs = { ...createDefaultInputs(), companyOverhead: 'ten' };
+    inputs.employees = [{ ...inputs.employees[0], salary: '12x' }];
+    const { errors } = prepareScenarioImport({ kind: 'scenario', version: 2, inputs });
+
+    expect(errors.map(describeImportError)).toEqual([
+      'Inputs, companyOverhead: "ten" is not a number',
+      'Inputs, employees.0.salary: "12x" is not a number',
+    ]);
+    expect(prepareScenarioImport({ kind: 'scenario', version: 0, inputs: { salary: 1 } }).inputs.employees[0].salary).toBe(1);
+  });
+
+  it('reads a scenario file without a version as current inputs when it has a roster', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees = [{ ...inputs.employees[0], salary: 150000 }];
+    const { errors, inputs: imported } = prepareScenarioImport(readImportFile(JSON.stringify({ name: 'Unversioned', inputs })));
+
+    expect(errors).toEqual([]);
+    expect(imported.employees[0].salary).toBe(150000);
+  });
+
+  it('reports a scenario from a newer version of the app', () => {
+    expect(prepareScenarioImport({ kind: 'scenario', version: 99, inputs: {} }).errors[0].message).toContain('newer than supported');
+  });
+});
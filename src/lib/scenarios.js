@@ -0,0 +1,323 @@
+import { createBenefit } from './benefits.js';
+import { MANUAL_PLAN, createHealthPlan } from './healthInsurance.js';
+import { createId } from './ids.js';
+import { createOverheadItem } from './overhead.js';
+import { createExpense, createTask } from './project.js';
+import { createRole } from './rateCard.js';
+import { DEFAULT_EMPLOYEE, DEFAULT_SHARED, createEmployee } from './team.js';
+
+/**
+ * Named calculation scenarios and their persistence.
+ * Every stored scenario records the schema version of its inputs; older
+ * scenarios are upgraded through MIGRATIONS when they are loaded, so adding
+ * input fields never breaks existing saves.
+ */
+
+export const SCHEMA_VERSION = 2;
+export const STORAGE_KEY = 'rate-calc:scenarios';
+
+/**
+ * Upgrades inputs from version N to N + 1, keyed by N.
+ * Version 0 is the original single-person calculator state.
+ */
+const MIGRATIONS = {
+  0: ({ companyOverhead, profitMargin, ...employee }) => ({
+    employees: [{ name: 'Employee 1', ...employee }],
+    companyOverhead,
+    profitMargin,
+  }),
+  // Health insurance plans were chosen by their average annual cost; they are
+  // now catalog ids, and costs that aren't in the default catalog become manual
+  1: ({ employees = [], ...shared }) => ({
+    ...shared,
+    employees: employees.map((employee) => {
+      const plan = employee.healthInsurancePlan;
+      if (plan === undefined || plan === 'other') return employee;
+      const id = { 7000: 'single', 13000: 'spouse', 18000: 'family' }[Number(plan)];
+      return id
+        ? { ...employee, healthInsurancePlan: id }
+        : { ...employee, healthInsurancePlan: 'other', healthInsuranceManual: Number(plan) || 0 };
+    }),
+  }),
+};
+
+export function createDefaultInputs() {
+  return { ...DEFAULT_SHARED, employees: [createEmployee()] };
+}
+
+export function createScenario(name, inputs = createDefaultInputs()) {
+  return {
+    id: createId(),
+    name,
+    version: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    inputs,
+  };
+}
+
+export function duplicateScenario(scenario) {
+  return createScenario(`${scenario.name} (copy)`, structuredClone(scenario.inputs));
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merges values over their defaults, including the fields of nested settings
+ * objects, so settings that gain a field also pick up its default.
+ */
+const withDefaults = (values, defaults) => {
+  const merged = { ...defaults, ...values };
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    if (isPlainObject(fallback)) {
+      merged[key] = { ...fallback, ...(isPlainObject(values[key]) ? values[key] : {}) };
+    }
+  });
+  return merged;
+};
+
+/**
+ * Fills in any fields missing from current-version inputs with their defaults.
+ */
+export function normalizeInputs(inputs) {
+  const employees = Array.isArray(inputs.employees) ? inputs.employees : [];
+
+  return {
+    ...withDefaults(inputs, DEFAULT_SHARED),
+    employees: employees.length > 0
+      ? employees.map((employee) => ({ ...withDefaults(employee, DEFAULT_EMPLOYEE), id: employee.id || createId() }))
+      : [createEmployee()],
+  };
+}
+
+/**
+ * Upgrades inputs saved at `version` to the current schema.
+ * Throws if the inputs come from a newer version of the app.
+ */
+export function migrateInputs(inputs, version = 0) {
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Scenario schema version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+  }
+
+  let migrated = inputs;
+  for (let v = version; v < SCHEMA_VERSION; v += 1) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  return normalizeInputs(migrated);
+}
+
+/**
+ * The schema version of imported inputs. A file that doesn't record one is
+ * read as current inputs when it has a roster (an `employees` list), and as
+ * the original single-person inputs when it doesn't.
+ */
+export function importedVersion(inputs, version) {
+  if (version !== undefined && version !== null) return Number(version) || 0;
+  return Array.isArray(inputs.employees) ? SCHEMA_VERSION : 0;
+}
+
+/**
+ * Brings a stored scenario up to date. Returns null if it cannot be read.
+ */
+export function migrateScenario(stored) {
+  if (!stored || typeof stored !== 'object' || !stored.inputs || typeof stored.inputs !== 'object') {
+    return null;
+  }
+
+  try {
+    return {
+      id: stored.id || createId(),
+      name: stored.name || 'Untitled Scenario',
+      version: SCHEMA_VERSION,
+      updatedAt: stored.updatedAt || new Date().toISOString(),
+      inputs: migrateInputs(stored.inputs, Number(stored.version) || 0),
+    };
+  } catch {
+    return null;
+  }
+}
+
+const getStorage = () => (typeof window !== 'undefined' ? window.localStorage : undefined);
+
+/**
+ * Reads all saved scenarios. Always returns at least one scenario.
+ */
+export function loadScenarios(storage = getStorage()) {
+  let stored;
+  try {
+    stored = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null');
+  } catch {
+    stored = null;
+  }
+
+  const scenarios = (Array.isArray(stored?.scenarios) ? stored.scenarios : [])
+    .map(migrateScenario)
+    .filter(Boolean);
+
+  if (scenarios.length === 0) {
+    const scenario = createScenario('My Scenario');
+    return { activeId: scenario.id, scenarios: [scenario] };
+  }
+
+  const activeId = scenarios.some((scenario) => scenario.id === stored.activeId)
+    ? stored.activeId
+    : scenarios[0].id;
+
+  return { activeId, scenarios };
+}
+
+/**
+ * Writes all scenarios. Storage failures (quota, private mode) are ignored so
+ * the calculator keeps working without persistence.
+ */
+export function saveScenarios({ activeId, scenarios }, storage = getStorage()) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, activeId, scenarios }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The items of each list of settings objects, keyed by field: `create` makes
+ * a new item, whose values fill in an item's missing fields, and `required`
+ * names the fields an item is reported for when it doesn't have them.
+ */
+const LIST_ITEMS = {
+  matchTiers: { create: () => ({ match: 0, of: 0 }), required: ['match', 'of'] },
+  healthPlans: { create: createHealthPlan, required: ['monthlyPremium'] },
+  customHolidays: { create: () => ({ date: '', name: '' }), required: ['date'] },
+  benefits: { create: createBenefit, required: ['basis', 'amount'] },
+  items: { create: createOverheadItem, required: ['amount'] }, // Overhead ledger
+  tasks: { create: createTask, required: ['hours'] },
+  expenses: { create: createExpense, required: ['amount'] },
+  roles: { create: createRole, required: ['salaryMin', 'salaryMax'] },
+  overrides: { create: () => ({ field: '', value: 0 }), required: ['field', 'value'] },
+};
+
+/**
+ * Field values that are valid even though they don't match their default's type.
+ */
+const ALLOWED_VALUES = {
+  healthInsurancePlan: ['other'],
+};
+
+const sanitizeValue = (key, value, fallback) => {
+  if (ALLOWED_VALUES[key]?.includes(value)) return value;
+  if (typeof fallback === 'number') {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === 'string') return typeof value === 'string' ? value : fallback;
+  if (typeof fallback === 'boolean') {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return typeof value === 'boolean' ? value : fallback;
+  }
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return fallback;
+    return LIST_ITEMS[key] ? sanitizeList(value, LIST_ITEMS[key]) : value;
+  }
+  if (isPlainObject(fallback)) return isPlainObject(value) ? sanitizeObject(value, fallback) : fallback;
+  return value;
+};
+
+const sanitizeObject = (values, defaults) => Object.fromEntries(
+  Object.entries(defaults).map(([key, fallback]) => [key, sanitizeValue(key, values[key], fallback)]),
+);
+
+// Items without an id, or with one an earlier item already has, get a fresh one
+const sanitizeList = (items, list) => {
+  const ids = new Set();
+  return items.filter(isPlainObject).map((item) => {
+    const template = list.create();
+    const values = sanitizeObject(item, template);
+    if ('id' in template && (!values.id || ids.has(values.id))) values.id = template.id;
+    ids.add(values.id);
+    return values;
+  });
+};
+
+/**
+ * Coerces untrusted inputs (links, imports) to the types of their defaults.
+ * Values that are missing, empty or invalid fall back to the default, and
+ * unknown fields are dropped.
+ */
+export function sanitizeInputs(inputs) {
+  const { employees, ...shared } = normalizeInputs(inputs);
+
+  const sanitized = sanitizeObject(shared, DEFAULT_SHARED);
+  // Plans outside the catalog can't be resolved, so they fall back like other invalid values
+  const planIds = new Set([MANUAL_PLAN, ...sanitized.healthPlans.map((plan) => plan.id)]);
+  const fallbackPlan = planIds.has(DEFAULT_EMPLOYEE.healthInsurancePlan) ? DEFAULT_EMPLOYEE.healthInsurancePlan : MANUAL_PLAN;
+
+  return {
+    ...sanitized,
+    employees: employees.map((employee) => {
+      const values = sanitizeObject(employee, { ...DEFAULT_EMPLOYEE, id: employee.id });
+      return planIds.has(values.healthInsurancePlan) ? values : { ...values, healthInsurancePlan: fallbackPlan };
+    }),
+  };
+}
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const findInvalidValues = (key, value, fallback, path) => {
+  if (value === undefined || value === null || value === '' || ALLOWED_VALUES[key]?.includes(value)) return [];
+  const problem = (message) => [{ path, message: `${describeValue(value)} ${message}` }];
+
+  if (typeof fallback === 'number') {
+    return Number.isFinite(typeof value === 'string' ? Number(value.trim()) : Number(value)) && typeof value !== 'boolean'
+      ? []
+      : problem('is not a number');
+  }
+  if (typeof fallback === 'string') return typeof value === 'string' ? [] : problem('is not text');
+  if (typeof fallback === 'boolean') {
+    return typeof value === 'boolean' || value === 'true' || value === 'false' ? [] : problem('is not true or false');
+  }
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return problem('is not a list');
+    const list = LIST_ITEMS[key];
+    if (!list) return [];
+    return value.flatMap((item, i) => {
+      if (!isPlainObject(item)) return [{ path: `${path}.${i}`, message: `${describeValue(item)} is not a group of settings` }];
+      const missing = list.required
+        .filter((field) => item[field] === undefined || item[field] === null)
+        .map((field) => ({ path: `${path}.${i}.${field}`, message: 'is missing' }));
+      return [...missing, ...findInvalidObject(item, list.create(), `${path}.${i}`)];
+    });
+  }
+  if (isPlainObject(fallback)) return isPlainObject(value) ? findInvalidObject(value, fallback, path) : problem('is not a group of settings');
+  return [];
+};
+
+const findInvalidObject = (values, defaults, path) => Object.entries(defaults).flatMap(([key, fallback]) => (
+  findInvalidValues(key, values[key], fallback, path ? `${path}.${key}` : key)
+));
+
+/**
+ * Lists the values in current-version inputs that sanitizeInputs would
+ * replace with a default, as { path, message } (e.g. path 'employees.0.salary'),
+ * so imports can report them instead. Missing and empty values aren't listed.
+ */
+export function findInvalidInputs(inputs) {
+  const { employees, ...shared } = inputs;
+  const problems = findInvalidObject(shared, DEFAULT_SHARED, '');
+  const planIds = new Set([MANUAL_PLAN, ...sanitizeInputs(inputs).healthPlans.map((plan) => plan.id)]);
+
+  if (employees !== undefined && !Array.isArray(employees)) {
+    problems.push({ path: 'employees', message: `${describeValue(employees)} is not a list` });
+  }
+  (Array.isArray(employees) ? employees : []).forEach((employee, i) => {
+    const path = `employees.${i}`;
+    if (!isPlainObject(employee)) {
+      problems.push({ path, message: `${describeValue(employee)} is not an employee` });
+      return;
+    }
+    problems.push(...findInvalidObject(employee, DEFAULT_EMPLOYEE, path));
+    const plan = employee.healthInsurancePlan;
+    if (plan !== undefined && plan !== '' && !planIds.has(plan)) {
+      problems.push({ path: `${path}.healthInsurancePlan`, message: `${describeValue(plan)} is not a plan in the health plan catalog` });
+    }
+  });
+  return problems;
+}
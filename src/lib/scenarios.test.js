@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  STORAGE_KEY,
+  createScenario,
+  createDefaultInputs,
+  duplicateScenario,
+  findInvalidInputs,
+  loadScenarios,
+  migrateInputs,
+  migrateScenario,
+  sanitizeInputs,
+  saveScenarios,
+} from './scenarios.js';
+import { DEFAULT_EMPLOYEE, DEFAULT_SHARED } from './team.js';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+describe('migrateInputs', () => {
+  it('upgrades the original single-person state into a one-employee roster', () => {
+    const legacy = {
+      salary: 90000,
+      vacationBonus: 1000,
+      k401Contribution: 4,
+      healthInsurancePlan: 'other',
+      healthInsuranceManual: 9000,
+      employerTaxes: 7.65,
+      ptoHours: 120,
+      trainingHours: 20,
+      holidayHours: 80,
+      overheadTime: 15,
+      companyOverhead: 12,
+      profitMargin: 20,
+    };
+    const inputs = migrateInputs(legacy, 0);
+
+    expect(inputs.companyOverhead).toBe(12);
+    expect(inputs.profitMargin).toBe(20);
+    expect(inputs.employees).toHaveLength(1);
+    expect(inputs.employees[0]).toMatchObject({ name: 'Employee 1', salary: 90000, healthInsuranceManual: 9000 });
+    expect(inputs.employees[0].id).toBeTruthy();
+  });
+
+  it('moves health insurance plans chosen by cost onto the plan catalog', () => {
+    const inputs = migrateInputs({
+      employees: [
+        { id: 'a', healthInsurancePlan: 13000 },
+        { id: 'b', healthInsurancePlan: '18000' },
+        { id: 'c', healthInsurancePlan: 9500 },
+        { id: 'd', healthInsurancePlan: 'other', healthInsuranceManual: 4000 },
+      ],
+    }, 1);
+
+    expect(inputs.employees.map(({ healthInsurancePlan, healthInsuranceManual }) => [healthInsurancePlan, healthInsuranceManual])).toEqual([
+      ['spouse', DEFAULT_EMPLOYEE.healthInsuranceManual],
+      ['family', DEFAULT_EMPLOYEE.healthInsuranceManual],
+      ['other', 9500],
+      ['other', 4000],
+    ]);
+    expect(inputs.healthPlans).toEqual(DEFAULT_SHARED.healthPlans);
+  });
+
+  it('fills in fields that are missing from current-version inputs', () => {
+    const inputs = migrateInputs({ employees: [{ id: 'a', salary: 50000 }] }, SCHEMA_VERSION);
+
+    expect(inputs.profitMargin).toBe(DEFAULT_SHARED.profitMargin);
+    expect(inputs.employees[0]).toEqual({ ...DEFAULT_EMPLOYEE, id: 'a', salary: 50000 });
+  });
+
+  it('fills in fields that are missing from nested settings', () => {
+    const inputs = migrateInputs({ payrollTaxes: { sutaRate: 3.4 } }, SCHEMA_VERSION);
+
+    expect(inputs.payrollTaxes).toEqual({ ...DEFAULT_SHARED.payrollTaxes, sutaRate: 3.4 });
+  });
+
+  it('always leaves at least one employee', () => {
+    expect(migrateInputs({ employees: [] }, SCHEMA_VERSION).employees).toHaveLength(1);
+  });
+
+  it('refuses inputs from a newer schema', () => {
+    expect(() => migrateInputs({}, SCHEMA_VERSION + 1)).toThrow(/newer/);
+  });
+});
+
+describe('sanitizeInputs / findInvalidInputs', () => {
+  const withLists = () => ({
+    ...createDefaultInputs(),
+    benefits: [{ id: 'x', amount: '5' }],
+    healthPlans: [{ name: 'A', monthlyPremium: 100 }, { name: 'B', monthlyPremium: 200 }],
+    project: { ...DEFAULT_SHARED.project, tasks: [{ name: 'Build', hours: 10 }, { name: 'Test', hours: 5 }] },
+  });
+
+  it('fills in missing item fields from a new item, not from the first default item', () => {
+    const inputs = sanitizeInputs(withLists());
+
+    expect(inputs.benefits).toEqual([{ id: 'x', name: 'New Benefit', basis: 'annual', amount: 5, wages: false }]);
+    expect(inputs.healthPlans.map((plan) => plan.name)).toEqual(['A', 'B']);
+    expect(inputs.healthPlans.map((plan) => plan.monthlyPremium)).toEqual([100, 200]);
+  });
+
+  it('gives items without an id, or with a repeated one, a fresh id', () => {
+    const inputs = withLists();
+    inputs.overheadLedger = { ...inputs.overheadLedger, items: [{ id: 'rent', name: 'Rent', amount: 1 }, { id: 'rent', name: 'Rent', amount: 2 }] };
+    const sanitized = sanitizeInputs(inputs);
+    const ids = (items) => new Set(items.map((item) => item.id)).size;
+
+    expect(ids(sanitized.healthPlans)).toBe(2);
+    expect(ids(sanitized.project.tasks)).toBe(2);
+    expect(sanitized.project.tasks.map((task) => task.id)).not.toContain('discovery');
+    expect(sanitized.overheadLedger.items[0].id).toBe('rent');
+    expect(ids(sanitized.overheadLedger.items)).toBe(2);
+  });
+
+  it('reports items with required fields missing', () => {
+    const inputs = { ...createDefaultInputs(), benefits: [{ id: 'x', amount: '5' }], k401Plan: { ...DEFAULT_SHARED.k401Plan, matchTiers: [{ of: 6 }] } };
+
+    expect(findInvalidInputs(inputs)).toEqual([
+      { path: 'k401Plan.matchTiers.0.match', message: 'is missing' },
+      { path: 'benefits.0.basis', message: 'is missing' },
+    ]);
+  });
+});
+
+describe('migrateScenario', () => {
+  it('stamps the current schema version', () => {
+    const scenario = migrateScenario({ id: 'x', name: 'Old', inputs: { salary: 1 } });
+
+    expect(scenario.version).toBe(SCHEMA_VERSION);
+    expect(scenario.inputs.employees[0].salary).toBe(1);
+  });
+
+  it('returns null for unreadable scenarios', () => {
+    expect(migrateScenario(null)).toBeNull();
+    expect(migrateScenario({ name: 'No inputs' })).toBeNull();
+    expect(migrateScenario({ version: SCHEMA_VERSION + 1, inputs: {} })).toBeNull();
+  });
+});
+
+describe('duplicateScenario', () => {
+  it('deep-copies the inputs under a new id', () => {
+    const original = createScenario('Base');
+    const copy = duplicateScenario(original);
+    copy.inputs.employees[0].salary = 1;
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.name).toBe('Base (copy)');
+    expect(original.inputs.employees[0].salary).toBe(DEFAULT_EMPLOYEE.salary);
+  });
+});
+
+describe('loadScenarios / saveScenarios', () => {
+  it('starts with a default scenario when nothing is stored', () => {
+    const { activeId, scenarios } = loadScenarios(memoryStorage());
+
+    expect(scenarios).toHaveLength(1);
+    expect(activeId).toBe(scenarios[0].id);
+  });
+
+  it('starts fresh when the stored data is corrupt', () => {
+    const { scenarios } = loadScenarios(memoryStorage({ [STORAGE_KEY]: '{not json' }));
+
+    expect(scenarios).toHaveLength(1);
+  });
+
+  it('round-trips scenarios and the active selection', () => {
+    const storage = memoryStorage();
+    const a = createScenario('A');
+    const b = createScenario('B');
+
+    expect(saveScenarios({ activeId: b.id, scenarios: [a, b] }, storage)).toBe(true);
+    const loaded = loadScenarios(storage);
+
+    expect(loaded.activeId).toBe(b.id);
+    expect(loaded.scenarios.map((scenario) => scenario.name)).toEqual(['A', 'B']);
+    expect(loaded.scenarios[1].inputs).toEqual(b.inputs);
+  });
+
+  it('falls back to the first scenario when the active one is gone', () => {
+    const storage = memoryStorage();
+    const a = createScenario('A');
+    saveScenarios({ activeId: 'missing', scenarios: [a] }, storage);
+
+    expect(loadScenarios(storage).activeId).toBe(a.id);
+  });
+
+  it('reports storage failures instead of throwing', () => {
+    const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+
+    expect(saveScenarios({ activeId: 'a', scenarios: [] }, storage)).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Available working hours from a year and a weekly schedule.
+ * Workdays run from Monday for `daysPerWeek` days (e.g. 4 means Monday to
+ * Thursday). Year 0 is a standard 52-week year, which is how the calculator
+ * has always counted hours (40 × 52 = 2080).
+ *
+ * Holiday calendars list dates as 'YYYY-MM-DD'; only holidays that land on a
+ * workday take hours away. In a standard year there are no dates, so every
+ * holiday counts.
+ */
+
+export const HOLIDAY_CALENDARS = [
+  { value: 'manual', label: 'Manual (per-employee Holiday Hours)' },
+  { value: 'usFederal', label: 'US Federal Holidays' },
+  { value: 'custom', label: 'Custom List' },
+];
+
+export const DEFAULT_SCHEDULE = {
+  year: 0,
+  hoursPerDay: 8,
+  daysPerWeek: 5,
+  holidayCalendar: 'manual',
+  customHolidays: [],
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const toDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+const parseIsoDate = (value) => {
+  const match = DATE_PATTERN.exec(String(value));
+  if (!match) return null;
+  const date = toDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toIsoDate(date) === value ? date : null;
+};
+
+/** The nth (1-based) weekday (0 = Sunday) of a month, or the last when n is -1. */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const last = toDate(year, month + 1, 0);
+    return toDate(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = toDate(year, month, 1);
+  return toDate(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+};
+
+/** Fixed-date holidays on a weekend are observed on the nearest weekday. */
+const observed = (date) => {
+  const day = date.getUTCDay();
+  if (day === 6) return toDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - 1);
+  if (day === 0) return toDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return date;
+};
+
+const FEDERAL_HOLIDAYS = [
+  { name: "New Year's Day", date: (year) => observed(toDate(year, 0, 1)) },
+  { name: 'Martin Luther King Jr. Day', date: (year) => nthWeekday(year, 0, 1, 3) },
+  { name: "Washington's Birthday", date: (year) => nthWeekday(year, 1, 1, 3) },
+  { name: 'Memorial Day', date: (year) => nthWeekday(year, 4, 1, -1) },
+  { name: 'Juneteenth', date: (year) => observed(toDate(year, 5, 19)) },
+  { name: 'Independence Day', date: (year) => observed(toDate(year, 6, 4)) },
+  { name: 'Labor Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  { name: 'Columbus Day', date: (year) => nthWeekday(year, 9, 1, 2) },
+  { name: 'Veterans Day', date: (year) => observed(toDate(year, 10, 11)) },
+  { name: 'Thanksgiving Day', date: (year) => nthWeekday(year, 10, 4, 4) },
+  { name: 'Christmas Day', date: (year) => observed(toDate(year, 11, 25)) },
+];
+
+/**
+ * The observed US federal holidays in a year, as { date, name }. A New Year's
+ * Day that falls on a Saturday is observed on December 31 of the year before.
+ */
+export function usFederalHolidays(year) {
+  const dated = (y) => FEDERAL_HOLIDAYS.map(({ name, date }) => ({ name, date: date(y) }));
+
+  return [...dated(year), dated(year + 1)[0]]
+    .filter(({ date }) => date.getUTCFullYear() === year)
+    .map(({ name, date }) => ({ date: toIsoDate(date), name }));
+}
+
+const clampDaysPerWeek = (daysPerWeek) => Math.min(7, Math.max(0, Math.round(Number(daysPerWeek) || 0)));
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/** Monday is 1 and Sunday is 0, as in Date#getUTCDay. */
+const isWorkday = (date, daysPerWeek) => ((date.getUTCDay() + 6) % 7) < daysPerWeek;
+
+/**
+ * Counts the workdays in a year (or in a standard 52-week year for year 0).
+ */
+export function countWorkdays(year, daysPerWeek) {
+  const days = clampDaysPerWeek(daysPerWeek);
+  if (!year) return 52 * days;
+
+  // 52 whole weeks, plus the one or two days left over at the end of the year
+  let count = 52 * days;
+  for (let i = 0; i < (isLeapYear(year) ? 2 : 1); i += 1) {
+    if (isWorkday(toDate(year, 11, 31 - i), days)) count += 1;
+  }
+  return count;
+}
+
+/**
+ * The holidays from the schedule's calendar that take hours away, as
+ * { date, name } sorted by date. Empty for the manual calendar.
+ */
+export function scheduleHolidays(schedule = DEFAULT_SCHEDULE) {
+  const year = Number(schedule.year) || 0;
+  const days = clampDaysPerWeek(schedule.daysPerWeek);
+  let holidays = [];
+  if (schedule.holidayCalendar === 'usFederal') {
+    holidays = year ? usFederalHolidays(year) : FEDERAL_HOLIDAYS.map(({ name }) => ({ date: '', name }));
+  } else if (schedule.holidayCalendar === 'custom') {
+    holidays = (Array.isArray(schedule.customHolidays) ? schedule.customHolidays : [])
+      .filter((holiday) => holiday && parseIsoDate(holiday.date))
+      .map((holiday) => ({ date: holiday.date, name: String(holiday.name ?? '') }));
+  }
+  if (!year) return holidays;
+
+  const seen = new Set();
+  return holidays
+    .filter(({ date }) => {
+      const parsed = parseIsoDate(date);
+      if (!parsed || parsed.getUTCFullYear() !== year || !isWorkday(parsed, days) || seen.has(date)) return false;
+      seen.add(date);
+      return true;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Calculates the hours available in a schedule. `holidayHours` is null for
+ * the manual calendar, where each employee enters their own.
+ */
+export function calculateAvailableHours(schedule = DEFAULT_SCHEDULE) {
+  const hoursPerDay = Math.max(0, Number(schedule.hoursPerDay) || 0);
+  const workdays = countWorkdays(Number(schedule.year) || 0, schedule.daysPerWeek);
+  const holidays = scheduleHolidays(schedule);
+
+  return {
+    workdays,
+    hoursPerDay,
+    totalStandardHours: workdays * hoursPerDay,
+    holidays,
+    holidayHours: schedule.holidayCalendar === 'usFederal' || schedule.holidayCalendar === 'custom'
+      ? holidays.length * hoursPerDay
+      : null,
+  };
+}
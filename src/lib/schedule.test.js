@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SCHEDULE, calculateAvailableHours, countWorkdays, scheduleHolidays, usFederalHolidays } from './schedule.js';
+
+describe('countWorkdays', () => {
+  it('counts 52 weeks in a standard year', () => {
+    expect(countWorkdays(0, 5)).toBe(260);
+    expect(countWorkdays(0, 4)).toBe(208);
+  });
+
+  it('counts the actual workdays in a calendar year', () => {
+    expect(countWorkdays(2026, 5)).toBe(261); // Starts and ends on a Thursday
+    expect(countWorkdays(2024, 5)).toBe(262); // Leap year, Monday to Tuesday
+    expect(countWorkdays(2026, 4)).toBe(209);
+    expect(countWorkdays(2024, 7)).toBe(366);
+  });
+});
+
+describe('usFederalHolidays', () => {
+  it('lists the observed dates of the eleven federal holidays', () => {
+    const holidays = usFederalHolidays(2026);
+
+    expect(holidays).toHaveLength(11);
+    expect(holidays.find((h) => h.name === 'Thanksgiving Day').date).toBe('2026-11-26');
+    expect(holidays.find((h) => h.name === 'Memorial Day').date).toBe('2026-05-25');
+    // July 4 is a Saturday
+    expect(holidays.find((h) => h.name === 'Independence Day').date).toBe('2026-07-03');
+  });
+
+  it("moves a Saturday New Year's Day into the year before", () => {
+    expect(usFederalHolidays(2021).at(-1)).toEqual({ date: '2021-12-31', name: "New Year's Day" });
+    expect(usFederalHolidays(2022)).toHaveLength(10);
+  });
+});
+
+describe('scheduleHolidays', () => {
+  it('only counts holidays that land on a workday', () => {
+    const fourDays = scheduleHolidays({ ...DEFAULT_SCHEDULE, year: 2026, daysPerWeek: 4, holidayCalendar: 'usFederal' });
+
+    // Juneteenth, July 3 and Christmas are Fridays
+    expect(fourDays).toHaveLength(8);
+  });
+
+  it('reads custom lists for the chosen year, ignoring bad and repeated dates', () => {
+    const holidays = scheduleHolidays({
+      ...DEFAULT_SCHEDULE,
+      year: 2026,
+      holidayCalendar: 'custom',
+      customHolidays: [
+        { date: '2026-12-24', name: 'Christmas Eve' },
+        { date: '2026-12-24', name: 'Again' },
+        { date: '2026-03-01', name: 'A Sunday' },
+        { date: '2025-12-24', name: 'Last year' },
+        { date: '2026-02-30', name: 'Not a date' },
+        { date: '2026-01-02', name: 'Day after New Year' },
+      ],
+    });
+
+    expect(holidays.map((h) => h.name)).toEqual(['Day after New Year', 'Christmas Eve']);
+  });
+
+  it('counts every holiday in a standard year', () => {
+    expect(scheduleHolidays({ ...DEFAULT_SCHEDULE, holidayCalendar: 'usFederal' })).toHaveLength(11);
+  });
+
+  it('has no holidays for the manual calendar', () => {
+    expect(scheduleHolidays(DEFAULT_SCHEDULE)).toEqual([]);
+  });
+});
+
+describe('calculateAvailableHours', () => {
+  it('keeps the standard 2080 hours by default', () => {
+    expect(calculateAvailableHours()).toMatchObject({ workdays: 260, totalStandardHours: 2080, holidayHours: null });
+  });
+
+  it('multiplies workdays and holidays by the hours per day', () => {
+    const hours = calculateAvailableHours({ ...DEFAULT_SCHEDULE, year: 2026, hoursPerDay: 10, daysPerWeek: 4, holidayCalendar: 'usFederal' });
+
+    expect(hours).toMatchObject({ workdays: 209, totalStandardHours: 2090, holidayHours: 80 });
+  });
+
+  it('treats blank settings as 0', () => {
+    expect(calculateAvailableHours({ ...DEFAULT_SCHEDULE, hoursPerDay: '', daysPerWeek: '' }).totalStandardHours).toBe(0);
+  });
+});
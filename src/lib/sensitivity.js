@@ -0,0 +1,140 @@
+import { RESERVE_ITEM, TARGET_RATE_ITEM } from './lineItems.js';
+import { PAYROLL_TAXES } from './payrollTaxes.js';
+import { calculateTeam } from './team.js';
+
+/**
+ * Sensitivity analysis: nudges one assumption at a time down and up by a
+ * percentage and recalculates the team, to show which assumptions actually
+ * move the recommended rate and the reserve.
+ *
+ * Per-employee drivers are scaled for everyone on the roster at once; other
+ * drivers scale the scenario's inputs as a whole.
+ */
+
+const scaleField = (field) => (values, factor) => ({ ...values, [field]: (Number(values[field]) || 0) * factor });
+
+/**
+ * Scales the flat employer tax percentage and every itemized payroll tax rate,
+ * so the driver works whichever tax model is in use.
+ */
+const scaleEmployerTaxes = (inputs, factor) => ({
+  ...inputs,
+  employees: inputs.employees.map((employee) => scaleField('employerTaxes')(employee, factor)),
+  payrollTaxes: PAYROLL_TAXES.reduce((taxes, tax) => scaleField(tax.rate)(taxes, factor), inputs.payrollTaxes),
+});
+
+/**
+ * Scales every plan in the health plan catalog and every manual entry.
+ */
+const scaleHealthInsurance = (inputs, factor) => ({
+  ...inputs,
+  employees: inputs.employees.map((employee) => scaleField('healthInsuranceManual')(employee, factor)),
+  healthPlans: inputs.healthPlans.map((plan) => scaleField('hsaContribution')(scaleField('monthlyPremium')(plan, factor), factor)),
+});
+
+/**
+ * Scales the flat 401k percentage and the plan's match and non-elective
+ * rates, so the driver works whichever 401k model is in use.
+ */
+const scaleK401 = (inputs, factor) => ({
+  ...inputs,
+  employees: inputs.employees.map((employee) => scaleField('k401Contribution')(employee, factor)),
+  k401Plan: {
+    ...scaleField('nonElective')(inputs.k401Plan, factor),
+    matchTiers: inputs.k401Plan.matchTiers.map((tier) => scaleField('match')(tier, factor)),
+  },
+});
+
+/**
+ * Scales the overhead % and every overhead ledger item, so the driver works
+ * whichever overhead model is in use.
+ */
+const scaleOverhead = (inputs, factor) => ({
+  ...scaleField('companyOverhead')(inputs, factor),
+  overheadLedger: {
+    ...inputs.overheadLedger,
+    items: inputs.overheadLedger.items.map((item) => scaleField('amount')(item, factor)),
+  },
+});
+
+/**
+ * Scales the target of whichever pricing method is in use.
+ */
+const scaleReserve = (inputs, factor) => {
+  const field = { margin: 'margin', markup: 'markup', annualProfit: 'annualProfit' }[inputs.pricingModel];
+  return field
+    ? { ...inputs, pricing: scaleField(field)(inputs.pricing, factor) }
+    : scaleField('profitMargin')(inputs, factor);
+};
+
+export const SENSITIVITY_DRIVERS = [
+  { id: 'salary', label: 'Salary', scope: 'employee', scale: scaleField('salary') },
+  { id: 'healthInsurance', label: 'Health Insurance', scope: 'scenario', scale: scaleHealthInsurance },
+  { id: 'employerTaxes', label: 'Employer Taxes %', scope: 'scenario', scale: scaleEmployerTaxes },
+  { id: 'k401Contribution', label: '401k Contribution %', scope: 'scenario', scale: scaleK401 },
+  { id: 'ptoHours', label: 'PTO Hours', scope: 'employee', scale: scaleField('ptoHours') },
+  { id: 'overheadTime', label: 'Non-Billable Overhead Time %', scope: 'employee', scale: scaleField('overheadTime') },
+  { id: 'companyOverhead', label: 'Company Overhead', scope: 'scenario', scale: scaleOverhead },
+  { id: 'profitMargin', label: 'Reserve Target', scope: 'scenario', scale: scaleReserve },
+];
+
+// Under the utilization hours model overhead time is ignored, and the target
+// utilization sets the non-billable time instead
+const UTILIZATION_DRIVER = { id: 'utilization', label: 'Target Utilization %', scope: 'employee', scale: scaleField('utilization') };
+
+/**
+ * The drivers that apply to a scenario's hours model.
+ */
+export function sensitivityDrivers(inputs) {
+  return inputs.hoursModel === 'utilization'
+    ? SENSITIVITY_DRIVERS.map((driver) => (driver.id === 'overheadTime' ? UTILIZATION_DRIVER : driver))
+    : SENSITIVITY_DRIVERS;
+}
+
+/**
+ * The outputs a sensitivity analysis can be ranked by.
+ */
+export const SENSITIVITY_METRICS = [TARGET_RATE_ITEM, RESERVE_ITEM];
+
+/**
+ * Returns a copy of the inputs with one driver scaled by `factor`.
+ */
+export function scaleDriver(inputs, driver, factor) {
+  if (driver.scope === 'employee') {
+    return { ...inputs, employees: inputs.employees.map((employee) => driver.scale(employee, factor)) };
+  }
+  return driver.scale(inputs, factor);
+}
+
+const calculateInputs = (inputs) => calculateTeam(inputs.employees, inputs);
+
+/**
+ * Recalculates the team with every driver at -percent and +percent.
+ */
+export function analyzeSensitivity(inputs, percent = 10) {
+  const change = (Number(percent) || 0) / 100;
+
+  return {
+    percent: Number(percent) || 0,
+    base: calculateInputs(inputs),
+    drivers: sensitivityDrivers(inputs).map((driver) => ({
+      driver,
+      low: calculateInputs(scaleDriver(inputs, driver, 1 - change)),
+      high: calculateInputs(scaleDriver(inputs, driver, 1 + change)),
+    })),
+  };
+}
+
+/**
+ * Ranks the drivers of an analysis by how far they swing `metric` (a line
+ * item), largest first.
+ */
+export function rankDrivers(analysis, metric) {
+  return analysis.drivers
+    .map(({ driver, low, high }) => {
+      const lowValue = metric.value(low);
+      const highValue = metric.value(high);
+      return { driver, low: lowValue, high: highValue, swing: Math.abs(highValue - lowValue) };
+    })
+    .sort((a, b) => b.swing - a.swing);
+}
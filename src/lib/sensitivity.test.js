@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee } from './team.js';
+import { RESERVE_ITEM, TARGET_RATE_ITEM } from './lineItems.js';
+import { SENSITIVITY_DRIVERS, analyzeSensitivity, rankDrivers, scaleDriver, sensitivityDrivers } from './sensitivity.js';
+
+const driver = (id) => SENSITIVITY_DRIVERS.find((d) => d.id === id);
+
+describe('scaleDriver', () => {
+  it('scales a per-employee field for everyone on the roster', () => {
+    const inputs = createDefaultInputs();
+    inputs.employees.push(createEmployee({ salary: 50000 }));
+    const scaled = scaleDriver(inputs, driver('salary'), 1.5);
+
+    expect(scaled.employees.map((e) => e.salary)).toEqual([150000, 75000]);
+    expect(inputs.employees[0].salary).toBe(100000);
+  });
+
+  it('scales the health plan catalog and manual health insurance entries', () => {
+    const scaled = scaleDriver(createDefaultInputs(), driver('healthInsurance'), 0.5);
+
+    expect(scaled.healthPlans[0]).toMatchObject({ monthlyPremium: 250, hsaContribution: 500 });
+    expect(scaled.employees[0]).toMatchObject({ healthInsurancePlan: 'single', healthInsuranceManual: 4000 });
+  });
+
+  it('scales shared fields', () => {
+    expect(scaleDriver(createDefaultInputs(), driver('profitMargin'), 2).profitMargin).toBe(30);
+  });
+
+  it('scales the reserve target of the pricing method in use', () => {
+    const inputs = { ...createDefaultInputs(), pricingModel: 'margin' };
+    const scaled = scaleDriver(inputs, driver('profitMargin'), 1.5);
+
+    expect(scaled.pricing.margin).toBe(30);
+    expect(scaled.profitMargin).toBe(15);
+  });
+
+  it('scales employer taxes under either tax model', () => {
+    const scaled = scaleDriver(createDefaultInputs(), driver('employerTaxes'), 2);
+
+    expect(scaled.employees[0].employerTaxes).toBe(17);
+    expect(scaled.payrollTaxes).toMatchObject({ socialSecurityRate: 12.4, medicareRate: 2.9, socialSecurityWageBase: 184500 });
+  });
+
+  it('scales company overhead under either overhead model', () => {
+    const scaled = scaleDriver(createDefaultInputs(), driver('companyOverhead'), 2);
+
+    expect(scaled.companyOverhead).toBe(20);
+    expect(scaled.overheadLedger.items.map((item) => item.amount)).toEqual([12000, 3600, 2000, 1200, 1200]);
+  });
+
+  it('scales 401k contributions under either 401k model', () => {
+    const inputs = createDefaultInputs();
+    inputs.k401Plan = { ...inputs.k401Plan, nonElective: 3 };
+    const scaled = scaleDriver(inputs, driver('k401Contribution'), 2);
+
+    expect(scaled.employees[0].k401Contribution).toBe(20);
+    expect(scaled.k401Plan.matchTiers).toEqual([{ match: 200, of: 3 }, { match: 100, of: 2 }]);
+    expect(scaled.k401Plan.nonElective).toBe(6);
+    expect(inputs.k401Plan.matchTiers[0].match).toBe(100);
+  });
+});
+
+describe('sensitivityDrivers', () => {
+  it('varies the target utilization instead of overhead time under the utilization hours model', () => {
+    const inputs = { ...createDefaultInputs(), hoursModel: 'utilization' };
+    const utilization = sensitivityDrivers(inputs).find((d) => d.id === 'utilization');
+    const ranked = rankDrivers(analyzeSensitivity(inputs, 10), TARGET_RATE_ITEM);
+
+    expect(sensitivityDrivers(inputs).map((d) => d.id)).not.toContain('overheadTime');
+    expect(utilization.label).toBe('Target Utilization %');
+    expect(scaleDriver(inputs, utilization, 0.5).employees[0].utilization).toBe(42.5);
+    expect(ranked.find((row) => row.driver.id === 'utilization').swing).toBeGreaterThan(0);
+    expect(sensitivityDrivers(createDefaultInputs())).toBe(SENSITIVITY_DRIVERS);
+  });
+});
+
+describe('analyzeSensitivity', () => {
+  const inputs = createDefaultInputs();
+  const analysis = analyzeSensitivity(inputs, 10);
+
+  it('uses the same calculation as the calculator for the base case', () => {
+    expect(analysis.base.rates).toEqual(calculateTeam(inputs.employees, inputs).rates);
+  });
+
+  it('moves the rate in the expected direction', () => {
+    const salary = analysis.drivers.find((d) => d.driver.id === 'salary');
+
+    expect(salary.low.rates.target).toBeLessThan(analysis.base.rates.target);
+    expect(salary.high.rates.target).toBeGreaterThan(analysis.base.rates.target);
+    // 10% of $100k salary plus the 401k, taxes and overhead on it, per billable hour
+    expect(salary.high.rates.target - analysis.base.rates.target).toBeCloseTo((10000 * 1.285) / 1592);
+  });
+
+  it('treats a blank percentage as no change', () => {
+    const flat = analyzeSensitivity(inputs, '');
+
+    expect(rankDrivers(flat, TARGET_RATE_ITEM).every((row) => row.swing === 0)).toBe(true);
+  });
+});
+
+describe('rankDrivers', () => {
+  const analysis = analyzeSensitivity(createDefaultInputs(), 10);
+
+  it('ranks drivers of the rate by swing, largest first', () => {
+    const ranked = rankDrivers(analysis, TARGET_RATE_ITEM);
+    const swings = ranked.map((row) => row.swing);
+
+    expect(ranked[0].driver.id).toBe('salary');
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+  });
+
+  it('ranks drivers of the reserve, which only hours and the reserve itself move', () => {
+    const ranked = rankDrivers(analysis, RESERVE_ITEM);
+    const moving = ranked.filter((row) => row.swing > 1e-6).map((row) => row.driver.id);
+
+    expect(moving.sort()).toEqual(['overheadTime', 'profitMargin', 'ptoHours']);
+    expect(ranked[0].driver.id).toBe('profitMargin');
+  });
+});
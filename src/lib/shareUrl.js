@@ -0,0 +1,96 @@
+import { SCHEMA_VERSION, migrateInputs, sanitizeInputs } from './scenarios.js';
+
+/**
+ * Encodes a scenario into readable URL parameters, e.g.
+ * `v=1&name=Base&profitMargin=15&e0.name=Ada&e0.salary=100000`.
+ * Shared inputs use their own names; employee fields are prefixed with `e<index>.`.
+ * Nested values (objects and arrays) are stored as JSON.
+ */
+
+const EMPLOYEE_PARAM = /^e(\d+)\.(.+)$/;
+
+const encodeValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+const decodeValue = (raw) => {
+  if (/^[[{]/.test(raw)) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+};
+
+export function encodeShareParams({ name, inputs }) {
+  const params = new URLSearchParams();
+  params.set('v', String(SCHEMA_VERSION));
+  if (name) params.set('name', name);
+
+  const { employees, ...shared } = inputs;
+  Object.entries(shared).forEach(([key, value]) => params.set(key, encodeValue(value)));
+  employees.forEach((employee, index) => {
+    Object.entries(employee).forEach(([key, value]) => {
+      if (key !== 'id') params.set(`e${index}.${key}`, encodeValue(value));
+    });
+  });
+
+  return params.toString();
+}
+
+/**
+ * Reads a scenario back from URL parameters (with or without a leading # or ?).
+ * Returns null when there are no parameters. Missing or invalid values fall
+ * back to their defaults so a damaged link never produces NaN outputs.
+ */
+export function decodeShareParams(search) {
+  const params = new URLSearchParams(search.replace(/^[#?]/, ''));
+  if ([...params.keys()].length === 0) return null;
+
+  const version = Number(params.get('v'));
+  const shared = {};
+  const employees = [];
+
+  params.forEach((raw, key) => {
+    if (key === 'v' || key === 'name') return;
+    const match = key.match(EMPLOYEE_PARAM);
+    if (match) {
+      const index = Number(match[1]);
+      employees[index] = { ...employees[index], [match[2]]: decodeValue(raw) };
+    } else {
+      shared[key] = decodeValue(raw);
+    }
+  });
+
+  const raw = { ...shared, employees: employees.filter(Boolean) };
+  let inputs;
+  try {
+    inputs = migrateInputs(raw, Number.isInteger(version) && version > 0 ? version : SCHEMA_VERSION);
+  } catch {
+    inputs = raw;
+  }
+
+  return {
+    name: params.get('name') || 'Shared Scenario',
+    inputs: sanitizeInputs(inputs),
+  };
+}
+
+/**
+ * Builds a link to the current page that opens the given scenario.
+ */
+export function buildShareUrl(scenario, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}#${encodeShareParams(scenario)}`;
+}
+
+/**
+ * Returns the scenario encoded in the page URL, or null when there is none or
+ * it is the same as the active scenario (e.g. after a reload).
+ */
+export function readSharedScenario(activeScenario, hash = window.location.hash) {
+  const shared = decodeShareParams(hash);
+  if (!shared) return null;
+
+  const active = { name: activeScenario.name, inputs: sanitizeInputs(activeScenario.inputs) };
+  return encodeShareParams(shared) === encodeShareParams(active) ? null : shared;
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { calculateTeam, DEFAULT_EMPLOYEE, DEFAULT_SHARED } from './team.js';
+import { createDefaultInputs, createScenario } from './scenarios.js';
+import { buildShareUrl, decodeShareParams, encodeShareParams, readSharedScenario } from './shareUrl.js';
+
+const withoutIds = (inputs) => ({
+  ...inputs,
+  employees: inputs.employees.map(({ id, ...employee }) => employee),
+});
+
+describe('encodeShareParams / decodeShareParams', () => {
+  it('round-trips a roster, including the manual health insurance entry', () => {
+    const inputs = createDefaultInputs();
+    inputs.profitMargin = 22;
+    inputs.employees[0] = { ...inputs.employees[0], name: 'Ada & Co', healthInsurancePlan: 'other', healthInsuranceManual: 9100 };
+    inputs.employees.push({ ...DEFAULT_EMPLOYEE, id: 'b', name: 'Grace', healthInsurancePlan: 'family' });
+
+    const decoded = decodeShareParams(`#${encodeShareParams({ name: 'Pitch', inputs })}`);
+
+    expect(decoded.name).toBe('Pitch');
+    expect(withoutIds(decoded.inputs)).toEqual(withoutIds(inputs));
+  });
+
+  it('uses readable parameter names', () => {
+    const params = new URLSearchParams(encodeShareParams({ name: 'A', inputs: createDefaultInputs() }));
+
+    expect(params.get('profitMargin')).toBe('15');
+    expect(params.get('e0.salary')).toBe('100000');
+    expect(params.has('e0.id')).toBe(false);
+  });
+
+  it('returns null when there are no parameters', () => {
+    expect(decodeShareParams('')).toBeNull();
+    expect(decodeShareParams('#')).toBeNull();
+  });
+
+  it('falls back to defaults for missing and invalid parameters', () => {
+    const decoded = decodeShareParams('?e0.salary=abc&e0.ptoHours=&e0.healthInsurancePlan=bogus&profitMargin=NaN&companyOverhead=12');
+    const [employee] = decoded.inputs.employees;
+
+    expect(decoded.name).toBe('Shared Scenario');
+    expect(employee.salary).toBe(DEFAULT_EMPLOYEE.salary);
+    expect(employee.ptoHours).toBe(DEFAULT_EMPLOYEE.ptoHours);
+    expect(employee.healthInsurancePlan).toBe(DEFAULT_EMPLOYEE.healthInsurancePlan);
+    expect(employee.vacationBonus).toBe(DEFAULT_EMPLOYEE.vacationBonus);
+    expect(decoded.inputs.profitMargin).toBe(DEFAULT_SHARED.profitMargin);
+    expect(decoded.inputs.companyOverhead).toBe(12);
+  });
+
+  it('round-trips a 401k match formula and repairs damaged tiers', () => {
+    const inputs = createDefaultInputs();
+    inputs.k401Model = 'match';
+    inputs.k401Plan = { ...inputs.k401Plan, matchTiers: [{ match: 100, of: 4 }] };
+    const params = new URLSearchParams(encodeShareParams({ name: 'A', inputs }));
+
+    expect(decodeShareParams(`#${params}`).inputs.k401Plan).toEqual(inputs.k401Plan);
+
+    params.set('k401Plan', JSON.stringify({ matchTiers: [null, { match: 'x', of: 2 }] }));
+    expect(decodeShareParams(`#${params}`).inputs.k401Plan.matchTiers).toEqual([{ match: 0, of: 2 }]);
+  });
+
+  it('never produces NaN outputs from a damaged link', () => {
+    const { inputs } = decodeShareParams('e0.salary=1e999&e0.overheadTime=x&e3.salary=5&junk=1');
+    const team = calculateTeam(inputs.employees, inputs);
+
+    expect(inputs.employees).toHaveLength(2);
+    expect(inputs).not.toHaveProperty('junk');
+    expect(Number.isNaN(team.rates.target)).toBe(false);
+    expect(Number.isFinite(team.summary.profit)).toBe(true);
+  });
+});
+
+describe('buildShareUrl', () => {
+  it('puts the scenario in the hash of the current page', () => {
+    const location = { origin: 'https://example.com', pathname: '/rate-calc/', search: '' };
+    const url = buildShareUrl({ name: 'A', inputs: createDefaultInputs() }, location);
+
+    expect(url).toMatch(/^https:\/\/example\.com\/rate-calc\/#v=\d+&name=A&/);
+  });
+});
+
+describe('readSharedScenario', () => {
+  it('returns a linked scenario that differs from the active one', () => {
+    const active = createScenario('Mine');
+    const hash = encodeShareParams({ name: 'Theirs', inputs: createDefaultInputs() });
+
+    expect(readSharedScenario(active, `#${hash}`).name).toBe('Theirs');
+  });
+
+  it('ignores a link to the active scenario, such as after a reload', () => {
+    const active = createScenario('Mine');
+    const hash = encodeShareParams(active);
+
+    expect(readSharedScenario(active, `#${hash}`)).toBeNull();
+    expect(readSharedScenario(active, '')).toBeNull();
+  });
+});
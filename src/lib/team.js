@@ -0,0 +1,152 @@
+import { calculate, calculateBillableHours, calculateRates, calculateSummary, combineCostData } from './calculator.js';
+import { DEFAULT_BENEFITS } from './benefits.js';
+import { DEFAULT_CASH_FLOW } from './cashFlow.js';
+import { DEFAULT_CONTRACTOR } from './contractor.js';
+import { DEFAULT_LOCALIZATION } from './format.js';
+import { DEFAULT_HEALTH_PLANS, resolveHealthInsurance } from './healthInsurance.js';
+import { createId } from './ids.js';
+import { DEFAULT_K401_PLAN } from './k401Plan.js';
+import { DEFAULT_MULTI_YEAR } from './multiYear.js';
+import { toNumber } from './numbers.js';
+import { DEFAULT_OVERHEAD_LEDGER, overheadShares } from './overhead.js';
+import { DEFAULT_PAYROLL_TAXES } from './payrollTaxes.js';
+import { DEFAULT_PRICING } from './pricing.js';
+import { DEFAULT_PROJECT } from './project.js';
+import { DEFAULT_RATE_CARD } from './rateCard.js';
+import { DEFAULT_SCHEDULE, calculateAvailableHours } from './schedule.js';
+
+/**
+ * Team (roster) calculations.
+ * Each employee carries their own compensation, benefits and non-billable time;
+ * company overhead (and how an overhead ledger is allocated), the pricing
+ * method, payroll tax settings, the 401k plan, additional benefits, the health
+ * plan catalog and the work schedule are shared across the roster.
+ */
+
+export const DEFAULT_EMPLOYEE = {
+  name: 'Employee 1',
+  salary: 100000,
+  vacationBonus: 2000,
+  k401Contribution: 10,
+  k401Deferral: 6,
+  healthInsurancePlan: DEFAULT_HEALTH_PLANS[0].id,
+  healthInsuranceManual: 8000,
+  employerTaxes: 8.5,
+  ptoHours: 240,
+  trainingHours: 40,
+  holidayHours: 0,
+  overheadTime: 10,
+  utilization: 85, // % of working hours after time off, in the 'utilization' hours model
+  rampMonths: 0, // Months to reach full utilization, for the cash-flow projection
+};
+
+export const DEFAULT_SHARED = {
+  companyOverhead: 10,
+  overheadModel: 'percent',
+  overheadLedger: DEFAULT_OVERHEAD_LEDGER,
+  profitMargin: 15, // Reserve fund contribution per billable hour
+  hoursModel: 'deductions', // See calculateBillableHours
+  pricingModel: 'perHour',
+  pricing: DEFAULT_PRICING,
+  taxModel: 'simple',
+  payrollTaxes: DEFAULT_PAYROLL_TAXES,
+  k401Model: 'flat',
+  k401Plan: DEFAULT_K401_PLAN,
+  healthPlans: DEFAULT_HEALTH_PLANS,
+  benefits: DEFAULT_BENEFITS,
+  schedule: DEFAULT_SCHEDULE,
+  cashFlow: DEFAULT_CASH_FLOW,
+  localization: DEFAULT_LOCALIZATION,
+  project: DEFAULT_PROJECT,
+  contractor: DEFAULT_CONTRACTOR,
+  multiYear: DEFAULT_MULTI_YEAR,
+  rateCard: DEFAULT_RATE_CARD,
+};
+
+export function createEmployee(overrides = {}) {
+  return { ...DEFAULT_EMPLOYEE, ...overrides, id: createId() };
+}
+
+export function duplicateEmployee(employee) {
+  return { ...employee, id: createId(), name: `${employee.name} (copy)` };
+}
+
+/**
+ * Flattens an employee and the shared settings into calculator inputs.
+ * A holiday calendar in the schedule replaces the employee's own Holiday Hours.
+ * `overheadShare` is the employee's share of an itemized overhead ledger.
+ */
+export function toCalculatorInputs(employee, shared, overheadShare = 1) {
+  const health = resolveHealthInsurance(employee.healthInsurancePlan, employee.healthInsuranceManual, shared.healthPlans);
+
+  return {
+    salary: employee.salary,
+    vacationBonus: employee.vacationBonus,
+    k401Contribution: employee.k401Contribution,
+    k401Deferral: employee.k401Deferral,
+    k401Model: shared.k401Model,
+    k401Plan: shared.k401Plan,
+    healthInsurance: health.premiums,
+    hsaContribution: health.hsaContribution,
+    benefits: shared.benefits,
+    employerTaxes: employee.employerTaxes,
+    ptoHours: employee.ptoHours,
+    trainingHours: employee.trainingHours,
+    holidayHours: calculateAvailableHours(shared.schedule).holidayHours ?? employee.holidayHours,
+    overheadTime: employee.overheadTime,
+    utilization: employee.utilization,
+    hoursModel: shared.hoursModel,
+    companyOverhead: shared.companyOverhead,
+    overheadModel: shared.overheadModel,
+    overheadLedger: shared.overheadLedger,
+    overheadShare,
+    profitMargin: shared.profitMargin,
+    pricingModel: shared.pricingModel,
+    pricing: shared.pricing,
+    taxModel: shared.taxModel,
+    payrollTaxes: shared.payrollTaxes,
+  };
+}
+
+/**
+ * Calculates every employee on the roster and rolls them up into team totals.
+ * The blended rates are weighted by billable hours, so the team rate covers the
+ * costs of everyone on the roster, including people with no billable hours.
+ * Available hours come from the shared work schedule unless given explicitly.
+ */
+export function calculateTeam(employees, shared, { totalStandardHours = calculateAvailableHours(shared.schedule).totalStandardHours } = {}) {
+  // An overhead ledger is a company cost, split across the roster
+  const shares = overheadShares(shared.overheadLedger?.allocation, employees.map((employee) => {
+    const inputs = toCalculatorInputs(employee, shared);
+    return { salary: toNumber(inputs.salary), hours: calculateBillableHours(inputs, totalStandardHours) };
+  }));
+  let members = employees.map((employee, index) => ({
+    id: employee.id,
+    name: employee.name,
+    ...calculate(toCalculatorInputs(employee, shared, shares[index]), { totalStandardHours }),
+  }));
+
+  const totalCostData = combineCostData(members.map((member) => member.totalCostData));
+  const totalBillableHours = members.reduce((sum, member) => sum + member.totalBillableHours, 0);
+  const rates = calculateRates(totalCostData.total, totalBillableHours, shared.profitMargin, shared);
+  const summary = calculateSummary(rates, totalBillableHours, totalCostData.total);
+
+  // An annual reserve target is for the whole roster, so everyone's rate
+  // carries the team's reserve per hour rather than the full target each
+  if (shared.pricingModel === 'annualProfit') {
+    const teamReserve = rates.target - rates.breakEven;
+    members = members.map((member) => {
+      const memberRates = calculateRates(member.totalCostData.total, member.totalBillableHours, teamReserve);
+      return { ...member, rates: memberRates, summary: calculateSummary(memberRates, member.totalBillableHours, member.totalCostData.total) };
+    });
+  }
+
+  return {
+    members,
+    totalStandardHours,
+    totalCostData,
+    totalBillableHours,
+    rates,
+    summary,
+  };
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_INPUTS, calculate } from './calculator.js';
+import {
+  DEFAULT_SHARED,
+  calculateTeam,
+  createEmployee,
+  duplicateEmployee,
+  toCalculatorInputs,
+} from './team.js';
+
+describe('createEmployee / duplicateEmployee', () => {
+  it('creates employees with unique ids', () => {
+    const a = createEmployee();
+    const b = createEmployee({ salary: 50000 });
+
+    expect(a.id).not.toBe(b.id);
+    expect(b.salary).toBe(50000);
+  });
+
+  it('duplicates an employee under a new id and name', () => {
+    const original = createEmployee({ name: 'Ada' });
+    const copy = duplicateEmployee(original);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.name).toBe('Ada (copy)');
+    expect(copy.salary).toBe(original.salary);
+  });
+});
+
+describe('toCalculatorInputs', () => {
+  it('matches the single-person defaults for a default employee', () => {
+    const inputs = toCalculatorInputs(createEmployee(), DEFAULT_SHARED);
+
+    expect(inputs).toEqual(DEFAULT_INPUTS);
+  });
+
+  it('resolves the manual health insurance entry', () => {
+    const employee = createEmployee({ healthInsurancePlan: 'other', healthInsuranceManual: 9100 });
+
+    expect(toCalculatorInputs(employee, DEFAULT_SHARED).healthInsurance).toBe(9100);
+  });
+});
+
+describe('calculateTeam', () => {
+  it('matches the single-person calculation for a roster of one', () => {
+    const team = calculateTeam([createEmployee()], DEFAULT_SHARED);
+    const single = calculate(DEFAULT_INPUTS);
+
+    expect(team.members).toHaveLength(1);
+    expect(team.totalCostData).toEqual(single.totalCostData);
+    expect(team.totalBillableHours).toBe(single.totalBillableHours);
+    expect(team.rates).toEqual(single.rates);
+    expect(team.summary).toEqual(single.summary);
+  });
+
+  it('rolls up costs and hours and weights the blended rate by billable hours', () => {
+    const shared = { companyOverhead: 0, profitMargin: 10 };
+    const base = { vacationBonus: 0, k401Contribution: 0, healthInsurancePlan: 0, employerTaxes: 0, trainingHours: 0, holidayHours: 0, overheadTime: 0 };
+    const junior = createEmployee({ ...base, salary: 52000, ptoHours: 80 }); // 2000 hrs, $26/hr
+    const senior = createEmployee({ ...base, salary: 100000, ptoHours: 1080 }); // 1000 hrs, $100/hr
+    const team = calculateTeam([junior, senior], shared);
+
+    expect(team.members.map((m) => m.rates.target)).toEqual([36, 110]);
+    expect(team.totalCostData.salary).toBe(152000);
+    expect(team.totalBillableHours).toBe(3000);
+    // (36 * 2000 + 110 * 1000) / 3000
+    expect(team.rates.target).toBeCloseTo(182000 / 3000);
+    expect(team.summary.profit).toBeCloseTo(10 * 3000);
+  });
+
+  it('takes available and holiday hours from the work schedule', () => {
+    const schedule = { ...DEFAULT_SHARED.schedule, year: 2026, hoursPerDay: 10, daysPerWeek: 4, holidayCalendar: 'usFederal' };
+    const team = calculateTeam([createEmployee({ holidayHours: 500 })], { ...DEFAULT_SHARED, schedule });
+
+    expect(team.totalStandardHours).toBe(2090);
+    // 2090 - 240 PTO - 40 training - 80 holidays - 10% overhead
+    expect(team.totalBillableHours).toBeCloseTo(2090 - 240 - 40 - 80 - 209);
+  });
+
+  it('still covers the costs of employees with no billable hours', () => {
+    const billable = createEmployee();
+    const idle = createEmployee({ ptoHours: 2080 });
+    const team = calculateTeam([billable, idle], DEFAULT_SHARED);
+
+    expect(team.members[1].rates).toEqual({ breakEven: 0, target: 0 });
+    expect(team.totalBillableHours).toBe(team.members[0].totalBillableHours);
+    expect(team.rates.breakEven).toBeCloseTo(team.totalCostData.total / team.totalBillableHours);
+  });
+
+  it('allocates an itemized overhead ledger across the roster', () => {
+    const overheadLedger = { allocation: 'perHour', items: [{ id: 'rent', name: 'Rent', amount: 9000 }] };
+    const shared = { ...DEFAULT_SHARED, overheadModel: 'itemized', overheadLedger };
+    const full = createEmployee({ overheadTime: 0, ptoHours: 80, trainingHours: 0 }); // 2000 hrs
+    const part = createEmployee({ overheadTime: 0, ptoHours: 1080, trainingHours: 0 }); // 1000 hrs
+    const team = calculateTeam([full, part], shared);
+
+    expect(team.members.map((member) => member.totalCostData.overheadCost)).toEqual([6000, 3000]);
+    expect(team.totalCostData.details.overheadCost).toEqual([{ id: 'rent', label: 'Rent', amount: 9000 }]);
+
+    const perHead = calculateTeam([full, part], { ...shared, overheadLedger: { ...overheadLedger, allocation: 'perHead' } });
+    expect(perHead.members.map((member) => member.totalCostData.overheadCost)).toEqual([4500, 4500]);
+  });
+
+  it('returns zero rates for a roster with no billable hours', () => {
+    const team = calculateTeam([createEmployee({ ptoHours: 3000 })], DEFAULT_SHARED);
+
+    expect(team.rates).toEqual({ breakEven: 0, target: 0 });
+  });
+});
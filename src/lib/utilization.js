@@ -0,0 +1,31 @@
+import { calculateTeam } from './team.js';
+
+/**
+ * Utilization: billable hours as a % of the hours an employee works after
+ * PTO, training and holidays (see calculateBillableHours), and a what-if
+ * curve of the rate and reserve across utilization levels.
+ */
+
+export const HOURS_MODELS = [
+  { value: 'deductions', label: 'Deductions (non-billable overhead %)' },
+  { value: 'utilization', label: 'Target utilization %' },
+];
+
+export const UTILIZATION_RANGE = { min: 50, max: 100, step: 5 };
+
+/**
+ * The recommended rate and annual reserve with one employee at each
+ * utilization level from `min` to `max`, everyone else unchanged:
+ * [{ utilization, rate, reserve }].
+ */
+export function utilizationCurve(inputs, employeeId, { min, max, step } = UTILIZATION_RANGE) {
+  const points = [];
+  for (let utilization = min; utilization <= max; utilization += step) {
+    const employees = inputs.employees.map((employee) => (
+      employee.id === employeeId ? { ...employee, utilization } : employee
+    ));
+    const team = calculateTeam(employees, { ...inputs, hoursModel: 'utilization' });
+    points.push({ utilization, rate: team.rates.target, reserve: team.summary.profit });
+  }
+  return points;
+}
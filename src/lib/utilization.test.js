@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { createDefaultInputs } from './scenarios.js';
+import { calculateTeam, createEmployee } from './team.js';
+import { utilizationCurve } from './utilization.js';
+
+describe('utilizationCurve', () => {
+  it('covers 50% to 100% utilization in 5% steps', () => {
+    const inputs = createDefaultInputs();
+    const points = utilizationCurve(inputs, inputs.employees[0].id);
+
+    expect(points.map((point) => point.utilization)).toEqual([50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100]);
+  });
+
+  it('lowers the rate and raises the reserve as utilization grows', () => {
+    const inputs = createDefaultInputs();
+    const points = utilizationCurve(inputs, inputs.employees[0].id);
+
+    points.slice(1).forEach((point, i) => {
+      expect(point.rate).toBeLessThan(points[i].rate);
+      expect(point.reserve).toBeGreaterThan(points[i].reserve);
+    });
+  });
+
+  it('matches the calculator at the current utilization', () => {
+    const inputs = { ...createDefaultInputs(), hoursModel: 'utilization' };
+    inputs.employees.push(createEmployee({ utilization: 60 }));
+    const [point] = utilizationCurve(inputs, inputs.employees[0].id, { min: 85, max: 85, step: 5 });
+    const team = calculateTeam(inputs.employees, inputs);
+
+    expect(point.rate).toBeCloseTo(team.rates.target, 6);
+    expect(point.reserve).toBeCloseTo(team.summary.profit, 6);
+  });
+});
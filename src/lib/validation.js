@@ -0,0 +1,233 @@
+import { MANUAL_PLAN } from './healthInsurance.js';
+import { toCalculatorInputs } from './team.js';
+
+/**
+ * Input validation. validateInputs checks a scenario's inputs (and its team
+ * calculation, see calculateTeam) and lists every issue as
+ * { path, severity, label, message, employeeId?, view? }:
+ *
+ * - path: the input it belongs to. Shared settings use their field path
+ *   (e.g. 'payrollTaxes.sutaRate'); list entries and employees use their id
+ *   (e.g. 'employees.<id>.ptoHours', 'healthPlans.<id>.monthlyPremium').
+ * - severity: 'error' for values the results can't be trusted with, 'warning'
+ *   for values that are allowed but unusual.
+ * - view: for employee inputs only one view uses (e.g. 'cashFlow'), that view.
+ *
+ * Only inputs the current settings use are checked, so every issue can be
+ * fixed in a visible field. Empty values count as 0, as in the calculator.
+ */
+
+const error = (message) => ({ severity: 'error', message });
+const warning = (message) => ({ severity: 'warning', message });
+
+const nonNegative = (n) => (n < 0 ? error("Can't be negative.") : null);
+const percentage = (n) => (n < 0 || n > 100 ? error('Must be between 0% and 100%.') : null);
+const warnAbove = (max, message) => (n) => (n > max ? warning(message) : null);
+
+const belowBreakEven = (n) => (n < 0 ? error("Can't be negative; the rate would be below break-even.") : null);
+
+// The field holding the active pricing method's target (see lib/pricing.js)
+const PRICING_PATHS = { perHour: 'profitMargin', margin: 'pricing.margin', markup: 'pricing.markup', annualProfit: 'pricing.annualProfit' };
+const pricingModel = (shared) => (PRICING_PATHS[shared.pricingModel] ? shared.pricingModel : 'perHour');
+
+const checkValue = (value, rules) => {
+  const number = value === '' || value === null || value === undefined ? 0 : Number(value);
+  if (!Number.isFinite(number)) return error("Isn't a number.");
+  return rules.reduce((found, rule) => found || rule(number), null);
+};
+
+const EMPLOYEE_FIELDS = {
+  salary: { label: 'Expected Annual Salary', rules: [nonNegative, warnAbove(1000000, 'Unusually high for an annual salary.')] },
+  vacationBonus: { label: 'Annual Vacation Bonus', rules: [nonNegative] },
+  k401Contribution: { label: 'Employer 401k Contribution', rules: [percentage, warnAbove(25, 'Unusually high for an employer 401k contribution.')], when: (shared) => shared.k401Model !== 'match' },
+  k401Deferral: { label: 'Employee 401k Deferral', rules: [percentage], when: (shared) => shared.k401Model === 'match' },
+  healthInsuranceManual: { label: 'Manual Health Insurance Cost', rules: [nonNegative], when: (shared, employee) => employee.healthInsurancePlan === MANUAL_PLAN },
+  employerTaxes: { label: 'Employer Taxes', rules: [percentage, warnAbove(20, 'Unusually high for employer taxes.')], when: (shared) => shared.taxModel !== 'itemized' },
+  ptoHours: { label: 'Paid Time Off (PTO) Hours', rules: [nonNegative] },
+  trainingHours: { label: 'Training Hours', rules: [nonNegative] },
+  holidayHours: { label: 'Holiday Hours', rules: [nonNegative], when: (shared) => (shared.schedule?.holidayCalendar ?? 'manual') === 'manual' },
+  overheadTime: { label: 'Non-Billable Overhead Time', rules: [percentage], when: (shared) => shared.hoursModel !== 'utilization' },
+  utilization: { label: 'Target Utilization', rules: [percentage], when: (shared) => shared.hoursModel === 'utilization' },
+  rampMonths: { label: 'Ramp-Up Months', rules: [nonNegative], view: 'cashFlow' },
+};
+
+const SHARED_FIELDS = {
+  companyOverhead: { label: 'Company Overhead', rules: [nonNegative, warnAbove(100, 'More than 100% of salary is unusually high.')], when: (shared) => shared.overheadModel !== 'itemized' },
+  profitMargin: { label: 'Partner Investment / Reserve Fund', rules: [belowBreakEven], when: (shared) => pricingModel(shared) === 'perHour' },
+  'pricing.margin': { label: 'Target Margin', rules: [belowBreakEven, (n) => (n >= 100 ? error('Must be less than 100%; no rate can reach it.') : null)], when: (shared) => pricingModel(shared) === 'margin' },
+  'pricing.markup': { label: 'Markup on Cost', rules: [belowBreakEven], when: (shared) => pricingModel(shared) === 'markup' },
+  'pricing.annualProfit': { label: 'Target Annual Reserve', rules: [belowBreakEven], when: (shared) => pricingModel(shared) === 'annualProfit' },
+  'payrollTaxes.socialSecurityRate': { label: 'Social Security Rate', rules: [percentage], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.socialSecurityWageBase': { label: 'Social Security Wage Base', rules: [nonNegative], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.medicareRate': { label: 'Medicare Rate', rules: [percentage], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.futaRate': { label: 'FUTA Rate', rules: [percentage], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.futaWageBase': { label: 'FUTA Wage Base', rules: [nonNegative], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.sutaRate': { label: 'State Unemployment (SUTA) Rate', rules: [percentage], when: (shared) => shared.taxModel === 'itemized' },
+  'payrollTaxes.sutaWageBase': { label: 'SUTA Wage Base', rules: [nonNegative], when: (shared) => shared.taxModel === 'itemized' },
+  'k401Plan.nonElective': { label: 'Non-Elective Contribution', rules: [percentage], when: (shared) => shared.k401Model === 'match' },
+  'k401Plan.compensationLimit': { label: 'Compensation Limit', rules: [nonNegative], when: (shared) => shared.k401Model === 'match' },
+  'contractor.hourlyRate': { label: 'Contractor Hourly Rate', rules: [nonNegative], when: (shared) => shared.contractor?.rateType !== 'daily' },
+  'contractor.dailyRate': { label: 'Contractor Day Rate', rules: [nonNegative], when: (shared) => shared.contractor?.rateType === 'daily' },
+  'contractor.agencyFee': { label: 'Agency Fee', rules: [nonNegative, warnAbove(100, 'More than doubles the contractor rate.')] },
+  'multiYear.salaryRaise': { label: 'Annual Salary Raise', rules: [nonNegative, warnAbove(20, 'Unusually high for an annual raise.')] },
+  'multiYear.benefitInflation': { label: 'Benefit Cost Inflation', rules: [nonNegative, warnAbove(25, 'Unusually high for annual benefit cost inflation.')] },
+  'multiYear.overheadInflation': { label: 'Overhead Inflation', rules: [nonNegative, warnAbove(25, 'Unusually high for annual overhead inflation.')] },
+  'multiYear.rateEscalation': { label: 'Rate Escalation', rules: [nonNegative, warnAbove(25, 'Unusually high for a rate escalation clause.')] },
+  'multiYear.startingRate': { label: 'Contracted Year 1 Rate', rules: [nonNegative] },
+  'schedule.hoursPerDay': { label: 'Hours per Day', rules: [(n) => (n <= 0 || n > 24 ? error('Must be more than 0 and at most 24.') : null)] },
+  'schedule.daysPerWeek': { label: 'Days per Week', rules: [(n) => (n <= 0 || n > 7 || !Number.isInteger(n) ? error('Must be a whole number from 1 to 7.') : null)] },
+};
+
+const readPath = (values, path) => path.split('.').reduce((value, key) => value?.[key], values);
+
+const fieldIssue = (path, label, value, rules, extra = {}) => {
+  const found = checkValue(value, rules);
+  return found ? [{ path, label, ...found, ...extra }] : [];
+};
+
+const sharedIssues = (inputs) => Object.entries(SHARED_FIELDS).flatMap(([path, { label, rules, when }]) => (
+  !when || when(inputs) ? fieldIssue(path, label, readPath(inputs, path), rules) : []
+));
+
+const k401TierIssues = (inputs) => {
+  if (inputs.k401Model !== 'match') return [];
+  return (inputs.k401Plan?.matchTiers || []).flatMap((tier, i) => [
+    ...fieldIssue(`k401Plan.matchTiers.${i}.match`, `Tier ${i + 1}: Match`, tier.match, [nonNegative, warnAbove(200, 'Unusually high for an employer match.')]),
+    ...fieldIssue(`k401Plan.matchTiers.${i}.of`, `Tier ${i + 1}: Of Pay Deferred`, tier.of, [percentage]),
+  ]);
+};
+
+const healthPlanIssues = (inputs) => (inputs.healthPlans || []).flatMap((plan) => [
+  ...fieldIssue(`healthPlans.${plan.id}.monthlyPremium`, `${plan.name || 'Unnamed plan'}: Employer Monthly Premium`, plan.monthlyPremium, [nonNegative]),
+  ...fieldIssue(`healthPlans.${plan.id}.hsaContribution`, `${plan.name || 'Unnamed plan'}: Employer HSA/HRA Contribution`, plan.hsaContribution, [nonNegative]),
+]);
+
+const overheadLedgerIssues = (inputs) => {
+  if (inputs.overheadModel !== 'itemized') return [];
+  return (inputs.overheadLedger?.items || []).flatMap((item) => (
+    fieldIssue(`overheadLedger.items.${item.id}.amount`, `${item.name || 'Unnamed item'}: Annual Cost`, item.amount, [nonNegative])
+  ));
+};
+
+// Rules for a benefit amount on each basis (see lib/benefits.js)
+const BENEFIT_RULES = {
+  percent: [percentage],
+  payroll: [(n) => (n < 0 || n > 100 ? error('Must be between $0 and $100 per $100 of payroll.') : null)],
+};
+
+const benefitIssues = (inputs) => (inputs.benefits || []).flatMap((benefit) => (
+  fieldIssue(`benefits.${benefit.id}.amount`, `${benefit.name || 'Unnamed benefit'}: Amount`, benefit.amount, BENEFIT_RULES[benefit.basis] || [nonNegative])
+));
+
+const cashFlowIssues = (inputs) => (inputs.cashFlow?.seasonality || []).flatMap((weight, i) => (
+  fieldIssue(`cashFlow.seasonality.${i}`, `Seasonality, month ${i + 1}`, weight, [nonNegative])
+));
+
+const projectIssues = (inputs) => {
+  const { contingency, tasks = [], expenses = [] } = inputs.project || {};
+  return [
+    ...fieldIssue('project.contingency', 'Contingency', contingency, [nonNegative, warnAbove(100, 'More than doubles the estimated hours.')]),
+    ...tasks.flatMap((task) => fieldIssue(`project.tasks.${task.id}.hours`, `${task.name || 'Unnamed task'}: Estimated Hours`, task.hours, [nonNegative])),
+    ...expenses.flatMap((expense) => fieldIssue(`project.expenses.${expense.id}.amount`, `${expense.name || 'Unnamed expense'}: Amount`, expense.amount, [nonNegative])),
+  ];
+};
+
+const rateCardIssues = (inputs) => (inputs.rateCard?.roles || []).flatMap((role) => {
+  const name = role.name || 'Unnamed role';
+  const path = `rateCard.roles.${role.id}`;
+  const issues = [
+    ...fieldIssue(`${path}.salaryMin`, `${name}: Salary Band Minimum`, role.salaryMin, [nonNegative]),
+    ...fieldIssue(`${path}.salaryMax`, `${name}: Salary Band Maximum`, role.salaryMax, [nonNegative, (n) => (n < (Number(role.salaryMin) || 0) ? error('Must be at least the band minimum.') : null)]),
+  ];
+  (role.overrides || []).forEach((override, i) => {
+    const field = EMPLOYEE_FIELDS[override.field];
+    if (field) issues.push(...fieldIssue(`${path}.overrides.${i}.value`, `${name}: ${field.label}`, override.value, field.rules));
+  });
+  return issues;
+});
+
+const localizationIssues = (inputs) => {
+  const { clientCurrency, currency, exchangeRate } = inputs.localization || {};
+  if (!clientCurrency || clientCurrency === currency) return [];
+  return fieldIssue('localization.exchangeRate', 'Exchange Rate', exchangeRate, [(n) => (n <= 0 ? error('Must be more than 0.') : null)]);
+};
+
+const employeeIssues = (inputs, team) => inputs.employees.flatMap((employee) => {
+  const extra = { employeeId: employee.id };
+  const path = `employees.${employee.id}`;
+  const issues = Object.entries(EMPLOYEE_FIELDS).flatMap(([field, { label, rules, when, view }]) => (
+    !when || when(inputs, employee) ? fieldIssue(`${path}.${field}`, label, employee[field], rules, view ? { ...extra, view } : extra) : []
+  ));
+
+  const member = team?.members.find((m) => m.id === employee.id);
+  if (!member) return issues;
+  const available = team.totalStandardHours;
+  const { ptoHours, trainingHours, holidayHours, overheadTime, utilization } = toCalculatorInputs(employee, inputs);
+  const hours = Math.round(available);
+
+  if ((Number(ptoHours) || 0) > available && !issues.some((issue) => issue.path === `${path}.ptoHours`)) {
+    issues.push({ path: `${path}.ptoHours`, label: EMPLOYEE_FIELDS.ptoHours.label, ...error(`More than the ${hours} hours available in the year.`), ...extra });
+  }
+  const timeOff = (Number(ptoHours) || 0) + (Number(trainingHours) || 0) + (Number(holidayHours) || 0);
+  const nonBillable = inputs.hoursModel === 'utilization'
+    ? timeOff + Math.max(0, available - timeOff) * (1 - (Number(utilization) || 0) / 100)
+    : timeOff + available * ((Number(overheadTime) || 0) / 100);
+  if (member.totalBillableHours <= 0) {
+    issues.push({ path: `${path}.billableHours`, label: 'Billable Hours', ...error(`Non-billable time (${Math.round(nonBillable)} hrs) uses all ${hours} available hours.`), ...extra });
+  } else if (member.totalBillableHours < available / 2) {
+    issues.push({ path: `${path}.billableHours`, label: 'Billable Hours', ...warning(`Fewer than half of the ${hours} available hours are billable.`), ...extra });
+  }
+  return issues;
+});
+
+const rateIssues = (inputs, team) => {
+  if (!team) return [];
+  if (team.totalBillableHours <= 0) {
+    return [{ path: 'rates', label: 'Recommended Hourly Rate', ...error('There are no billable hours to spread the costs over.') }];
+  }
+  const { breakEven, target } = team.rates;
+  const path = PRICING_PATHS[pricingModel(inputs)];
+  return breakEven > 0 && target - breakEven > breakEven
+    ? [{ path, label: SHARED_FIELDS[path].label, ...warning('The reserve is more than the break-even rate, so the rate is over twice the cost per hour.') }]
+    : [];
+};
+
+/**
+ * Lists the issues with a scenario's inputs, errors first.
+ * Pass the team calculation to also check hours and rates.
+ */
+export function validateInputs(inputs, team = null) {
+  const issues = [
+    ...employeeIssues(inputs, team),
+    ...sharedIssues(inputs),
+    ...k401TierIssues(inputs),
+    ...overheadLedgerIssues(inputs),
+    ...healthPlanIssues(inputs),
+    ...benefitIssues(inputs),
+    ...cashFlowIssues(inputs),
+    ...localizationIssues(inputs),
+    ...projectIssues(inputs),
+    ...rateCardIssues(inputs),
+    ...rateIssues(inputs, team),
+  ];
+  return [...issues.filter((issue) => issue.severity === 'error'), ...issues.filter((issue) => issue.severity === 'warning')];
+}
+
+/**
+ * The issues for one input (see validateInputs for paths).
+ */
+export const issuesAt = (issues, path) => issues.filter((issue) => issue.path === path);
+
+export const hasErrors = (issues) => issues.some((issue) => issue.severity === 'error');
+
+// Settings used by a single view, which don't change the calculator's results
+const VIEW_SETTINGS = ['project', 'contractor', 'cashFlow', 'multiYear', 'rateCard'];
+
+/**
+ * The issues that affect the calculator's results, plus those with the
+ * settings of `view` (e.g. 'project') when given.
+ */
+export const resultIssues = (issues, view = '') => issues.filter((issue) => {
+  const key = issue.view || issue.path.split('.')[0];
+  return !VIEW_SETTINGS.includes(key) || key === view;
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SHARED, calculateTeam, createEmployee } from './team.js';
+import { hasErrors, issuesAt, resultIssues, validateInputs } from './validation.js';
+
+const scenario = (employee = {}, shared = {}) => {
+  const inputs = { ...DEFAULT_SHARED, ...shared, employees: [createEmployee(employee)] };
+  return { inputs, team: calculateTeam(inputs.employees, inputs), id: inputs.employees[0].id };
+};
+
+const validate = ({ inputs, team }) => validateInputs(inputs, team);
+
+describe('validateInputs', () => {
+  it('finds no issues in the defaults', () => {
+    const issues = validate(scenario());
+    expect(issues).toEqual([]);
+    expect(hasErrors(issues)).toBe(false);
+  });
+
+  it('reports negative amounts and out-of-range percentages on the employee', () => {
+    const s = scenario({ salary: -5, overheadTime: 120 });
+    const issues = validate(s);
+    expect(issuesAt(issues, `employees.${s.id}.salary`)).toEqual([
+      expect.objectContaining({ severity: 'error', label: 'Expected Annual Salary', employeeId: s.id }),
+    ]);
+    expect(issuesAt(issues, `employees.${s.id}.overheadTime`)[0]).toMatchObject({ severity: 'error', message: 'Must be between 0% and 100%.' });
+    expect(hasErrors(issues)).toBe(true);
+  });
+
+  it('reports values that are not numbers', () => {
+    const s = scenario({ trainingHours: 'lots' });
+    expect(issuesAt(validate(s), `employees.${s.id}.trainingHours`)[0]).toMatchObject({ severity: 'error', message: "Isn't a number." });
+  });
+
+  it('warns about unusual but allowed values, after the errors', () => {
+    const s = scenario({ trainingHours: -1 }, { companyOverhead: 150 });
+    const issues = validate(s);
+    expect(issues.map((issue) => issue.severity)).toEqual(['error', 'warning']);
+    expect(issues[1]).toMatchObject({ path: 'companyOverhead', severity: 'warning' });
+  });
+
+  it('checks the overhead ledger instead of the % when overhead is itemized', () => {
+    const overheadLedger = { allocation: 'perHead', items: [{ id: 'rent', name: 'Rent', amount: -100 }] };
+    const issues = validate(scenario({}, { companyOverhead: -5, overheadModel: 'itemized', overheadLedger }));
+    expect(issuesAt(issues, 'companyOverhead')).toEqual([]);
+    expect(issuesAt(issues, 'overheadLedger.items.rent.amount')[0]).toMatchObject({ label: 'Rent: Annual Cost', severity: 'error' });
+  });
+
+  it('checks additional benefit amounts against their basis', () => {
+    const benefits = [
+      { id: 'dues', name: 'Dues', basis: 'annual', amount: -1 },
+      { id: 'bonus', name: 'Bonus', basis: 'percent', amount: 150 },
+      { id: 'dental', name: 'Dental', basis: 'monthly', amount: 150 },
+    ];
+    const issues = validate(scenario({}, { benefits }));
+    expect(issuesAt(issues, 'benefits.dues.amount')[0].message).toBe("Can't be negative.");
+    expect(issuesAt(issues, 'benefits.bonus.amount')[0].message).toBe('Must be between 0% and 100%.');
+    expect(issuesAt(issues, 'benefits.dental.amount')).toEqual([]);
+  });
+
+  it('checks rate card salary bands and role overrides', () => {
+    const role = { id: 'lead', name: 'Lead', salaryMin: 120000, salaryMax: 100000, overrides: [{ field: 'overheadTime', value: 120 }] };
+    const issues = validate(scenario({}, { rateCard: { ...DEFAULT_SHARED.rateCard, roles: [role] } }));
+    expect(issuesAt(issues, 'rateCard.roles.lead.salaryMax')[0].message).toBe('Must be at least the band minimum.');
+    expect(issuesAt(issues, 'rateCard.roles.lead.overrides.0.value')[0]).toMatchObject({ label: 'Lead: Non-Billable Overhead Time', severity: 'error' });
+    expect(resultIssues(issues).some((issue) => issue.path.startsWith('rateCard'))).toBe(false);
+  });
+
+  it('reports PTO beyond the available hours and a year with no billable hours', () => {
+    const s = scenario({ ptoHours: 3000 });
+    const issues = validate(s);
+    expect(issuesAt(issues, `employees.${s.id}.ptoHours`)[0].message).toBe('More than the 2080 hours available in the year.');
+    expect(issuesAt(issues, `employees.${s.id}.billableHours`)[0].severity).toBe('error');
+    expect(issuesAt(issues, 'rates')[0].severity).toBe('error');
+  });
+
+  it('warns when fewer than half of the hours are billable', () => {
+    const s = scenario({ overheadTime: 60 });
+    expect(issuesAt(validate(s), `employees.${s.id}.billableHours`)[0].severity).toBe('warning');
+  });
+
+  it('warns when the reserve is more than the break-even rate', () => {
+    const issues = validate(scenario({}, { profitMargin: 500 }));
+    expect(issuesAt(issues, 'profitMargin')).toEqual([expect.objectContaining({ severity: 'warning' })]);
+  });
+
+  it('checks the target of the pricing method in use', () => {
+    const issues = validate(scenario({}, { profitMargin: -5, pricingModel: 'margin', pricing: { ...DEFAULT_SHARED.pricing, margin: 100 } }));
+    expect(issues.map((issue) => [issue.path, issue.severity])).toEqual([['pricing.margin', 'error']]);
+  });
+
+  it('warns about the active pricing target when the reserve is more than break-even', () => {
+    const issues = validate(scenario({}, { pricingModel: 'markup', pricing: { ...DEFAULT_SHARED.pricing, markup: 150 } }));
+    expect(issuesAt(issues, 'pricing.markup')).toEqual([expect.objectContaining({ severity: 'warning' })]);
+  });
+
+  it('only checks the fields the current settings use', () => {
+    const simple = scenario({ employerTaxes: -1, k401Deferral: 150 }, { payrollTaxes: { ...DEFAULT_SHARED.payrollTaxes, sutaRate: -2 } });
+    expect(validate(simple).map((issue) => issue.path)).toEqual([`employees.${simple.id}.employerTaxes`]);
+
+    const itemized = scenario({ employerTaxes: -1 }, { taxModel: 'itemized', payrollTaxes: { ...DEFAULT_SHARED.payrollTaxes, sutaRate: -2 } });
+    expect(validate(itemized).map((issue) => issue.path)).toEqual(['payrollTaxes.sutaRate']);
+  });
+
+  it('checks utilization instead of overhead time in the utilization model', () => {
+    const s = scenario({ overheadTime: 150, utilization: 120 }, { hoursModel: 'utilization' });
+    expect(validate(s).map((issue) => issue.path)).toEqual([`employees.${s.id}.utilization`]);
+  });
+
+  it('checks list entries by their position or id', () => {
+    const seasonality = [...DEFAULT_SHARED.cashFlow.seasonality];
+    seasonality[2] = -10;
+    const issues = validate(scenario({}, {
+      cashFlow: { ...DEFAULT_SHARED.cashFlow, seasonality },
+      localization: { ...DEFAULT_SHARED.localization, clientCurrency: 'EUR', exchangeRate: 0 },
+    }));
+    expect(issues.map((issue) => issue.path)).toEqual(['cashFlow.seasonality.2', 'localization.exchangeRate']);
+  });
+
+  it('checks the work schedule', () => {
+    const issues = validate(scenario({}, { schedule: { ...DEFAULT_SHARED.schedule, daysPerWeek: 5.5 } }));
+    expect(issuesAt(issues, 'schedule.daysPerWeek')[0].message).toBe('Must be a whole number from 1 to 7.');
+  });
+
+  it('checks only the input fields without a team calculation', () => {
+    const { inputs } = scenario({ ptoHours: 3000 });
+    expect(validateInputs(inputs)).toEqual([]);
+  });
+});
+
+describe('resultIssues', () => {
+  it("leaves out other views' settings", () => {
+    const { inputs, team } = scenario({ salary: -1 }, { contractor: { ...DEFAULT_SHARED.contractor, agencyFee: -5 } });
+    inputs.project = { ...DEFAULT_SHARED.project, contingency: -10 };
+    const issues = validateInputs(inputs, team);
+
+    expect(resultIssues(issues).map((issue) => issue.path)).not.toContain('contractor.agencyFee');
+    expect(resultIssues(issues, 'contractor').map((issue) => issue.path)).toContain('contractor.agencyFee');
+    expect(resultIssues(issues, 'contractor').map((issue) => issue.path)).not.toContain('project.contingency');
+  });
+
+  it('only flags the cash flow view for a negative seasonality weight', () => {
+    const { inputs, team } = scenario({}, { cashFlow: { ...DEFAULT_SHARED.cashFlow, seasonality: [-1, ...DEFAULT_SHARED.cashFlow.seasonality.slice(1)] } });
+    const issues = validateInputs(inputs, team);
+
+    expect(hasErrors(resultIssues(issues))).toBe(false);
+    expect(hasErrors(resultIssues(issues, 'cashFlow'))).toBe(true);
+  });
+
+  it('only flags the cash flow view for negative ramp-up months', () => {
+    const s = scenario({ rampMonths: -2 });
+    const issues = validate(s);
+
+    expect(issuesAt(issues, `employees.${s.id}.rampMonths`)[0].view).toBe('cashFlow');
+    expect(hasErrors(resultIssues(issues))).toBe(false);
+    expect(hasErrors(resultIssues(issues, 'cashFlow'))).toBe(true);
+  });
+});